@@ -0,0 +1,67 @@
+/**
+ * Toolbar badge per tab
+ * Shows how many critical and serious rules a tab's latest scan failed,
+ * coloured by the highest severity found, so unresolved tabs stand out
+ */
+
+const SEVERITY_COLORS = {
+  critical: '#b91c1c',
+  serious: '#ea580c',
+  moderate: '#ca8a04',
+  minor: '#2563eb'
+};
+
+const CLEAN_COLOR = '#16a34a';
+const NEUTRAL_COLOR = '#6b7280';
+
+const SEVERITIES = Object.keys(SEVERITY_COLORS);
+
+// Results saved before statistics existed only have violations
+function severityCounts(results) {
+  if (results?.statistics?.severityCounts) {
+    return results.statistics.severityCounts;
+  }
+
+  const counts = {};
+  (results?.violations || []).forEach(v => {
+    const severity = v.impact?.toLowerCase();
+    if (severity) counts[severity] = (counts[severity] || 0) + 1;
+  });
+  return counts;
+}
+
+/**
+ * Badge text and colour for a scan result
+ * @returns {{ text: string, color: string }}
+ */
+export function badgeFor(results) {
+  const counts = severityCounts(results);
+  const count = (counts.critical || 0) + (counts.serious || 0);
+  const highest = SEVERITIES.find(severity => counts[severity] > 0);
+
+  // "0" as well, so a clean page is distinguishable from an unscanned one
+  return {
+    text: count > 99 ? '99+' : String(count),
+    color: highest ? SEVERITY_COLORS[highest] : CLEAN_COLOR
+  };
+}
+
+export async function showResultBadge(tabId, results) {
+  const { text, color } = badgeFor(results);
+  await chrome.action.setBadgeText({ tabId, text });
+  await chrome.action.setBadgeBackgroundColor({ tabId, color });
+}
+
+export async function showBusyBadge(tabId) {
+  await chrome.action.setBadgeText({ tabId, text: '…' });
+  await chrome.action.setBadgeBackgroundColor({ tabId, color: NEUTRAL_COLOR });
+}
+
+export async function showErrorBadge(tabId) {
+  await chrome.action.setBadgeText({ tabId, text: '!' });
+  await chrome.action.setBadgeBackgroundColor({ tabId, color: NEUTRAL_COLOR });
+}
+
+export async function clearBadge(tabId) {
+  await chrome.action.setBadgeText({ tabId, text: '' });
+}
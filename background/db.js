@@ -0,0 +1,115 @@
+/**
+ * IndexedDB connection shared by the background stores
+ * Schema changes are appended to MIGRATIONS; never edit an existing step
+ */
+
+const DB_NAME = 'a11y-auditor';
+
+const MIGRATIONS = [
+  // v1: latest scan result per tab
+  (db) => {
+    const results = db.createObjectStore('results', { keyPath: 'key' });
+    results.createIndex('url', 'url');
+    results.createIndex('tabId', 'tabId');
+    results.createIndex('savedAt', 'savedAt');
+  },
+
+  // v2: scan history per origin + path
+  (db) => {
+    const history = db.createObjectStore('history', { keyPath: 'id', autoIncrement: true });
+    history.createIndex('site', 'site');
+    history.createIndex('host', 'host');
+  },
+
+  // v3: result sizes, so eviction can total them without loading results
+  (db, tx) => {
+    tx.objectStore('results').createIndex('size', 'size');
+  },
+
+  // v4: sizes of results saved before v3, which the size index left out
+  // (and eviction counted as 0 bytes)
+  (db, tx) => {
+    const request = tx.objectStore('results').openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) return;
+      if (typeof cursor.value.size !== 'number') {
+        cursor.update({ ...cursor.value, size: approximateSize(cursor.value.results) });
+      }
+      cursor.continue();
+    };
+  }
+];
+
+let dbPromise = null;
+
+export function openDatabase() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, MIGRATIONS.length);
+
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      for (let version = event.oldVersion; version < MIGRATIONS.length; version++) {
+        MIGRATIONS[version](db, request.transaction);
+      }
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      // Another context upgraded the schema; reopen on next use
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Size of a stored value as counted against the stores' byte caps
+ */
+export function approximateSize(value) {
+  return JSON.stringify(value ?? null).length;
+}
+
+export function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Walk a cursor request until it ends or onCursor returns false
+ */
+export function walkCursor(request, onCursor) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || onCursor(cursor) === false) {
+        resolve();
+        return;
+      }
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
@@ -0,0 +1,172 @@
+/**
+ * Scan history per site (origin + path)
+ * Keeps a compact summary of every scan so trends survive navigation
+ */
+
+import { openDatabase, promisifyRequest, transactionDone, walkCursor } from './db.js';
+import { hashHtml } from '../shared/scan-diff.js';
+import { siteKey } from '../shared/site-key.js';
+
+const STORE = 'history';
+
+const DEFAULT_LIMITS = {
+  maxEntriesPerSite: 200,
+  maxEntries: 2000
+};
+
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return '';
+  }
+}
+
+function scanConfigOf(results) {
+  const { availableTags, standards, ...config } = results?.context || {};
+  return config;
+}
+
+// Longest markup kept per node: enough to recognise the element in a scan
+// diff, while the html hash still matches on the full markup
+const SNIPPET_LENGTH = 200;
+
+// Violations trimmed to what the scan diff shows and matches on: each rule's
+// description once, and each node's target, html hash and start of markup
+function findingsOf(results) {
+  return (results?.violations || []).map(v => ({
+    id: v.id,
+    impact: v.impact,
+    help: v.help,
+    helpUrl: v.helpUrl,
+    wcagCriteria: v.wcagCriteria || [],
+    nodes: (v.nodes || []).map(n => ({
+      target: n.target,
+      htmlHash: n.htmlHash || hashHtml(n.html),
+      html: (n.html || '').substring(0, SNIPPET_LENGTH)
+    }))
+  }));
+}
+
+export function toHistoryEntry(results) {
+  const url = results?.url || results?.metadata?.url || '';
+
+  return {
+    site: siteKey(url),
+    host: hostOf(url),
+    url,
+    timestamp: results?.timestamp || new Date().toISOString(),
+    axeVersion: results?.tool?.version || results?.metadata?.axeVersion || null,
+    config: scanConfigOf(results),
+    profile: results?.metadata?.profile || null,
+    scope: results?.metadata?.scope || null,
+    severityCounts: {
+      critical: 0,
+      serious: 0,
+      moderate: 0,
+      minor: 0,
+      ...(results?.statistics?.severityCounts || {})
+    },
+    violations: results?.violations?.length || 0,
+    findings: findingsOf(results)
+  };
+}
+
+export function createHistoryStore(limits = {}) {
+  const { maxEntriesPerSite, maxEntries } = { ...DEFAULT_LIMITS, ...limits };
+
+  async function listSite(site) {
+    const db = await openDatabase();
+    const entries = await promisifyRequest(
+      db.transaction(STORE).objectStore(STORE).index('site').getAll(site)
+    );
+    return entries
+      .map(({ findings, ...summary }) => summary)
+      .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  }
+
+  return {
+    async add(results) {
+      const entry = toHistoryEntry(results);
+      if (!entry.site) return null;
+
+      const db = await openDatabase();
+      const tx = db.transaction(STORE, 'readwrite');
+      const store = tx.objectStore(STORE);
+
+      const id = await promisifyRequest(store.add(entry));
+
+      // Drop the oldest scans of this site beyond the cap
+      const keys = await promisifyRequest(store.index('site').getAllKeys(entry.site));
+      keys.slice(0, Math.max(0, keys.length - maxEntriesPerSite))
+        .forEach(key => store.delete(key));
+
+      // Then the oldest scans of any site beyond the total cap; ids are
+      // assigned in order, so the lowest are the oldest
+      let count = await promisifyRequest(store.count());
+      await walkCursor(store.openKeyCursor(), cursor => {
+        if (count <= maxEntries) return false;
+        store.delete(cursor.primaryKey);
+        count--;
+        return true;
+      });
+
+      await transactionDone(tx);
+      return { ...entry, id };
+    },
+
+    /**
+     * A single scan including its findings
+     */
+    async get(id) {
+      const db = await openDatabase();
+      const entry = await promisifyRequest(
+        db.transaction(STORE).objectStore(STORE).get(id)
+      );
+      return entry || null;
+    },
+
+    /**
+     * All scans of the page a URL belongs to, oldest first (without findings)
+     */
+    async list(url) {
+      return listSite(siteKey(url));
+    },
+
+    /**
+     * Latest scan of every page on a host (or every host when empty)
+     */
+    async latestBySite(hostFilter = '') {
+      const db = await openDatabase();
+      const entries = await promisifyRequest(
+        db.transaction(STORE).objectStore(STORE).getAll()
+      );
+
+      const filter = hostFilter.toLowerCase();
+      const latest = new Map();
+      entries
+        .filter(entry => entry.host.toLowerCase().includes(filter))
+        .forEach(entry => {
+          const current = latest.get(entry.site);
+          if (!current || current.timestamp < entry.timestamp) {
+            latest.set(entry.site, entry);
+          }
+        });
+
+      return Array.from(latest.values())
+        .map(({ findings, ...summary }) => summary)
+        .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+    },
+
+    async clear(url) {
+      const db = await openDatabase();
+      const tx = db.transaction(STORE, 'readwrite');
+      const store = tx.objectStore(STORE);
+
+      const keys = await promisifyRequest(store.index('site').getAllKeys(siteKey(url)));
+      keys.forEach(key => store.delete(key));
+
+      await transactionDone(tx);
+    }
+  };
+}
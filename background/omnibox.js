@@ -0,0 +1,153 @@
+/**
+ * Omnibox ("a11y" keyword) command parsing and suggestions
+ *
+ *   a11y scan [tag]      scan the active tab, optionally with one axe tag
+ *   a11y history <host>  jump to a scanned tab for that host
+ *   a11y open <url>      open a URL in a new tab and scan it
+ */
+
+import { SCAN_TAGS } from '../shared/scan-settings.js';
+
+export const OMNIBOX_COMMANDS = [
+  { name: 'scan', usage: 'scan [tag]', description: 'Scan the active tab' },
+  { name: 'history', usage: 'history <host>', description: 'Show scanned pages for a host' },
+  { name: 'open', usage: 'open <url>', description: 'Open a URL and scan it' }
+];
+
+const MAX_SUGGESTIONS = 6;
+const USAGE = OMNIBOX_COMMANDS.map(c => c.usage).join(' | ');
+
+/* ---------------- Parsing ---------------- */
+
+export function parseCommand(text = '') {
+  const [command = '', ...rest] = text.trim().split(/\s+/);
+
+  return {
+    command: command.toLowerCase(),
+    argument: rest.join(' ').trim()
+  };
+}
+
+export function isCommand(command) {
+  return OMNIBOX_COMMANDS.some(c => c.name === command);
+}
+
+export function findTag(value = '') {
+  const lower = value.toLowerCase();
+  return Object.keys(SCAN_TAGS).find(tag => tag.toLowerCase() === lower) || null;
+}
+
+export function toUrl(value = '') {
+  const candidate = /^[a-z][a-z0-9+.-]*:/i.test(value) ? value : `https://${value}`;
+
+  try {
+    const url = new URL(candidate);
+    return ['http:', 'https:', 'file:'].includes(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+/* ---------------- Suggestions ---------------- */
+
+// Omnibox descriptions are XML, so text has to be escaped
+function escapeXml(str = '') {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return '';
+  }
+}
+
+function commandSuggestions(prefix) {
+  return OMNIBOX_COMMANDS
+    .filter(c => c.name.startsWith(prefix))
+    .map(c => ({
+      content: `${c.name} `,
+      description: `<match>${escapeXml(c.usage)}</match> <dim>${escapeXml(c.description)}</dim>`
+    }));
+}
+
+function scanSuggestions(argument) {
+  const lower = argument.toLowerCase();
+
+  return Object.entries(SCAN_TAGS)
+    .filter(([tag, label]) =>
+      tag.toLowerCase().startsWith(lower) || label.toLowerCase().includes(lower)
+    )
+    .map(([tag, label]) => ({
+      content: `scan ${tag}`,
+      description: `scan <match>${escapeXml(tag)}</match> <dim>${escapeXml(label)}</dim>`
+    }));
+}
+
+/**
+ * @param {string} argument Host filter typed after "history"
+ * @param {Array<{url: string, violations: number}>} pages Scanned pages
+ */
+function historySuggestions(argument, pages) {
+  const lower = argument.toLowerCase();
+
+  return pages
+    .filter(page => hostOf(page.url).toLowerCase().includes(lower))
+    .map(page => ({
+      content: `history ${page.url}`,
+      description: `<url>${escapeXml(page.url)}</url> <dim>${page.violations} rule violations</dim>`
+    }));
+}
+
+function openSuggestions(argument) {
+  const url = toUrl(argument);
+  if (!url) return [];
+
+  return [{
+    content: `open ${url}`,
+    description: `open and scan <url>${escapeXml(url)}</url>`
+  }];
+}
+
+/**
+ * Description of the default suggestion (the omnibox's first line) for the
+ * text typed so far; names a command that doesn't exist so pressing Enter
+ * on it isn't silently ignored
+ */
+export function defaultSuggestion(text = '') {
+  const { command } = parseCommand(text);
+  const typing = !/\s/.test(text.trimStart());
+  const known = typing
+    ? OMNIBOX_COMMANDS.some(c => c.name.startsWith(command))
+    : isCommand(command);
+
+  return known
+    ? `Accessibility audit: ${escapeXml(USAGE)}`
+    : `Unknown command <match>${escapeXml(command)}</match>, try: ${escapeXml(USAGE)}`;
+}
+
+export function buildSuggestions(text, { pages = [] } = {}) {
+  const { command, argument } = parseCommand(text);
+  const hasArgument = /\s/.test(text.trimStart());
+
+  let suggestions;
+  if (!hasArgument) {
+    suggestions = commandSuggestions(command);
+  } else if (command === 'scan') {
+    suggestions = scanSuggestions(argument);
+  } else if (command === 'history') {
+    suggestions = historySuggestions(argument, pages);
+  } else if (command === 'open') {
+    suggestions = openSuggestions(argument);
+  } else {
+    suggestions = commandSuggestions('');
+  }
+
+  return suggestions.slice(0, MAX_SUGGESTIONS);
+}
@@ -0,0 +1,110 @@
+/**
+ * Persistent store for the latest scan result of each tab
+ * Keyed by tabKey ("<tabId>:<url>") so the popup message API is unchanged,
+ * capped by entry count and approximate size with oldest-first eviction
+ */
+
+import { openDatabase, promisifyRequest, transactionDone, walkCursor, approximateSize } from './db.js';
+
+const STORE = 'results';
+
+const DEFAULT_LIMITS = {
+  maxEntries: 100,
+  maxBytes: 25 * 1024 * 1024
+};
+
+function parseKey(key) {
+  const separator = key.indexOf(':');
+  return {
+    tabId: Number(key.slice(0, separator)),
+    url: key.slice(separator + 1)
+  };
+}
+
+export function createResultStore(limits = {}) {
+  const { maxEntries, maxBytes } = { ...DEFAULT_LIMITS, ...limits };
+
+  async function evict() {
+    const db = await openDatabase();
+    const tx = db.transaction(STORE, 'readwrite');
+    const store = tx.objectStore(STORE);
+
+    // Key cursors only read index keys, so no stored result is loaded
+    const sizes = new Map();
+    await walkCursor(store.index('size').openKeyCursor(), cursor => {
+      sizes.set(cursor.primaryKey, cursor.key);
+    });
+
+    let count = await promisifyRequest(store.count());
+    let bytes = 0;
+    sizes.forEach(size => { bytes += size; });
+
+    // Oldest first, until both limits are met
+    await walkCursor(store.index('savedAt').openKeyCursor(), cursor => {
+      if (count <= maxEntries && bytes <= maxBytes) return false;
+      store.delete(cursor.primaryKey);
+      count--;
+      bytes -= sizes.get(cursor.primaryKey) || 0;
+      return true;
+    });
+
+    await transactionDone(tx);
+  }
+
+  return {
+    /**
+     * Latest result for a tab key, or null. A result saved by another tab
+     * (or before a browser restart changed the tab id) is never returned,
+     * since it wasn't scanned in this tab.
+     */
+    async get(key) {
+      const db = await openDatabase();
+      const record = await promisifyRequest(
+        db.transaction(STORE).objectStore(STORE).get(key)
+      );
+      return record ? record.results : null;
+    },
+
+    async set(key, results) {
+      const db = await openDatabase();
+      const tx = db.transaction(STORE, 'readwrite');
+
+      tx.objectStore(STORE).put({
+        key,
+        ...parseKey(key),
+        results,
+        size: approximateSize(results),
+        savedAt: Date.now()
+      });
+
+      await transactionDone(tx);
+      await evict();
+    },
+
+    async delete(key) {
+      const db = await openDatabase();
+      const tx = db.transaction(STORE, 'readwrite');
+      tx.objectStore(STORE).delete(key);
+      await transactionDone(tx);
+    },
+
+    async deleteTab(tabId) {
+      const db = await openDatabase();
+      const tx = db.transaction(STORE, 'readwrite');
+      const store = tx.objectStore(STORE);
+
+      const keys = await promisifyRequest(store.index('tabId').getAllKeys(tabId));
+      keys.forEach(key => store.delete(key));
+
+      await transactionDone(tx);
+    },
+
+    async entries() {
+      const db = await openDatabase();
+      const records = await promisifyRequest(
+        db.transaction(STORE).objectStore(STORE).getAll()
+      );
+      return records.map(record => [record.key, record.results]);
+    }
+  };
+}
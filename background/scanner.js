@@ -0,0 +1,299 @@
+/**
+ * Scan pipeline
+ * Injects axe-core into a tab and scans it; used by the popup and by
+ * background scans (keyboard shortcut, address bar, context menu)
+ */
+
+import { normalizeScanSettings } from '../shared/scan-settings.js';
+import { resolveScanConfig, profileInfo } from '../shared/scan-profiles.js';
+import { mergeFrameResults, framesInScope } from '../shared/frame-results.js';
+import { strategiesFrom, canFallBack, checkScanConfig } from '../shared/scan-strategies.js';
+
+const SCAN_FILES = [
+  'vendor/axe.min.js',
+  'content/css-path.js',
+  'content/axe-runner.js',
+  'content/incremental-scan.js'
+];
+
+/* ---------------- Helpers ---------------- */
+
+export function tabKey(tab) {
+  return `${tab.id}:${tab.url}`;
+}
+
+export function tabIdOf(key) {
+  return Number(key.slice(0, key.indexOf(':')));
+}
+
+/**
+ * Read the scan settings saved by the options page and the popup
+ */
+export async function loadScanSettings() {
+  const { scanSettings } = await chrome.storage.sync.get('scanSettings');
+  return normalizeScanSettings(scanSettings);
+}
+
+/**
+ * User-defined scan profiles from the options page
+ */
+export async function loadScanProfiles() {
+  const { scanProfiles } = await chrome.storage.sync.get('scanProfiles');
+  return Array.isArray(scanProfiles) ? scanProfiles : [];
+}
+
+/**
+ * Resolve once a tab has finished loading (used before scanning a freshly opened URL)
+ */
+export function waitForTabLoad(tabId, timeoutMs = 30000) {
+  return new Promise((resolve, reject) => {
+    const timeout = setTimeout(() => {
+      cleanup();
+      reject(new Error('Page took too long to load'));
+    }, timeoutMs);
+
+    function listener(updatedTabId, changeInfo, tab) {
+      if (updatedTabId === tabId && changeInfo.status === 'complete') {
+        cleanup();
+        resolve(tab);
+      }
+    }
+
+    function cleanup() {
+      clearTimeout(timeout);
+      chrome.tabs.onUpdated.removeListener(listener);
+    }
+
+    chrome.tabs.onUpdated.addListener(listener);
+  });
+}
+
+/* ---------------- Scan ---------------- */
+
+const SCAN_PORT = 'a11y-scan';
+// Longest a frame's rules may run, on top of waiting for its DOM to settle;
+// axe has no timeout of its own for a rule that hangs
+const FRAME_SCAN_TIMEOUT_MS = 60000;
+
+function abortError() {
+  return new DOMException('Scan cancelled', 'AbortError');
+}
+
+/**
+ * Scan one frame over the scan protocol (see content/axe-runner.js)
+ * @returns {Promise<{ frameId: number, result: { url?: string, results?: object, error?: string } }>}
+ *   Never rejects; failures, timeouts and cancellation come back as result.error
+ */
+function scanFrame(tabId, frameId, config, { onProgress, signal } = {}) {
+  return new Promise(resolve => {
+    const port = chrome.tabs.connect(tabId, { name: SCAN_PORT, frameId });
+    let done = false;
+
+    // A frame that never answers (axe hangs, the content script never loaded)
+    // would otherwise hold up every other frame's results
+    const timeout = setTimeout(() => {
+      port.postMessage({ type: 'cancel' });
+      finish({ error: 'Scan timed out' });
+    }, FRAME_SCAN_TIMEOUT_MS + (config.domSettleMs ?? 3000));
+
+    function finish(result) {
+      if (done) return;
+      done = true;
+      clearTimeout(timeout);
+      signal?.removeEventListener('abort', onAbort);
+      port.disconnect();
+      resolve({ frameId, result });
+    }
+
+    function onAbort() {
+      port.postMessage({ type: 'cancel' });
+      finish({ error: 'Scan cancelled' });
+    }
+
+    port.onMessage.addListener(msg => {
+      if (msg?.type === 'progress') {
+        onProgress?.({ ...msg, frameId });
+      } else if (msg?.type === 'result') {
+        finish({ url: msg.url, results: msg.results });
+      } else if (msg?.type === 'error') {
+        finish({ url: msg.url, error: msg.message });
+      }
+    });
+    port.onDisconnect.addListener(() => {
+      finish({ error: chrome.runtime.lastError?.message || 'The frame went away before the scan finished' });
+    });
+
+    signal?.addEventListener('abort', onAbort);
+    port.postMessage({ type: 'start', config });
+  });
+}
+
+/**
+ * Inject the scanner into the tab's frames (cross-origin ones included),
+ * scan each frame's own document and merge the results.
+ * With config.iframes false only the top document is scanned.
+ * config.scope applies to the top document, or to config.scopeFrameId when
+ * set (e.g. an element right-clicked inside a frame); a frame below it is
+ * scanned in full when its frame element is inside the scope.
+ * @param {{ onProgress?: Function, signal?: AbortSignal }} [options]
+ *   onProgress receives each frame's progress events with its frameId;
+ *   aborting the signal cancels every frame's scan
+ * @throws {DOMException} AbortError when cancelled
+ */
+export async function scanFrames(tabId, config, { onProgress, signal } = {}) {
+  if (signal?.aborted) throw abortError();
+
+  const rootFrameId = config.scopeFrameId ?? 0;
+  // Selector chains to a frame root need every frame's child frames
+  const target = config.iframes || rootFrameId !== 0
+    ? { tabId, allFrames: true }
+    : { tabId, frameIds: [0] };
+
+  await chrome.scripting.executeScript({ target, files: SCAN_FILES });
+
+  // Drop tags and rule ids the bundled axe-core doesn't have
+  const [{ result: rules }] = await chrome.scripting.executeScript({
+    target: { tabId, frameIds: [rootFrameId] },
+    func: () => window.axe.getRules()
+  });
+  const { config: checked, ignored } = checkScanConfig(config, rules || []);
+  if (ignored.tags.length > 0 || ignored.rules.length > 0) {
+    console.warn('[A11Y] Ignoring settings axe-core does not know:', ignored);
+  }
+
+  const listings = (await chrome.scripting.executeScript({
+    target,
+    func: (scope) => window.listA11yChildFrames(scope),
+    args: [config.scope || null]
+  })).map(({ frameId, result }) => ({ frameId, frames: result || [] }));
+
+  const scanned = config.iframes
+    ? framesInScope(listings, rootFrameId)
+    : [rootFrameId];
+  const childFrameIds = scanned.filter(frameId => frameId !== rootFrameId);
+
+  // Each frame scans its own document; incremental scans only re-run what
+  // changed in the frame since its last scan
+  const scan = (frameIds, frameConfig) => frameIds.map(frameId =>
+    scanFrame(tabId, frameId, frameConfig, { onProgress, signal })
+  );
+
+  const injections = await Promise.all([
+    ...scan([rootFrameId], checked),
+    ...scan(childFrameIds, { ...checked, scope: null })
+  ]);
+  if (signal?.aborted) throw abortError();
+
+  const results = new Map(injections.map(({ frameId, result }) => [frameId, result]));
+
+  const merged = mergeFrameResults(
+    listings.map(listing => results.has(listing.frameId)
+      ? { ...listing, ...results.get(listing.frameId) }
+      : { ...listing, listedOnly: true }),
+    rootFrameId
+  );
+  if (ignored.tags.length > 0 || ignored.rules.length > 0) {
+    merged.metadata = { ...merged.metadata, ignored };
+  }
+  return merged;
+}
+
+async function checkPageReady(tabId) {
+  try {
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      func: () => {
+        if (document.readyState !== 'complete') {
+          throw new Error('Page is still loading. Please wait and try again.');
+        }
+        return true;
+      }
+    });
+  } catch (e) {
+    throw new Error(`Cannot access page: ${e.message}. Ensure the page is fully loaded and not a restricted page.`);
+  }
+}
+
+/**
+ * Scan a tab with a strategy (see shared/scan-strategies.js), falling back
+ * to lighter strategies while attempts fail
+ * @param {object} tab
+ * @param {object} config runA11yScan() config
+ * @param {object} [options]
+ * @param {string} [options.strategy] Strategy to start with, 'full' by default
+ * @param {boolean} [options.fallback] Try the lighter strategies after a failure
+ * @param {Function} [options.onFallback] Called with the next strategy and the error
+ * @param {Function} [options.onProgress] See scanFrames()
+ * @param {AbortSignal} [options.signal] See scanFrames()
+ * @returns {Promise<object>} Merged results; metadata.strategy is the strategy
+ *   that succeeded and metadata.fallbacks lists the attempts that failed
+ * @throws The last attempt's error, or the first one no strategy can get past
+ */
+export async function scanWithStrategies(tab, config, {
+  strategy = 'full',
+  fallback = true,
+  onFallback,
+  onProgress,
+  signal
+} = {}) {
+  if (!tab?.id || !tab?.url) {
+    throw new Error('No active tab available for scanning');
+  }
+
+  await checkPageReady(tab.id);
+
+  const strategies = fallback ? strategiesFrom(strategy) : strategiesFrom(strategy).slice(0, 1);
+  const failures = [];
+  let lastError = null;
+  let lastConfig = null;
+
+  for (const candidate of strategies) {
+    const attempt = candidate.apply(config);
+    // e.g. no-iframes when iframes are already off
+    if (JSON.stringify(attempt) === lastConfig) continue;
+    lastConfig = JSON.stringify(attempt);
+
+    if (lastError) onFallback?.(candidate, lastError);
+
+    try {
+      const result = await scanFrames(tab.id, attempt, { onProgress, signal });
+
+      if (candidate.note) {
+        result.partialScan = true;
+        result.scanNote = [candidate.note, result.scanNote].filter(Boolean).join('; ');
+      }
+      result.url = tab.url;
+      result.timestamp = new Date().toISOString();
+      result.metadata = {
+        ...result.metadata,
+        strategy: candidate.id,
+        ...(failures.length > 0 ? { fallbacks: failures } : {})
+      };
+      return result;
+    } catch (error) {
+      if (!canFallBack(error)) throw error;
+
+      console.warn(`[A11Y] ${candidate.label} failed:`, error);
+      failures.push({ strategy: candidate.id, error: error?.message || String(error) });
+      lastError = error;
+    }
+  }
+
+  throw lastError;
+}
+
+export async function scanTab(tab, overrides = {}) {
+  const [settings, userProfiles] = await Promise.all([loadScanSettings(), loadScanProfiles()]);
+  const { profile, config } = resolveScanConfig(settings, userProfiles);
+
+  const result = await scanWithStrategies(tab, {
+    ...config,
+    resultTypes: ['violations', 'passes', 'incomplete', 'inapplicable'],
+    elementRef: false,
+    restoreScroll: false,
+    ...overrides
+  });
+
+  result.metadata = { ...result.metadata, profile: profileInfo(profile) };
+  return result;
+}
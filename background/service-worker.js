@@ -3,22 +3,368 @@
  * Acts as the single source of truth for scan results
  */
 
+import { tabKey, tabIdOf, scanTab, waitForTabLoad } from './scanner.js';
+import { showResultBadge, showBusyBadge, showErrorBadge, clearBadge } from './badge.js';
+import {
+  parseCommand,
+  findTag,
+  toUrl,
+  buildSuggestions,
+  defaultSuggestion
+} from './omnibox.js';
+import { createResultStore } from './result-store.js';
+import { createHistoryStore } from './history-store.js';
+import { getWatch, startWatch, stopWatch, forgetWatch } from './watch.js';
+
 console.log('[A11Y] Service worker started');
 
-const resultsByTab = new Map();
+// Persisted in IndexedDB so results survive worker and browser restarts
+const resultsByTab = createResultStore();
+const scanHistory = createHistoryStore();
 
 /* ---------------- Lifecycle ---------------- */
 
 chrome.runtime.onInstalled.addListener(() => {
   console.log('[A11Y] Extension installed');
+  createContextMenus();
 });
 
+/* ---------------- Scanning ---------------- */
+
+/**
+ * Keep the latest result for the tab, append it to the site history and
+ * update the tab's badge (for popup scans as well as background ones)
+ * @param {{ history?: boolean }} [options] history: false skips the site history
+ */
+async function recordScan(key, results, { history = true } = {}) {
+  await resultsByTab.set(key, results);
+
+  try {
+    await showResultBadge(tabIdOf(key), results);
+  } catch (error) {
+    // The tab may have been closed while scanning
+    console.warn('[A11Y] Failed to update badge:', error);
+  }
+
+  if (!history) return;
+
+  try {
+    await scanHistory.add(results);
+  } catch (error) {
+    console.error('[A11Y] Failed to record scan history:', error);
+  }
+}
+
+/**
+ * Scan a tab from the background and keep the result for the popup
+ * @param {object} [overrides] runA11yScan() config that replaces the settings
+ * @param {object} [metadata] Extra result metadata (e.g. the picked element)
+ */
+async function scanAndStore(tab, overrides = {}, metadata = {}) {
+  try {
+    await showBusyBadge(tab.id);
+
+    const results = await scanTab(tab, overrides);
+    results.metadata = { ...results.metadata, ...metadata };
+    await recordScan(tabKey(tab), results);
+    return results;
+  } catch (error) {
+    console.error('[A11Y] Background scan failed:', error);
+    await showFailureBadge(tab.id);
+    return null;
+  }
+}
+
+// Like the result badge, best effort: the tab may have been closed or have
+// navigated away by the time a scan fails
+async function showFailureBadge(tabId) {
+  try {
+    await showErrorBadge(tabId);
+  } catch (error) {
+    console.warn('[A11Y] Failed to update badge:', error);
+  }
+}
+
+async function getActiveTab() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  return tab || null;
+}
+
 /* ---------------- Commands ---------------- */
 
-chrome.commands?.onCommand.addListener((command) => {
-  if (command === 'run-scan') {
-    console.log('[A11Y] Run scan command triggered');
+async function runCommand(command, tab) {
+  if (command !== 'run-scan') return;
+
+  console.log('[A11Y] Run scan command triggered');
+
+  if (!tab?.id) {
+    tab = await getActiveTab();
+  }
+  if (!tab?.id) return;
+
+  await scanAndStore(tab);
+}
+
+chrome.commands?.onCommand.addListener((command, tab) => {
+  runCommand(command, tab).catch(error => {
+    console.error('[A11Y] Run scan command failed:', error);
+  });
+});
+
+/* ---------------- Context Menus ---------------- */
+
+const MENU_AUDIT_ELEMENT = 'audit-element';
+const MENU_AUDIT_PAGE = 'audit-page';
+
+// Records the right-clicked element in every frame (content/context-target.js);
+// registered with the menu entries, since a content script can only see the
+// contextmenu event if it is in the page before the click
+const CONTEXT_TARGET_SCRIPT = {
+  id: 'a11y-context-target',
+  js: ['content/css-path.js', 'content/context-target.js'],
+  matches: ['<all_urls>'],
+  allFrames: true,
+  runAt: 'document_start',
+  persistAcrossSessions: true
+};
+
+async function registerContextTarget() {
+  const registered = await chrome.scripting.getRegisteredContentScripts({
+    ids: [CONTEXT_TARGET_SCRIPT.id]
+  });
+  if (registered.length > 0) {
+    await chrome.scripting.updateContentScripts([CONTEXT_TARGET_SCRIPT]);
+  } else {
+    await chrome.scripting.registerContentScripts([CONTEXT_TARGET_SCRIPT]);
+  }
+
+  // Registered scripts only reach documents loaded from now on; pages that
+  // are already open get it injected (restricted pages refuse)
+  const tabs = await chrome.tabs.query({});
+  await Promise.all(tabs.map(tab =>
+    chrome.scripting.executeScript({
+      target: { tabId: tab.id, allFrames: true },
+      files: CONTEXT_TARGET_SCRIPT.js
+    }).catch(() => {})
+  ));
+}
+
+// Menus persist across worker restarts, so they are (re)created on install/update only
+function createContextMenus() {
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({
+      id: MENU_AUDIT_ELEMENT,
+      title: 'Audit this element',
+      contexts: ['all']
+    });
+    chrome.contextMenus.create({
+      id: MENU_AUDIT_PAGE,
+      title: 'Audit this page',
+      contexts: ['all']
+    });
+  });
+
+  registerContextTarget().catch(error => {
+    console.error('[A11Y] Failed to register the context menu target script:', error);
+  });
+}
+
+/**
+ * Selector of the element the menu was opened on in a frame, as recorded by
+ * content/context-target.js
+ */
+async function contextTarget(tabId, frameId) {
+  try {
+    const [injection] = await chrome.scripting.executeScript({
+      target: { tabId, frameIds: [frameId] },
+      func: () => window.getA11yContextTarget?.() || null
+    });
+    return injection?.result || null;
+  } catch (error) {
+    console.error('[A11Y] Failed to read the right-clicked element:', error);
+    return null;
+  }
+}
+
+async function auditFromContextMenu(info, tab) {
+  if (!tab?.id) return;
+
+  if (info.menuItemId === MENU_AUDIT_PAGE) {
+    await scanAndStore(tab);
+    return;
+  }
+
+  if (info.menuItemId !== MENU_AUDIT_ELEMENT) return;
+
+  const frameId = info.frameId ?? 0;
+  const selector = await contextTarget(tab.id, frameId);
+  if (!selector) {
+    // Restricted pages (chrome://, the Web Store) can't be injected into
+    console.warn('[A11Y] Could not find the right-clicked element');
+    await showFailureBadge(tab.id);
+    return;
+  }
+
+  await scanAndStore(
+    tab,
+    { scope: { include: [selector], exclude: [] }, scopeFrameId: frameId },
+    { pickedElement: selector, ...(frameId !== 0 ? { pickedFrameId: frameId } : {}) }
+  );
+}
+
+chrome.contextMenus?.onClicked.addListener((info, tab) => {
+  auditFromContextMenu(info, tab).catch(error => {
+    console.error('[A11Y] Context menu audit failed:', error);
+  });
+});
+
+/* ---------------- Watch Mode ---------------- */
+
+/**
+ * Store a watch mode update and tell an open popup about it; only full
+ * scans (start and route changes) go into the history, not every mutation
+ */
+async function recordWatchResults(tab, results, trigger) {
+  const watch = await getWatch(tab.id);
+  if (!watch) return;
+
+  results.url = tab.url;
+  results.timestamp = new Date().toISOString();
+  results.metadata = { ...results.metadata, profile: watch.profile, watch: trigger };
+
+  const key = tabKey(tab);
+  await recordScan(key, results, { history: trigger?.type !== 'mutation' });
+
+  // No receiver when the popup is closed
+  chrome.runtime.sendMessage({ type: 'A11Y_RESULTS_UPDATED', key }).catch(() => {});
+}
+
+/* ---------------- Omnibox ---------------- */
+
+// Latest scan of every scanned page, read once per omnibox session instead
+// of on every keystroke
+let omniboxPages = null;
+
+function scannedPages() {
+  omniboxPages ??= scanHistory.latestBySite()
+    .then(entries => entries.map(entry => ({
+      url: entry.url,
+      violations: entry.violations
+    })))
+    .catch(error => {
+      omniboxPages = null;
+      throw error;
+    });
+  return omniboxPages;
+}
+
+chrome.omnibox?.setDefaultSuggestion({ description: defaultSuggestion() });
+
+chrome.omnibox?.onInputStarted.addListener(() => {
+  omniboxPages = null;
+});
+
+chrome.omnibox?.onInputCancelled.addListener(() => {
+  omniboxPages = null;
+  chrome.omnibox.setDefaultSuggestion({ description: defaultSuggestion() });
+});
+
+chrome.omnibox?.onInputChanged.addListener((text, suggest) => {
+  chrome.omnibox.setDefaultSuggestion({ description: defaultSuggestion(text) });
+
+  const { command } = parseCommand(text);
+  (command === 'history' ? scannedPages() : Promise.resolve([]))
+    .then(pages => suggest(buildSuggestions(text, { pages })))
+    .catch(error => {
+      console.error('[A11Y] Failed to read scanned pages:', error);
+      suggest(buildSuggestions(text));
+    });
+});
+
+async function runOmniboxCommand(text, disposition) {
+  const { command, argument } = parseCommand(text);
+
+  if (command === 'scan' || command === '') {
+    const tab = await getActiveTab();
+    if (!tab?.id) return;
+
+    if (argument && !findTag(argument)) {
+      console.warn('[A11Y] Unknown scan tag:', argument);
+      await showFailureBadge(tab.id);
+      return;
+    }
+
+    await scanAndStore(tab, argument ? { tags: [findTag(argument)] } : {});
+    return;
   }
+
+  if (command === 'history') {
+    const query = argument.toLowerCase();
+    const page = (await scannedPages()).find(p =>
+      p.url === argument || p.url.toLowerCase().includes(query)
+    );
+    if (!page) {
+      console.warn('[A11Y] No scanned page matches:', argument);
+      return;
+    }
+
+    // Switch to the page if it is open, otherwise open it; the popup's
+    // History view then shows its timeline
+    const tabs = await chrome.tabs.query({});
+    const openTab = tabs.find(t => t.url === page.url);
+    if (openTab) {
+      await chrome.tabs.update(openTab.id, { active: true });
+      await chrome.windows.update(openTab.windowId, { focused: true });
+    } else {
+      await chrome.tabs.create({ url: page.url });
+    }
+    return;
+  }
+
+  if (command === 'open') {
+    const url = toUrl(argument);
+    if (!url) {
+      console.warn('[A11Y] Not a valid URL:', argument);
+      return;
+    }
+
+    let tab;
+    // No active tab without a focused normal window (e.g. only devtools open)
+    const active = disposition === 'currentTab' ? await getActiveTab() : null;
+    if (active?.id) {
+      tab = await chrome.tabs.update(active.id, { url });
+    } else {
+      tab = await chrome.tabs.create({ url, active: disposition !== 'newBackgroundTab' });
+    }
+
+    try {
+      tab = await waitForTabLoad(tab.id);
+    } catch (error) {
+      console.error('[A11Y] Open and scan failed:', error);
+      await showFailureBadge(tab.id);
+      return;
+    }
+
+    await scanAndStore(tab);
+    return;
+  }
+
+  // Unknown command: the default suggestion already said so while typing,
+  // flag the tab as well
+  console.warn('[A11Y] Unknown omnibox command:', command);
+  const tab = await getActiveTab();
+  if (tab?.id) await showFailureBadge(tab.id);
+}
+
+chrome.omnibox?.onInputEntered.addListener((text, disposition) => {
+  chrome.omnibox.setDefaultSuggestion({ description: defaultSuggestion() });
+  runOmniboxCommand(text, disposition)
+    .catch(error => {
+      console.error('[A11Y] Omnibox command failed:', error);
+    })
+    .finally(() => {
+      omniboxPages = null;
+    });
 });
 
 /* ---------------- Messaging (CRITICAL) ---------------- */
@@ -28,16 +374,107 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
 
   // 🔹 Restore results for active tab
   if (msg.type === 'GET_A11Y_RESULTS') {
-    sendResponse({
-      results: resultsByTab.get(msg.key) || null
-    });
+    resultsByTab.get(msg.key)
+      .then(results => sendResponse({ results: results || null }))
+      .catch(error => {
+        console.error('[A11Y] Failed to read results:', error);
+        sendResponse({ results: null });
+      });
     return true; // keep channel alive
   }
 
   // 🔹 Save results after scan
   if (msg.type === 'SAVE_A11Y_RESULTS') {
-    resultsByTab.set(msg.key, msg.results);
-    sendResponse({ ok: true });
+    recordScan(msg.key, msg.results)
+      .then(() => sendResponse({ ok: true }))
+      .catch(error => {
+        console.error('[A11Y] Failed to save results:', error);
+        sendResponse({ ok: false, error: error.message });
+      });
+    return true;
+  }
+
+  // 🔹 Element chosen with the picker (content/element-picker.js); the popup
+  // is closed by then, so the scan runs here and the popup restores it
+  if (msg.type === 'PICK_A11Y_ELEMENT') {
+    if (!sender.tab?.id || typeof msg.selector !== 'string') return;
+
+    scanAndStore(
+      sender.tab,
+      { scope: { include: [msg.selector], exclude: [] } },
+      { pickedElement: msg.selector }
+    )
+      .then(results => sendResponse({ ok: Boolean(results) }))
+      .catch(error => {
+        console.error('[A11Y] Picked element scan failed:', error);
+        sendResponse({ ok: false, error: error.message });
+      });
+    return true;
+  }
+
+  // 🔹 Watch mode state for the popup toggle
+  if (msg.type === 'GET_A11Y_WATCH') {
+    getWatch(msg.tabId)
+      .then(watch => sendResponse({ enabled: Boolean(watch) }))
+      .catch(error => {
+        console.error('[A11Y] Failed to read watch mode:', error);
+        sendResponse({ enabled: false });
+      });
+    return true;
+  }
+
+  if (msg.type === 'SET_A11Y_WATCH') {
+    (msg.enabled ? startWatch(msg.tabId) : stopWatch(msg.tabId))
+      .then(() => sendResponse({ ok: true, enabled: Boolean(msg.enabled) }))
+      .catch(error => {
+        console.error('[A11Y] Failed to change watch mode:', error);
+        sendResponse({ ok: false, error: error.message });
+      });
+    return true;
+  }
+
+  // 🔹 Re-scan from watch mode (content/watch-mode.js)
+  if (msg.type === 'A11Y_WATCH_RESULTS') {
+    if (!sender.tab?.id || sender.frameId !== 0 || !msg.results) return;
+
+    recordWatchResults(sender.tab, msg.results, msg.trigger)
+      .then(() => sendResponse({ ok: true }))
+      .catch(error => {
+        console.error('[A11Y] Failed to save watch results:', error);
+        sendResponse({ ok: false, error: error.message });
+      });
+    return true;
+  }
+
+  // 🔹 Scan history for the page a URL belongs to
+  if (msg.type === 'GET_A11Y_HISTORY') {
+    scanHistory.list(msg.url)
+      .then(entries => sendResponse({ entries }))
+      .catch(error => {
+        console.error('[A11Y] Failed to read history:', error);
+        sendResponse({ entries: [] });
+      });
+    return true;
+  }
+
+  // 🔹 One past scan with its findings (used by the scan diff)
+  if (msg.type === 'GET_A11Y_HISTORY_ENTRY') {
+    scanHistory.get(msg.id)
+      .then(entry => sendResponse({ entry }))
+      .catch(error => {
+        console.error('[A11Y] Failed to read history entry:', error);
+        sendResponse({ entry: null });
+      });
+    return true;
+  }
+
+  if (msg.type === 'CLEAR_A11Y_HISTORY') {
+    scanHistory.clear(msg.url)
+      .then(() => sendResponse({ ok: true }))
+      .catch(error => {
+        console.error('[A11Y] Failed to clear history:', error);
+        sendResponse({ ok: false, error: error.message });
+      });
     return true;
   }
 });
@@ -46,18 +483,34 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
 
 chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
   if (changeInfo.status === 'loading') {
-    for (const key of resultsByTab.keys()) {
-      if (key.startsWith(`${tabId}:`)) {
-        resultsByTab.delete(key);
-      }
-    }
+    clearBadge(tabId).catch(error => {
+      console.warn('[A11Y] Failed to clear badge:', error);
+    });
+    resultsByTab.deleteTab(tabId).catch(error => {
+      console.error('[A11Y] Failed to clear tab results:', error);
+    });
   }
-});
 
-chrome.tabs.onRemoved.addListener(tabId => {
-  for (const key of resultsByTab.keys()) {
-    if (key.startsWith(`${tabId}:`)) {
-      resultsByTab.delete(key);
-    }
+  // A new document needs watch mode injected again
+  if (changeInfo.status === 'complete') {
+    getWatch(tabId)
+      .then(watch => watch && startWatch(tabId))
+      .catch(error => {
+        console.error('[A11Y] Failed to restart watch mode:', error);
+      });
   }
+});
+
+chrome.tabs.onRemoved.addListener((tabId, removeInfo) => {
+  forgetWatch(tabId).catch(error => {
+    console.error('[A11Y] Failed to clear watch mode:', error);
+  });
+
+  // Keep results of tabs closed with their window so a restored session can
+  // still find them by URL; the store's size cap evicts them eventually
+  if (removeInfo.isWindowClosing) return;
+
+  resultsByTab.deleteTab(tabId).catch(error => {
+    console.error('[A11Y] Failed to clear tab results:', error);
+  });
 });
\ No newline at end of file
@@ -0,0 +1,86 @@
+/**
+ * Watch mode: opt-in continuous scanning per tab (see content/watch-mode.js)
+ * Watched tabs live in chrome.storage.session, so they survive service
+ * worker restarts; a watched tab is re-armed after every page load
+ */
+
+import { loadScanSettings, loadScanProfiles } from './scanner.js';
+import { resolveScanConfig, profileInfo } from '../shared/scan-profiles.js';
+
+const WATCH_FILES = [
+  'vendor/axe.min.js',
+  'content/css-path.js',
+  'content/axe-runner.js',
+  'content/incremental-scan.js',
+  'content/watch-mode.js'
+];
+const ROUTE_HOOK = 'content/route-hook.js';
+
+// tabId -> { profile } of the profile the watch was started with
+async function watchedTabs() {
+  const { watchedTabs: tabs } = await chrome.storage.session.get('watchedTabs');
+  return tabs || {};
+}
+
+async function setWatchedTab(tabId, watch) {
+  const tabs = await watchedTabs();
+  if (watch) {
+    tabs[tabId] = watch;
+  } else {
+    delete tabs[tabId];
+  }
+  await chrome.storage.session.set({ watchedTabs: tabs });
+}
+
+/**
+ * @returns {Promise<{ profile: object|null }|null>} null when the tab isn't watched
+ */
+export async function getWatch(tabId) {
+  return (await watchedTabs())[tabId] || null;
+}
+
+/**
+ * Inject watch mode into the tab's top document and start it with the
+ * current scan settings; the first scan starts right away
+ */
+export async function startWatch(tabId) {
+  const [settings, userProfiles] = await Promise.all([loadScanSettings(), loadScanProfiles()]);
+  const { profile, config } = resolveScanConfig(settings, userProfiles);
+
+  await chrome.scripting.executeScript({ target: { tabId }, files: [ROUTE_HOOK], world: 'MAIN' });
+  await chrome.scripting.executeScript({ target: { tabId }, files: WATCH_FILES });
+  await chrome.scripting.executeScript({
+    target: { tabId },
+    // Not awaited: results arrive as A11Y_WATCH_RESULTS messages
+    func: (config) => { window.startA11yWatch(config); },
+    args: [{
+      ...config,
+      iframes: false,
+      resultTypes: ['violations', 'passes', 'incomplete', 'inapplicable'],
+      elementRef: false,
+      restoreScroll: false
+    }]
+  });
+
+  await setWatchedTab(tabId, { profile: profileInfo(profile) });
+}
+
+/**
+ * Stop watching; the page may already be gone
+ */
+export async function stopWatch(tabId) {
+  await setWatchedTab(tabId, null);
+
+  try {
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      func: () => window.stopA11yWatch?.()
+    });
+  } catch (error) {
+    console.warn('[A11Y] Could not stop watch mode in the page:', error);
+  }
+}
+
+export async function forgetWatch(tabId) {
+  await setWatchedTab(tabId, null);
+}
@@ -8,6 +8,13 @@
     return;
   }
 
+  const SCAN_PORT = 'a11y-scan';
+  // Rule batches per scan; progress is reported, and cancellation checked,
+  // after each
+  const RULE_BATCHES = 6;
+  // Tags whose rules axe only runs when the tag itself is asked for
+  const OPT_IN_TAGS = ['experimental', 'deprecated'];
+
   // REALISTIC STANDARDS MAPPING - Only includes standards that axe-core actually supports
   // Based on axe-core documentation and actual rule tags
   const STANDARDS_MAP = {
@@ -70,6 +77,23 @@
     }
   }
 
+  // Stable hash of an element snippet for matching nodes across scans.
+  // Keep in sync with hashHtml() in shared/scan-diff.js.
+  function hashHtml(html = '') {
+    const normalized = String(html)
+      .replace(/\s+/g, ' ')
+      .replace(/>\s+</g, '><')
+      .trim();
+
+    // 32-bit FNV-1a
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < normalized.length; i++) {
+      hash ^= normalized.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+  }
+
   function normalizeResults(raw, context = {}) {
     const timestamp = new Date().toISOString();
     const availableTags = getAllAvailableTags();
@@ -169,6 +193,7 @@
         standards: mapTagsToStandards(v.tags),
         nodes: (v.nodes || []).map(n => ({
           html: n.html,
+          htmlHash: hashHtml(n.html),
           target: n.target,
           failureSummary: n.failureSummary,
           element: n.element || null
@@ -201,6 +226,7 @@
         standards: mapTagsToStandards(i.tags),
         nodes: (i.nodes || []).map(n => ({
           html: n.html,
+          htmlHash: hashHtml(n.html),
           target: n.target,
           failureSummary: n.failureSummary
         }))
@@ -228,16 +254,82 @@
           height: window.innerHeight
         },
         axeVersion: window.axe.version,
-        standardsMapping: STANDARDS_MAP
+        standardsMapping: STANDARDS_MAP,
+        // Region the scan was limited to; null for the whole page
+        scope: context.scope || null
       }
     };
   }
 
+  // Frames in a document and its open shadow roots, with axe-style selector
+  // paths (one selector per shadow root crossed); selectors come from
+  // content/css-path.js, like the picker's and the context menu's
+  function collectFrames(root, hostPath = [], found = []) {
+    root.querySelectorAll('iframe, frame').forEach(frame => {
+      found.push({ element: frame, path: [...hostPath, window.a11yCssPath(frame)] });
+    });
+    root.querySelectorAll('*').forEach(el => {
+      if (el.shadowRoot) {
+        collectFrames(el.shadowRoot, [...hostPath, window.a11yCssPath(el)], found);
+      }
+    });
+    return found;
+  }
+
+  function matchesAny(el, selectors = []) {
+    return selectors.some(selector => {
+      try {
+        return el.closest(selector);
+      } catch {
+        // Invalid selectors are reported by the scan itself
+        return false;
+      }
+    });
+  }
+
+  // Frames inside the included region and outside every excluded one
+  function frameInScope(element, scope) {
+    if (!scope) return true;
+    const included = !scope.include?.length || matchesAny(element, scope.include);
+    return included && !matchesAny(element, scope.exclude);
+  }
+
+  // Direct child frames with the extension frameId Chrome assigned to each;
+  // with a scope, inScope tells whether the frame is part of the scanned region
+  function listChildFrames(scope = null) {
+    return collectFrames(document)
+      .map(({ element, path }) => {
+        let frameId = null;
+        try {
+          frameId = chrome.runtime.getFrameId(element);
+        } catch {
+          // Frame has no document yet (e.g. never navigated)
+        }
+        return {
+          frameId,
+          selector: path.length === 1 ? path[0] : path,
+          src: element.src || null,
+          inScope: frameInScope(element, scope)
+        };
+      })
+      .filter(frame => frame.frameId !== null && frame.frameId !== -1);
+  }
+
+  function abortError() {
+    return new DOMException('Scan cancelled', 'AbortError');
+  }
+
   function waitForDomStability({
     quietWindowMs = 500,
-    maxWaitMs = 3000
+    maxWaitMs = 3000,
+    signal
   } = {}) {
-    return new Promise(resolve => {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(abortError());
+        return;
+      }
+
       let lastMutation = Date.now();
 
       const observer = new MutationObserver(() => {
@@ -261,10 +353,17 @@
         cleanup();
       }, maxWaitMs);
 
+      function onAbort() {
+        cleanup();
+        reject(abortError());
+      }
+      signal?.addEventListener('abort', onAbort);
+
       function cleanup() {
         clearInterval(interval);
         clearTimeout(timeout);
         observer.disconnect();
+        signal?.removeEventListener('abort', onAbort);
         resolve();
       }
     });
@@ -288,8 +387,9 @@
       // Comprehensive result types
       resultTypes: ['violations', 'passes', 'incomplete', 'inapplicable'],
       
-      // Enable all features for comprehensive scanning
-      iframes: true,
+      // Each frame is scanned by its own copy of this script and merged by
+      // the extension (see shared/frame-results.js), so axe stays in-frame
+      iframes: false,
       elementRef: true,
       restoreScroll: true,
       selectors: true,
@@ -316,8 +416,66 @@
     return axeConfig;
   }
 
-  async function runAxe(config = {}) {
+  // axe context for a scope; checks every selector first so a typo is
+  // reported by name instead of as axe's generic "No elements found"
+  function buildAxeContext(scope) {
+    if (!scope) return document;
+
+    const check = (selector, mustMatch) => {
+      let found;
+      try {
+        found = document.querySelector(selector);
+      } catch {
+        throw new Error(`Invalid scope selector: ${selector}`);
+      }
+      if (mustMatch && !found) {
+        throw new Error(`Scope selector matched nothing on this page: ${selector}`);
+      }
+    };
+
+    const include = scope.include || [];
+    const exclude = scope.exclude || [];
+    include.forEach(selector => check(selector, true));
+    exclude.forEach(selector => check(selector, false));
+
+    return include.length > 0 ? { include, exclude } : { exclude };
+  }
+
+  // Rules axe would run for this config, from its public rule list: those
+  // with one of the tags (experimental and deprecated ones only when their
+  // tag is asked for) unless disabled, and rules enabled by id. Each rule is
+  // listed once, so page-level rules and rules that check the page as a
+  // whole run in one batch only, and see every element they need.
+  function rulesToRun(axeConfig) {
+    const tags = axeConfig.runOnly.values;
+    const overrides = axeConfig.rules || {};
+    // axe rejects an empty tag list itself
+    if (tags.length === 0) return [];
+    const optedOut = rule => rule.tags.some(tag => OPT_IN_TAGS.includes(tag) && !tags.includes(tag));
+
+    const tagged = window.axe.getRules(tags)
+      .filter(rule => (typeof overrides[rule.ruleId]?.enabled === 'boolean'
+        ? overrides[rule.ruleId].enabled
+        : !optedOut(rule)))
+      .map(rule => rule.ruleId);
+    const enabled = Object.keys(overrides).filter(id => overrides[id]?.enabled === true);
+
+    return [...new Set([...tagged, ...enabled])];
+  }
+
+  function mergeRawResults(a, b) {
+    return {
+      ...a,
+      violations: [...a.violations, ...b.violations],
+      passes: [...a.passes, ...b.passes],
+      incomplete: [...a.incomplete, ...b.incomplete],
+      inapplicable: [...a.inapplicable, ...b.inapplicable]
+    };
+  }
+
+  async function runAxe(config = {}, { onProgress, signal } = {}) {
     const axeConfig = buildAxeConfig(config);
+    const context = buildAxeContext(config.scope);
     const validTags = axeConfig.runOnly.values;
     const invalidTags = config.tags ? 
       config.tags.filter(tag => !validTags.includes(tag)) : [];
@@ -329,10 +487,37 @@
     console.log('[A11Y] Running comprehensive axe scan with:', {
       validTagsCount: validTags.length,
       standards: validTags.map(tag => STANDARDS_MAP[tag] || tag),
-      resultTypes: axeConfig.resultTypes
+      resultTypes: axeConfig.resultTypes,
+      scope: config.scope || 'whole page'
     });
-    
-    return window.axe.run(document, axeConfig);
+
+    const ruleIds = rulesToRun(axeConfig);
+    if (ruleIds.length === 0) {
+      return window.axe.run(context, axeConfig);
+    }
+
+    const size = Math.ceil(ruleIds.length / RULE_BATCHES);
+    const total = ruleIds.length;
+    let done = 0;
+    let raw = null;
+    onProgress?.({ phase: 'rules', done, total });
+
+    for (let i = 0; i < total; i += size) {
+      // A running axe.run can't be interrupted, so cancelling stops here
+      if (signal?.aborted) throw abortError();
+
+      const batch = ruleIds.slice(i, i + size);
+      const part = await window.axe.run(context, {
+        ...axeConfig,
+        runOnly: { type: 'rule', values: batch }
+      });
+      raw = raw ? mergeRawResults(raw, part) : part;
+
+      done += batch.length;
+      onProgress?.({ phase: 'rules', done, total });
+    }
+
+    return { ...raw, toolOptions: { ...raw.toolOptions, runOnly: axeConfig.runOnly } };
   }
 
   function filterByImpact(results, allowedImpacts) {
@@ -340,15 +525,13 @@
       return results;
     }
 
-    // Filter all result types by impact
+    // Filter result types by impact (axe reports passes with a null impact,
+    // so they are kept as-is)
     const filtered = {
       ...results,
       violations: results.violations.filter(v =>
         allowedImpacts.includes(v.impact)
       ),
-      passes: results.passes.filter(p =>
-        allowedImpacts.includes(p.impact)
-      ),
       incomplete: results.incomplete.filter(i =>
         allowedImpacts.includes(i.impact)
       )
@@ -383,102 +566,35 @@
     return filtered;
   }
 
-  // Main scanning function
-  async function handleScan(request) {
-    const config = request?.config || {};
-    
-    console.log('[A11Y] Starting comprehensive accessibility scan', {
-      requestedStandards: config.tags?.map(tag => STANDARDS_MAP[tag] || tag) || 'ALL'
-    });
-
-    // Wait for DOM stability
-    await waitForDomStability({
-      quietWindowMs: config.domQuietMs || 500,
-      maxWaitMs: config.domSettleMs || 3000
-    });
-
-    // Run comprehensive axe scan
-    const rawResults = await runAxe(config);
-    
-    console.log('[A11Y] Scan results summary:', {
-      violations: rawResults.violations?.length || 0,
-      passes: rawResults.passes?.length || 0,
-      incomplete: rawResults.incomplete?.length || 0,
-      inapplicable: rawResults.inapplicable?.length || 0
-    });
-
-    // Normalize results
-    const normalized = normalizeResults(rawResults, {
-      impacts: config.impacts || [],
-      tags: config.tags || [],
-      config: config
-    });
-
-    // Filter by impact if specified
-    const filtered = filterByImpact(normalized, config.impacts);
-    
-    console.log('[A11Y] Final results:', {
-      totalIssues: filtered.statistics?.issuesFound || 0,
-      bySeverity: filtered.statistics?.severityCounts || {},
-      standardsTested: filtered.statistics?.standardsCovered || 0
-    });
-
-    return filtered;
-  }
-
-  // Chrome extension message listener
-  if (
-    typeof chrome !== 'undefined' &&
-    chrome.runtime &&
-    chrome.runtime.onMessage
-  ) {
-    chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-      if (!request || request.type !== 'RUN_A11Y_SCAN') {
-        return;
-      }
-
-      handleScan(request)
-        .then(results => {
-          sendResponse({
-            success: true,
-            results: results
-          });
-        })
-        .catch(err => {
-          console.error('[A11Y] Scan failed:', err);
-          sendResponse({
-            error: true,
-            success: false,
-            message: err?.message || String(err),
-            timestamp: new Date().toISOString()
-          });
-        });
-
-      return true;
-    });
-  }
-
-  // Global function for direct invocation
-  window.runA11yScan = async function (config = {}) {
+  /**
+   * Scan this document
+   * @param {object} config Tags, rules, impacts, scope and DOM timings
+   * @param {{ onProgress?: Function, signal?: AbortSignal }} [options]
+   *   onProgress receives { phase: 'settle' | 'rules' | 'normalize' }, with
+   *   { done, total } rule counts after each rule batch; aborting the signal
+   *   rejects with an AbortError at the next step (the DOM wait, or between
+   *   rule batches, as axe.run itself can't be interrupted)
+   */
+  window.runA11yScan = async function (config = {}, { onProgress, signal } = {}) {
     try {
       console.log('[A11Y] Starting direct accessibility scan');
       
       // Wait for DOM stability
+      onProgress?.({ phase: 'settle' });
       await waitForDomStability({
-        quietWindowMs: 500,
-        maxWaitMs: 3000
+        quietWindowMs: config.domQuietMs ?? 500,
+        maxWaitMs: config.domSettleMs ?? 3000,
+        signal
       });
 
       // Run comprehensive scan
-      const raw = await runAxe(config);
-      
-      // Normalize results
-      const normalized = normalizeResults(raw, config);
+      const raw = await runAxe(config, { onProgress, signal });
+      if (signal?.aborted) throw abortError();
+
+      // Normalize results and apply the requested impact levels
+      onProgress?.({ phase: 'normalize' });
+      const normalized = filterByImpact(normalizeResults(raw, config), config.impacts);
 
-      // Store results globally
-      window.__A11Y_SCAN_RESULT__ = normalized;
-      window.__A11Y_SCAN_STATISTICS__ = normalized.statistics;
-      
       console.info('[A11Y] Comprehensive scan complete', {
         issuesFound: normalized.statistics?.issuesFound || 0,
         testsPassed: normalized.statistics?.testsPassed || 0,
@@ -488,17 +604,85 @@
       
       return normalized;
     } catch (e) {
-      const error = {
-        message: e?.message || String(e),
-        stack: e?.stack || null,
-        timestamp: new Date().toISOString()
-      };
-      window.__A11Y_SCAN_ERROR__ = error;
-      console.error('[A11Y] Scan failed', error);
+      if (e?.name === 'AbortError') {
+        console.info('[A11Y] Scan cancelled');
+      } else {
+        console.error('[A11Y] Scan failed', e);
+      }
       throw e;
     }
   };
 
+  // Scan protocol: the extension connects a Port named "a11y-scan" to this
+  // frame (see background/scanner.js) and posts { type: 'start', config }.
+  // The frame answers with { type: 'progress' } messages and then one
+  // { type: 'result' } or { type: 'error' }; { type: 'cancel' } or closing
+  // the port aborts the scan. Registered once per frame; re-injecting this
+  // script only replaces runA11yScan.
+  if (typeof chrome !== 'undefined' && chrome.runtime?.onConnect && !window.__A11Y_SCAN_PORT__) {
+    window.__A11Y_SCAN_PORT__ = true;
+
+    // A cancelled scan stops after the rule batch in flight, since axe.run
+    // can't be interrupted; axe refuses to start while it runs, so the next
+    // scan waits for it
+    let running = Promise.resolve();
+
+    chrome.runtime.onConnect.addListener(port => {
+      if (port.name !== SCAN_PORT) return;
+
+      const controller = new AbortController();
+      const post = message => {
+        try {
+          port.postMessage(message);
+        } catch {
+          // The extension side has gone away
+        }
+      };
+
+      port.onDisconnect.addListener(() => controller.abort());
+      port.onMessage.addListener(async (msg) => {
+        if (msg?.type === 'cancel') {
+          controller.abort();
+          return;
+        }
+        if (msg?.type !== 'start') return;
+
+        const config = msg.config || {};
+        const options = {
+          signal: controller.signal,
+          onProgress: progress => post({ type: 'progress', ...progress })
+        };
+
+        const previous = running;
+        const scan = (async () => {
+          await previous;
+          if (controller.signal.aborted) throw abortError();
+
+          // Incremental scans only re-run what changed since this frame's last scan
+          return config.incremental && window.runA11yIncrementalScan
+            ? window.runA11yIncrementalScan(config, options)
+            : window.runA11yScan(config, options);
+        })();
+        running = scan.catch(() => {});
+
+        try {
+          const results = await scan;
+          post({ type: 'result', url: location.href, results });
+        } catch (e) {
+          post({
+            type: 'error',
+            url: location.href,
+            message: e?.message || String(e),
+            cancelled: e?.name === 'AbortError'
+          });
+        }
+      });
+    });
+  }
+
+  // Child frames of this document, used to attribute per-frame results
+  window.listA11yChildFrames = listChildFrames;
+
   // Enhanced compliance checks
   window.runComprehensiveGlobalScan = async function () {
     console.log('[A11Y] Running GLOBAL accessibility compliance scan');
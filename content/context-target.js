@@ -0,0 +1,36 @@
+/**
+ * Remembers the element the context menu was last opened on in this frame,
+ * so the "Audit this element" entry can scan it
+ * Registered for every frame by the service worker while the menu entries
+ * exist (chrome.scripting.registerContentScripts); needs content/css-path.js
+ */
+(function () {
+  if (typeof window === 'undefined' || window.getA11yContextTarget) {
+    return;
+  }
+
+  let target = null;
+
+  // Scan scopes are document selectors, so an element in a shadow tree is
+  // scanned through its outermost light DOM host
+  function lightDomElement(el) {
+    let root = el.getRootNode();
+    while (root instanceof ShadowRoot) {
+      el = root.host;
+      root = el.getRootNode();
+    }
+    return el;
+  }
+
+  // Capture phase, so pages that stop the event still record the target.
+  // A menu opened from the keyboard (Shift+F10, the menu key) is dispatched
+  // to the focused element.
+  document.addEventListener('contextmenu', (e) => {
+    const [origin] = e.composedPath();
+    target = origin instanceof Element ? lightDomElement(origin) : null;
+  }, true);
+
+  window.getA11yContextTarget = function () {
+    return target?.isConnected ? window.a11yCssPath(target) : null;
+  };
+})();
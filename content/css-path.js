@@ -0,0 +1,35 @@
+/**
+ * Unique CSS selector for an element in its own document or shadow root
+ * The only implementation: the scanner (frame selectors), the element
+ * picker and the context menu all use it, so the same element always gets
+ * the same selector
+ */
+(function () {
+  if (typeof window === 'undefined' || window.a11yCssPath) {
+    return;
+  }
+
+  // Relative to the element's shadow root when it is in one, as in axe's
+  // shadow DOM targets (one selector per shadow root crossed)
+  window.a11yCssPath = function (el) {
+    const root = el.getRootNode();
+    const uniqueId = node => node.id &&
+      root.querySelectorAll(`#${CSS.escape(node.id)}`).length === 1;
+
+    const parts = [];
+    for (let node = el; node && node !== el.ownerDocument.documentElement; node = node.parentElement) {
+      if (uniqueId(node)) {
+        parts.unshift(`#${CSS.escape(node.id)}`);
+        return parts.join(' > ');
+      }
+
+      const tag = node.tagName.toLowerCase();
+      const siblings = Array.from(node.parentNode?.children || [])
+        .filter(sibling => sibling.tagName === node.tagName);
+      parts.unshift(siblings.length > 1
+        ? `${tag}:nth-of-type(${siblings.indexOf(node) + 1})`
+        : tag);
+    }
+    return root instanceof ShadowRoot ? parts.join(' > ') : ['html', ...parts].join(' > ');
+  };
+})();
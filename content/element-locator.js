@@ -0,0 +1,52 @@
+/**
+ * Finds a page element again from an axe-core target
+ * Injected before highlight / inspect; walks open shadow roots and
+ * same-origin frames (cross-origin frames are reached by frameId instead)
+ */
+(function () {
+  if (typeof window === 'undefined' || window.locateA11yElement) {
+    return;
+  }
+
+  function querySelectorSafe(root, selector) {
+    try {
+      return root.querySelector(selector);
+    } catch {
+      return null;
+    }
+  }
+
+  // Follow a selector path through nested open shadow roots
+  function queryShadowPath(root, path) {
+    let el = null;
+    for (let i = 0; i < path.length; i++) {
+      el = querySelectorSafe(root, path[i]);
+      if (!el) return null;
+
+      if (i < path.length - 1) {
+        root = el.shadowRoot;
+        if (!root) return null; // closed or missing shadow root
+      }
+    }
+    return el;
+  }
+
+  window.locateA11yElement = function (target) {
+    const levels = (Array.isArray(target) ? target : [target])
+      .map(part => (Array.isArray(part) ? part : [part]));
+
+    let doc = document;
+    for (let i = 0; i < levels.length; i++) {
+      const el = queryShadowPath(doc, levels[i]);
+      if (!el || i === levels.length - 1) return el;
+
+      try {
+        doc = el.contentDocument;
+      } catch {
+        doc = null;
+      }
+      if (!doc) return null; // cross-origin frame
+    }
+    return null;
+  };
+})();
@@ -0,0 +1,126 @@
+/**
+ * Element picker
+ * Outlines the element under the pointer; clicking it (or Enter) asks the
+ * service worker to scan just that element's subtree. Esc cancels,
+ * ArrowUp / ArrowDown move the outline to the parent / first child.
+ * Injected into the top frame, after content/css-path.js, by the popup's
+ * "Pick element" button.
+ */
+(() => {
+  if (window.__A11Y_PICKER_ACTIVE__) return;
+  window.__A11Y_PICKER_ACTIVE__ = true;
+
+  const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+  const overlay = document.createElement('div');
+  overlay.id = '__a11y_picker_overlay';
+  overlay.setAttribute('aria-hidden', 'true');
+  overlay.style.cssText = `
+    position: fixed;
+    pointer-events: none;
+    z-index: 2147483647;
+    border: 3px dashed #2563eb;
+    background: rgba(37, 99, 235, 0.12);
+    outline: 2px solid rgba(0, 0, 0, 0.5);
+    outline-offset: 2px;
+    box-sizing: border-box;
+    display: none;
+    transition: ${prefersReducedMotion ? 'none' : 'all 0.1s ease'};
+  `;
+
+  const banner = document.createElement('div');
+  banner.id = '__a11y_picker_banner';
+  banner.setAttribute('role', 'status');
+  banner.style.cssText = `
+    position: fixed;
+    top: 8px;
+    left: 50%;
+    transform: translateX(-50%);
+    z-index: 2147483647;
+    padding: 6px 12px;
+    border-radius: 6px;
+    background: #111827;
+    color: #ffffff;
+    font: 13px/1.4 system-ui, sans-serif;
+    pointer-events: none;
+  `;
+  banner.textContent = 'Click an element to scan it. Arrow Up/Down: parent/child, Enter: scan, Esc: cancel.';
+
+  const path = document.createElement('code');
+  path.style.cssText = 'display: block; font-size: 12px; opacity: 0.8;';
+  banner.append(path);
+
+  document.documentElement.append(overlay, banner);
+
+  let current = null;
+
+  function outline(el) {
+    if (!el || el === overlay || banner.contains(el)) return;
+    current = el;
+
+    const r = el.getBoundingClientRect();
+    overlay.style.display = 'block';
+    overlay.style.top = `${r.top}px`;
+    overlay.style.left = `${r.left}px`;
+    overlay.style.width = `${r.width}px`;
+    overlay.style.height = `${r.height}px`;
+    path.textContent = window.a11yCssPath(el);
+  }
+
+  function stop() {
+    document.removeEventListener('mousemove', onMove, true);
+    document.removeEventListener('click', onClick, true);
+    document.removeEventListener('keydown', onKey, true);
+    window.removeEventListener('scroll', onScroll, true);
+    overlay.remove();
+    banner.remove();
+    window.__A11Y_PICKER_ACTIVE__ = false;
+  }
+
+  function pick(el) {
+    const selector = window.a11yCssPath(el);
+    stop();
+    chrome.runtime.sendMessage({ type: 'PICK_A11Y_ELEMENT', selector })
+      .catch(error => console.error('[A11Y] Picked element scan failed:', error));
+  }
+
+  function onMove(e) {
+    outline(e.target);
+  }
+
+  function onClick(e) {
+    e.preventDefault();
+    e.stopPropagation();
+    pick(e.target);
+  }
+
+  function onKey(e) {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      stop();
+    } else if (e.key === 'Enter' && current) {
+      e.preventDefault();
+      pick(current);
+    } else if (e.key === 'ArrowUp' && current?.parentElement) {
+      e.preventDefault();
+      outline(current.parentElement);
+    } else if (e.key === 'ArrowDown' && current?.firstElementChild) {
+      e.preventDefault();
+      outline(current.firstElementChild);
+    }
+  }
+
+  function onScroll() {
+    if (current) outline(current);
+  }
+
+  document.addEventListener('mousemove', onMove, true);
+  document.addEventListener('click', onClick, true);
+  document.addEventListener('keydown', onKey, true);
+  window.addEventListener('scroll', onScroll, true);
+
+  // Keyboard users start from the focused element (or the body)
+  outline(document.activeElement && document.activeElement !== document.body
+    ? document.activeElement
+    : document.body);
+})();
@@ -0,0 +1,309 @@
+/**
+ * Incremental scans
+ * After a scan, records which elements of this document mutate; the next
+ * incremental scan runs axe only on those subtrees and merges the new nodes
+ * into the previous result, dropping nodes whose element no longer exists.
+ * Changes inside open shadow roots count as changes to their light DOM host.
+ * Falls back to a full scan when there is no previous result for the same
+ * settings or the changes are too widespread.
+ * Every frame keeps its own state. Needs axe-core, content/axe-runner.js
+ * and content/css-path.js; used by scans with config.incremental and by
+ * content/watch-mode.js.
+ */
+(function () {
+  if (typeof window === 'undefined' || window.runA11yIncrementalScan) {
+    return;
+  }
+
+  // More changed subtrees than this are re-scanned as a whole document
+  const MAX_ROOTS = 20;
+  const GROUPS = ['violations', 'passes', 'incomplete'];
+
+  const OBSERVE_OPTIONS = {
+    subtree: true,
+    childList: true,
+    attributes: true,
+    characterData: true
+  };
+
+  let observer = null;
+  let observedRoots = new WeakSet();
+  // Outermost changed light DOM elements, at most MAX_ROOTS of them
+  let changed = new Set();
+  // Too many separate changes (or the whole body) to re-scan in parts
+  let overflowed = false;
+  // Result node -> the light DOM element it was found on, recorded right
+  // after the scan that reported it
+  let elementsOf = new WeakMap();
+  let previous = null;
+  let previousKey = null;
+
+  /* ---------------- Change tracking ---------------- */
+
+  // Highlight overlays and the picker are ours, not the page's
+  function isOwnElement(el) {
+    return Boolean(el.closest('[id^="__a11y"]'));
+  }
+
+  // Outermost shadow host of an element in a shadow tree, or the element
+  function lightDomElement(el) {
+    let root = el.getRootNode();
+    while (root instanceof ShadowRoot) {
+      el = root.host;
+      root = el.getRootNode();
+    }
+    return el;
+  }
+
+  function observe(root) {
+    observedRoots.add(root);
+    observer.observe(root, OBSERVE_OPTIONS);
+  }
+
+  // Open shadow roots of an element and everything below it; observers
+  // don't cross shadow boundaries, so each root is observed on its own
+  function observeShadowRoots(el) {
+    if (el.shadowRoot && !observedRoots.has(el.shadowRoot)) {
+      observe(el.shadowRoot);
+      el.shadowRoot.querySelectorAll('*').forEach(observeShadowRoots);
+    }
+  }
+
+  function observeSubtree(node) {
+    if (node.nodeType !== Node.ELEMENT_NODE) return;
+    observeShadowRoots(node);
+    node.querySelectorAll('*').forEach(observeShadowRoots);
+  }
+
+  // Element a mutation happened on (the host for a shadow root's own children)
+  function mutatedElement(node) {
+    if (node.nodeType === Node.ELEMENT_NODE) return node;
+    if (node instanceof ShadowRoot) return node.host;
+    return node.parentElement || node.parentNode?.host || null;
+  }
+
+  function markChanged(el) {
+    if (overflowed) return;
+    if (el === document.documentElement || el === document.body) {
+      overflowed = true;
+      changed.clear();
+      return;
+    }
+
+    for (const root of changed) {
+      if (root.contains(el)) return;
+      if (el.contains(root)) changed.delete(root);
+    }
+    changed.add(el);
+
+    if (changed.size > MAX_ROOTS) {
+      overflowed = true;
+      changed.clear();
+    }
+  }
+
+  function onMutations(records) {
+    records.forEach(record => {
+      record.addedNodes.forEach(observeSubtree);
+
+      const el = mutatedElement(record.target);
+      if (!el || isOwnElement(el)) return;
+
+      // A root attached to an element already in the page is picked up
+      // with the element's next change
+      observeShadowRoots(el);
+      markChanged(lightDomElement(el));
+    });
+  }
+
+  function track() {
+    if (observer) return;
+
+    observer = new MutationObserver(onMutations);
+    observe(document.documentElement);
+    observeSubtree(document.documentElement);
+  }
+
+  function untrack() {
+    observer?.disconnect();
+    observer = null;
+    observedRoots = new WeakSet();
+    changed = new Set();
+    overflowed = false;
+  }
+
+  // Changed elements still in the document; null when a full scan is needed
+  function reduceRoots() {
+    if (overflowed) return null;
+
+    // Elements can move after they were recorded
+    const connected = Array.from(changed).filter(el => el.isConnected);
+    return connected.filter(el =>
+      !connected.some(other => other !== el && other.contains(el))
+    );
+  }
+
+  // A previous result only applies to scans with the same rules and scope
+  function configKey(config) {
+    const { tags, rules, impacts, scope, resultTypes } = config;
+    return JSON.stringify({ tags, rules, impacts, scope, resultTypes });
+  }
+
+  /* ---------------- Merging ---------------- */
+
+  // The light DOM element a node's target starts at (the shadow host for
+  // shadow DOM targets); only right after a scan does it match the node
+  function targetElement(node) {
+    const first = node.target?.[0];
+    const selector = Array.isArray(first) ? first[0] : first;
+    try {
+      return selector ? document.querySelector(selector) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  function recountStatistics(results) {
+    const severityCounts = { critical: 0, serious: 0, moderate: 0, minor: 0 };
+    results.violations.forEach(v => {
+      const severity = v.impact?.toLowerCase();
+      if (severity) severityCounts[severity] = (severityCounts[severity] || 0) + 1;
+    });
+
+    const totalTestsRun = [...GROUPS, 'inapplicable']
+      .reduce((sum, group) => sum + results[group].length, 0);
+
+    return {
+      ...results.statistics,
+      totalTestsRun,
+      testsPassed: results.passes.length,
+      issuesFound: results.violations.length,
+      manualReviews: results.incomplete.length,
+      severityCounts,
+      automatedCoverage: Math.round((results.passes.length / totalTestsRun) * 100) || 0
+    };
+  }
+
+  function rememberElements(results) {
+    GROUPS.forEach(group => {
+      (results?.[group] || []).forEach(rule => {
+        (rule.nodes || []).forEach(node => {
+          if (!elementsOf.has(node)) elementsOf.set(node, targetElement(node));
+        });
+      });
+    });
+  }
+
+  /**
+   * Replace every node inside the re-scanned roots with the partial scan's
+   * nodes and drop nodes whose element is gone. Nodes are matched to the
+   * element they were found on, not by selector: a re-rendered element is a
+   * different element even when its selector is the same.
+   */
+  function mergeSubtrees(base, partial, roots) {
+    const stale = node => {
+      const el = elementsOf.get(node);
+      return !el || !el.isConnected || roots.some(root => root.contains(el));
+    };
+
+    const merged = { ...base, timestamp: partial?.timestamp || new Date().toISOString() };
+
+    GROUPS.forEach(group => {
+      const rules = new Map();
+      (base[group] || []).forEach(rule => {
+        const nodes = (rule.nodes || []).filter(node => !stale(node));
+        if (nodes.length > 0) rules.set(rule.id, { ...rule, nodes });
+      });
+      (partial?.[group] || []).forEach(rule => {
+        const existing = rules.get(rule.id);
+        rules.set(rule.id, existing
+          ? { ...existing, nodes: [...existing.nodes, ...(rule.nodes || [])] }
+          : rule);
+      });
+      merged[group] = Array.from(rules.values());
+    });
+
+    // Inapplicable only if nothing in the document applies the rule any more
+    const applied = new Set(GROUPS.flatMap(group => merged[group].map(rule => rule.id)));
+    const inapplicable = new Map(
+      [...(base.inapplicable || []), ...(partial?.inapplicable || [])].map(rule => [rule.id, rule])
+    );
+    merged.inapplicable = Array.from(inapplicable.values()).filter(rule => !applied.has(rule.id));
+
+    merged.statistics = recountStatistics(merged);
+    return merged;
+  }
+
+  /* ---------------- Scanning ---------------- */
+
+  /**
+   * Scan only what changed since the last scan of this document
+   * @param {object} config runA11yScan() config
+   * @param {{ full?: boolean, onProgress?: Function, signal?: AbortSignal }} [options]
+   *   full forces a complete scan (e.g. after a route change); the rest is
+   *   passed on to runA11yScan()
+   * @returns {Promise<object>} Normalized results; metadata.incremental tells
+   *   whether the scan was full and which subtrees were re-scanned
+   */
+  window.runA11yIncrementalScan = async function (config = {}, { full = false, ...scanOptions } = {}) {
+    track();
+
+    const key = configKey(config);
+    // A scope limited to some elements can't be narrowed to arbitrary
+    // subtrees, so scoped scans are always re-run as a whole
+    const scoped = config.scope?.include?.length > 0;
+    const roots = full || !previous || previousKey !== key || scoped
+      ? null
+      : reduceRoots();
+
+    const rootSelectors = (roots || []).map(root => window.a11yCssPath(root));
+
+    // Changes made during the scan count towards the next one
+    changed = new Set();
+    overflowed = false;
+
+    let results;
+    try {
+      if (!roots) {
+        results = await window.runA11yScan(config, scanOptions);
+        rememberElements(results);
+      } else if (roots.length === 0) {
+        // Nothing left to scan, but removed elements still leave the result
+        results = mergeSubtrees(previous, null, []);
+      } else {
+        const partial = await window.runA11yScan({
+          ...config,
+          scope: { include: rootSelectors, exclude: config.scope?.exclude || [] }
+        }, scanOptions);
+        rememberElements(partial);
+        results = mergeSubtrees(previous, partial, roots);
+      }
+    } catch (error) {
+      // The changes this scan would have covered are lost, so start over
+      previous = null;
+      throw error;
+    }
+
+    results.metadata = {
+      ...results.metadata,
+      incremental: { full: !roots, roots: rootSelectors }
+    };
+
+    previous = results;
+    previousKey = key;
+    return results;
+  };
+
+  // Stop tracking changes and forget the previous result (e.g. when watch
+  // mode stops)
+  window.resetA11yIncrementalScan = function () {
+    untrack();
+    elementsOf = new WeakMap();
+    previous = null;
+    previousKey = null;
+  };
+
+  // Changes aren't seen while the page is in the back/forward cache, so a
+  // restored page starts over with a full scan
+  window.addEventListener('pagehide', () => window.resetA11yIncrementalScan());
+})();
@@ -0,0 +1,21 @@
+/**
+ * Reports SPA route changes to watch mode
+ * Runs in the page's own JavaScript world (content scripts can't see the
+ * app's history.pushState / replaceState calls) and announces each call
+ * with a DOM event, which content/watch-mode.js listens for
+ */
+(function () {
+  if (window.__A11Y_ROUTE_HOOK__) {
+    return;
+  }
+  window.__A11Y_ROUTE_HOOK__ = true;
+
+  ['pushState', 'replaceState'].forEach(method => {
+    const original = history[method];
+    history[method] = function (...args) {
+      const result = original.apply(this, args);
+      window.dispatchEvent(new Event('a11y-route-change'));
+      return result;
+    };
+  });
+})();
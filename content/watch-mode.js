@@ -0,0 +1,145 @@
+/**
+ * Watch mode
+ * Re-scans the page while it changes. DOM mutations are debounced and then
+ * scanned incrementally (only the changed subtrees, see
+ * content/incremental-scan.js); SPA route changes (pushState / replaceState
+ * reported by content/route-hook.js, popstate, hashchange) trigger a full scan.
+ * Every update goes to the service worker, which stores it and sets the badge.
+ * Needs axe-core, content/axe-runner.js, content/css-path.js and
+ * content/incremental-scan.js; top document only.
+ */
+(function () {
+  if (typeof window === 'undefined' || window.startA11yWatch) {
+    return;
+  }
+
+  const ROUTE_EVENT = 'a11y-route-change';
+
+  let config = null;
+  let observer = null;
+  let started = false;
+  let domChanged = false;
+  let routeChanged = false;
+  let firstChangeAt = 0;
+  let debounceTimer = null;
+  let scanning = false;
+  let rescanQueued = false;
+
+  /* ---------------- Change tracking ---------------- */
+
+  // Highlight overlays and the picker are ours, not the page's
+  function isOwnElement(node) {
+    const el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+    return Boolean(el?.closest('[id^="__a11y"]'));
+  }
+
+  function onMutations(records) {
+    if (records.every(record => isOwnElement(record.target))) return;
+
+    domChanged = true;
+    schedule();
+  }
+
+  function onRouteChange() {
+    routeChanged = true;
+    schedule();
+  }
+
+  // Wait for changes to stop for watchDebounceMs, but no longer than
+  // watchMaxWaitMs after the first one (pages that never settle)
+  function schedule() {
+    if (!config || (!domChanged && !routeChanged)) return;
+
+    const now = Date.now();
+    if (!firstChangeAt) firstChangeAt = now;
+
+    clearTimeout(debounceTimer);
+    const wait = Math.min(config.watchDebounceMs, firstChangeAt + config.watchMaxWaitMs - now);
+    debounceTimer = setTimeout(rescan, Math.max(0, wait));
+  }
+
+  /* ---------------- Scanning ---------------- */
+
+  async function rescan() {
+    clearTimeout(debounceTimer);
+    if (!config) return;
+    if (scanning) {
+      rescanQueued = true;
+      return;
+    }
+
+    const trigger = !started ? 'start' : routeChanged ? 'route' : 'mutation';
+    const full = trigger !== 'mutation';
+
+    domChanged = false;
+    routeChanged = false;
+    firstChangeAt = 0;
+
+    scanning = true;
+    try {
+      const results = await window.runA11yIncrementalScan(config, { full });
+
+      // Stopped while scanning
+      if (!config) return;
+
+      started = true;
+      await chrome.runtime.sendMessage({
+        type: 'A11Y_WATCH_RESULTS',
+        results,
+        trigger: { type: trigger, roots: results.metadata?.incremental?.roots || [] }
+      });
+    } catch (error) {
+      console.error('[A11Y] Watch mode re-scan failed:', error);
+    } finally {
+      scanning = false;
+      if (rescanQueued) {
+        rescanQueued = false;
+        schedule();
+      }
+    }
+  }
+
+  /* ---------------- Start / stop ---------------- */
+
+  /**
+   * Start watching with a runA11yScan() config; scans the page right away
+   * @param {object} watchConfig Also takes watchDebounceMs and watchMaxWaitMs
+   */
+  window.startA11yWatch = function (watchConfig = {}) {
+    window.stopA11yWatch();
+
+    config = { watchDebounceMs: 1000, watchMaxWaitMs: 5000, ...watchConfig };
+    observer = new MutationObserver(onMutations);
+    observer.observe(document.documentElement, {
+      subtree: true,
+      childList: true,
+      attributes: true,
+      characterData: true
+    });
+    window.addEventListener(ROUTE_EVENT, onRouteChange);
+    window.addEventListener('popstate', onRouteChange);
+    window.addEventListener('hashchange', onRouteChange);
+
+    console.info('[A11Y] Watch mode started');
+    return rescan();
+  };
+
+  window.stopA11yWatch = function () {
+    if (!config) return;
+
+    observer?.disconnect();
+    window.removeEventListener(ROUTE_EVENT, onRouteChange);
+    window.removeEventListener('popstate', onRouteChange);
+    window.removeEventListener('hashchange', onRouteChange);
+    clearTimeout(debounceTimer);
+    window.resetA11yIncrementalScan();
+
+    config = null;
+    observer = null;
+    started = false;
+    domChanged = false;
+    routeChanged = false;
+    firstChangeAt = 0;
+    console.info('[A11Y] Watch mode stopped');
+  };
+})();
@@ -0,0 +1,329 @@
+import {
+  SCAN_TAGS,
+  DEFAULT_SCAN_SETTINGS,
+  normalizeScanSettings
+} from '../shared/scan-settings.js';
+import {
+  listProfiles,
+  findProfile,
+  normalizeProfile,
+  createProfileId
+} from '../shared/scan-profiles.js';
+
+const form = document.getElementById('settings-form');
+const tagListEl = document.getElementById('tag-list');
+const ruleListEl = document.getElementById('rule-list');
+const ruleFilterEl = document.getElementById('rule-filter');
+const ruleSummaryEl = document.getElementById('rule-summary');
+const saveStatusEl = document.getElementById('save-status');
+const profileSelectEl = document.getElementById('profile-select');
+const profileNameEl = document.getElementById('profile-name');
+
+let settings = normalizeScanSettings();
+let userProfiles = [];
+// '' edits the custom settings, otherwise the id of the profile being edited
+let editingId = '';
+
+/* ---------------- Live axe-core rules ---------------- */
+
+function loadRules() {
+  if (!window.axe?.getRules) {
+    throw new Error('axe-core failed to load; rules and standards are unavailable');
+  }
+  return window.axe.getRules().sort((a, b) => a.ruleId.localeCompare(b.ruleId));
+}
+
+// Standards first (in SCAN_TAGS order), then criterion-level tags
+function collectTags(rules) {
+  const all = new Set(
+    rules.flatMap(rule => rule.tags).filter(tag => !tag.startsWith('cat.'))
+  );
+
+  const standards = Object.keys(SCAN_TAGS).filter(tag => all.has(tag));
+  const others = Array.from(all)
+    .filter(tag => !SCAN_TAGS[tag])
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+  return { standards, others };
+}
+
+/* ---------------- Rendering ---------------- */
+
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text ?? '';
+  return div.innerHTML;
+}
+
+function tagCheckbox(tag, label) {
+  return `
+    <label>
+      <input type="checkbox" name="tag" value="${escapeHtml(tag)}" />
+      ${label ? `${escapeHtml(label)} <code>${escapeHtml(tag)}</code>` : `<code>${escapeHtml(tag)}</code>`}
+    </label>
+  `;
+}
+
+function renderTags({ standards, others }) {
+  tagListEl.innerHTML = standards.map(tag => tagCheckbox(tag, SCAN_TAGS[tag])).join('');
+
+  if (others.length > 0) {
+    tagListEl.insertAdjacentHTML('afterend', `
+      <details class="other-tags">
+        <summary>Individual success criteria and other tags (${others.length})</summary>
+        <div class="choice-grid">${others.map(tag => tagCheckbox(tag)).join('')}</div>
+      </details>
+    `);
+  }
+}
+
+function renderRules(rules) {
+  ruleListEl.innerHTML = rules.map(rule => `
+    <li data-search="${escapeHtml(`${rule.ruleId} ${rule.help} ${rule.tags.join(' ')}`.toLowerCase())}">
+      <label>
+        <input type="checkbox" name="rule" value="${escapeHtml(rule.ruleId)}" />
+        <span>
+          <strong>${escapeHtml(rule.ruleId)}</strong>
+          <span class="rule-help">${escapeHtml(rule.help)}</span>
+        </span>
+      </label>
+    </li>
+  `).join('');
+}
+
+function updateRuleSummary() {
+  const boxes = ruleListEl.querySelectorAll('input[name="rule"]');
+  const disabled = Array.from(boxes).filter(box => !box.checked).length;
+  ruleSummaryEl.textContent = `${boxes.length - disabled} of ${boxes.length} rules enabled.`;
+}
+
+function filterRules() {
+  const query = ruleFilterEl.value.trim().toLowerCase();
+  ruleListEl.querySelectorAll('li').forEach(item => {
+    item.hidden = query !== '' && !item.dataset.search.includes(query);
+  });
+}
+
+/* ---------------- Form state ---------------- */
+
+function checkedValues(name) {
+  return Array.from(form.querySelectorAll(`input[name="${name}"]`))
+    .filter(box => box.checked)
+    .map(box => box.value);
+}
+
+// values: settings or a profile; DOM timings and re-scans always come from settings
+function fillForm(values) {
+  form.querySelectorAll('input[name="tag"]').forEach(box => {
+    box.checked = values.tags.includes(box.value);
+  });
+  form.querySelectorAll('input[name="impact"]').forEach(box => {
+    box.checked = values.impacts.includes(box.value);
+  });
+  form.querySelectorAll('input[name="rule"]').forEach(box => {
+    box.checked = !values.disabledRules.includes(box.value);
+  });
+  document.getElementById('iframes').checked = values.iframes;
+  document.getElementById('include').value = values.include.join(', ');
+  document.getElementById('exclude').value = values.exclude.join(', ');
+  document.getElementById('domQuietMs').value = settings.domQuietMs;
+  document.getElementById('domSettleMs').value = settings.domSettleMs;
+  document.getElementById('incremental').checked = settings.incremental;
+  updateRuleSummary();
+}
+
+function readForm() {
+  return normalizeScanSettings({
+    tags: checkedValues('tag'),
+    impacts: checkedValues('impact'),
+    disabledRules: Array.from(form.querySelectorAll('input[name="rule"]'))
+      .filter(box => !box.checked)
+      .map(box => box.value),
+    iframes: document.getElementById('iframes').checked,
+    include: [document.getElementById('include').value],
+    exclude: [document.getElementById('exclude').value],
+    incremental: document.getElementById('incremental').checked,
+    domQuietMs: document.getElementById('domQuietMs').value,
+    domSettleMs: document.getElementById('domSettleMs').value
+  });
+}
+
+// Settings shared by every profile
+function sharedValues(values) {
+  const { incremental, domQuietMs, domSettleMs } = values;
+  return { incremental, domQuietMs, domSettleMs };
+}
+
+function profileValues(values) {
+  const { tags, disabledRules, impacts, iframes, include, exclude } = values;
+  return { tags, disabledRules, impacts, iframes, include, exclude };
+}
+
+function showStatus(message, isError = false) {
+  saveStatusEl.textContent = message;
+  saveStatusEl.classList.toggle('error', isError);
+}
+
+function validImpacts() {
+  if (checkedValues('impact').length > 0) return true;
+
+  showStatus('Select at least one impact.', true);
+  form.querySelector('input[name="impact"]').focus();
+  return false;
+}
+
+/* ---------------- Profiles ---------------- */
+
+function editingProfile() {
+  return editingId ? findProfile(listProfiles(userProfiles), editingId) : null;
+}
+
+function renderProfileSelect() {
+  const option = (value, label) => `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`;
+  const profiles = listProfiles(userProfiles);
+
+  profileSelectEl.innerHTML = `
+    ${option('', 'Custom settings')}
+    <optgroup label="Built-in (read-only)">
+      ${profiles.filter(p => p.builtIn).map(p => option(p.id, p.name)).join('')}
+    </optgroup>
+    ${userProfiles.length > 0 ? `
+      <optgroup label="My profiles">
+        ${userProfiles.map(p => option(p.id, p.name)).join('')}
+      </optgroup>
+    ` : ''}
+  `;
+  profileSelectEl.value = editingId;
+
+  const profile = editingProfile();
+  document.getElementById('save').disabled = Boolean(profile?.builtIn);
+  document.getElementById('delete-profile').disabled = !profile || profile.builtIn;
+}
+
+function editProfile(id) {
+  editingId = id;
+  fillForm(editingProfile() || settings);
+  renderProfileSelect();
+  showStatus(editingProfile()?.builtIn
+    ? 'Built-in profiles are read-only. Save a copy under a new name to change it.'
+    : '');
+}
+
+async function persist() {
+  await chrome.storage.sync.set({ scanSettings: settings, scanProfiles: userProfiles });
+}
+
+async function saveAsProfile() {
+  const name = profileNameEl.value.trim();
+  if (!name) {
+    showStatus('Enter a name for the new profile.', true);
+    profileNameEl.focus();
+    return;
+  }
+  if (!validImpacts()) return;
+
+  try {
+    const values = readForm();
+    const profile = normalizeProfile({
+      id: createProfileId(name, listProfiles(userProfiles)),
+      name,
+      ...profileValues(values)
+    });
+
+    userProfiles = [...userProfiles, profile];
+    settings = normalizeScanSettings({ ...settings, ...sharedValues(values) });
+    await persist();
+
+    profileNameEl.value = '';
+    editProfile(profile.id);
+    showStatus(`Profile "${profile.name}" saved.`);
+  } catch (error) {
+    console.error('Profile save error:', error);
+    showStatus(`Could not save profile: ${error.message}`, true);
+  }
+}
+
+async function deleteProfile() {
+  const profile = editingProfile();
+  if (!profile || profile.builtIn) return;
+  if (!window.confirm(`Delete the profile "${profile.name}"?`)) return;
+
+  try {
+    userProfiles = userProfiles.filter(p => p.id !== profile.id);
+    // The popup falls back to custom settings when its profile is gone
+    if (settings.profileId === profile.id) {
+      settings = normalizeScanSettings({ ...settings, profileId: null });
+    }
+    await persist();
+
+    editProfile('');
+    showStatus(`Profile "${profile.name}" deleted.`);
+  } catch (error) {
+    console.error('Profile delete error:', error);
+    showStatus(`Could not delete profile: ${error.message}`, true);
+  }
+}
+
+/* ---------------- Save ---------------- */
+
+async function saveSettings(event) {
+  event.preventDefault();
+
+  const profile = editingProfile();
+  if (profile?.builtIn || !validImpacts()) return;
+
+  try {
+    const values = readForm();
+    if (profile) {
+      userProfiles = userProfiles.map(p =>
+        p.id === profile.id ? normalizeProfile({ ...p, ...profileValues(values) }) : p
+      );
+      settings = normalizeScanSettings({ ...settings, ...sharedValues(values) });
+    } else {
+      settings = normalizeScanSettings({ ...values, profileId: settings.profileId });
+    }
+    await persist();
+
+    // Show what was actually stored (timings may have been clamped)
+    fillForm(editingProfile() || settings);
+    showStatus(profile ? `Profile "${profile.name}" saved.` : 'Settings saved.');
+  } catch (error) {
+    console.error('Settings save error:', error);
+    showStatus(`Could not save settings: ${error.message}`, true);
+  }
+}
+
+function resetForm() {
+  const defaults = normalizeScanSettings(DEFAULT_SCAN_SETTINGS);
+  fillForm(defaults);
+  document.getElementById('domQuietMs').value = defaults.domQuietMs;
+  document.getElementById('domSettleMs').value = defaults.domSettleMs;
+  document.getElementById('incremental').checked = defaults.incremental;
+  showStatus('Defaults restored. Save to apply them.');
+}
+
+/* ---------------- Init ---------------- */
+
+document.addEventListener('DOMContentLoaded', async () => {
+  try {
+    const rules = loadRules();
+    renderTags(collectTags(rules));
+    renderRules(rules);
+  } catch (error) {
+    console.error('Options init error:', error);
+    showStatus(error.message, true);
+  }
+
+  const stored = await chrome.storage.sync.get(['scanSettings', 'scanProfiles']);
+  settings = normalizeScanSettings(stored.scanSettings);
+  userProfiles = listProfiles(stored.scanProfiles).filter(profile => !profile.builtIn);
+  editProfile('');
+
+  form.addEventListener('submit', saveSettings);
+  document.getElementById('reset').addEventListener('click', resetForm);
+  profileSelectEl.addEventListener('change', () => editProfile(profileSelectEl.value));
+  document.getElementById('save-as-profile').addEventListener('click', saveAsProfile);
+  document.getElementById('delete-profile').addEventListener('click', deleteProfile);
+  ruleFilterEl.addEventListener('input', filterRules);
+  ruleListEl.addEventListener('change', updateRuleSummary);
+});
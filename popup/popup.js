@@ -1,11 +1,46 @@
+import { diffScans } from '../shared/scan-diff.js';
+import {
+  applyBaseline,
+  createAcceptance,
+  serializeBaseline,
+  parseBaseline,
+  mergeBaselines
+} from '../shared/baseline.js';
+import { evaluatePolicy } from '../shared/policy-evaluator.js';
+import { normalizeScanSettings, describeScope } from '../shared/scan-settings.js';
+import {
+  listProfiles,
+  findProfile,
+  resolveScanConfig,
+  profileInfo
+} from '../shared/scan-profiles.js';
+import { formatTarget, frameLocalTarget } from '../shared/target-selector.js';
+import { scanWithStrategies, tabKey } from '../background/scanner.js';
+import { findStrategy } from '../shared/scan-strategies.js';
+import { buildSarif } from '../shared/sarif.js';
+import { getFixSnippet } from '../shared/fix-snippets.js';
+import { renderHtmlReport, renderDeltaReport } from '../shared/html-report.js';
+import { buildCsv } from '../shared/csv-report.js';
+import { siteKey } from '../shared/site-key.js';
+
 /* ---------------- State ---------------- */
 
 let policy = null;
 let currentTabId = null;
 let activeResults = null;
+let scanResults = null;
+let activeDiff = null;
+let acceptedIssues = [];
+let scanSettings = normalizeScanSettings();
+let scanProfiles = [];
 let isScanning = false;
+// Aborts the scan in progress (Cancel button)
+let scanController = null;
 let liveRegion = null;
 
+const ELEMENT_LOCATOR = 'content/element-locator.js';
+const ELEMENT_PICKER = ['content/css-path.js', 'content/element-picker.js'];
+
 // Accessible color palette (WCAG 2.1 AA compliant)
 const ACCESSIBLE_COLORS = {
   critical: '#dc2626',    // Darker red for 4.5:1 contrast
@@ -137,10 +172,15 @@ const counts = {
 // Initialize with proper ARIA attributes
 document.addEventListener('DOMContentLoaded', function () {
   setupAccessibilityFeatures();
-  restoreIfExists();
+  restoreScanSettings();
+  restoreWatchState();
+  Promise.all([loadAcceptedIssues(), loadPolicy()]).then(restoreIfExists);
 
   // Setup event listeners with keyboard support
-  document.getElementById('scan').addEventListener('click', runScan);
+  document.getElementById('scan').addEventListener('click', () => runScan());
+  document.getElementById('pick').addEventListener('click', startElementPicker);
+  document.getElementById('cancel-scan').addEventListener('click', cancelScan);
+  document.getElementById('watch').addEventListener('click', toggleWatch);
   document.getElementById('scan').addEventListener('keydown', function (e) {
     if (e.key === 'Enter' || e.key === ' ') runScan();
   });
@@ -155,16 +195,25 @@ document.addEventListener('DOMContentLoaded', function () {
     if (e.key === 'Enter' || e.key === ' ') exportReport('sarif');
   });
 
+  document.getElementById('export-csv').addEventListener('click', () => exportReport('csv'));
+
+  document.getElementById('history').addEventListener('click', toggleHistory);
+  document.getElementById('profile').addEventListener('change', (e) => selectProfile(e.target.value));
+
+  // Persist impact options so keyboard-command scans use them too
+  ['includeModerate', 'includeMinor'].forEach(id => {
+    document.getElementById(id)?.addEventListener('change', saveScanSettings);
+  });
+  ['scopeInclude', 'scopeExclude'].forEach(id => {
+    document.getElementById(id)?.addEventListener('change', saveScope);
+  });
+
   // Setup keyboard navigation
   setupKeyboardNavigation();
 });
 
 /* ---------------- Helpers ---------------- */
 
-function tabKey(tab) {
-  return `${tab.id}:${tab.url}`;
-}
-
 function createFocusTrap(container) {
   const focusableElements = container.querySelectorAll(
     'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
@@ -195,6 +244,285 @@ function createFocusTrap(container) {
   };
 }
 
+/* ---------------- Settings ---------------- */
+
+function selectedProfile() {
+  return scanSettings.profileId
+    ? findProfile(listProfiles(scanProfiles), scanSettings.profileId)
+    : null;
+}
+
+// Critical and serious come from the options page; the popup toggles the rest
+function selectedImpacts() {
+  const impacts = scanSettings.impacts.filter(impact => impact === 'critical' || impact === 'serious');
+  if (document.getElementById('includeModerate')?.checked) impacts.push('moderate');
+  if (document.getElementById('includeMinor')?.checked) impacts.push('minor');
+  return impacts;
+}
+
+async function restoreScanSettings() {
+  try {
+    const stored = await chrome.storage.sync.get(['scanSettings', 'scanProfiles']);
+    scanSettings = normalizeScanSettings(stored.scanSettings);
+    scanProfiles = Array.isArray(stored.scanProfiles) ? stored.scanProfiles : [];
+
+    renderProfileOptions();
+    syncImpactOptions();
+    syncScopeOptions();
+  } catch (error) {
+    console.error('Settings restore error:', error);
+  }
+}
+
+function renderProfileOptions() {
+  const select = document.getElementById('profile');
+  if (!select) return;
+
+  const profiles = listProfiles(scanProfiles);
+  const option = (value, label) => `<option value="${escapeHtml(value)}">${escapeHtml(label)}</option>`;
+
+  select.innerHTML = `
+    ${option('', 'Custom settings')}
+    <optgroup label="Built-in">
+      ${profiles.filter(p => p.builtIn).map(p => option(p.id, p.name)).join('')}
+    </optgroup>
+    ${profiles.some(p => !p.builtIn) ? `
+      <optgroup label="My profiles">
+        ${profiles.filter(p => !p.builtIn).map(p => option(p.id, p.name)).join('')}
+      </optgroup>
+    ` : ''}
+  `;
+  select.value = selectedProfile()?.id || '';
+}
+
+// A profile carries its own impacts, so the checkboxes only apply to custom settings
+function syncImpactOptions() {
+  const profile = selectedProfile();
+  const impacts = profile ? profile.impacts : scanSettings.impacts;
+
+  ['moderate', 'minor'].forEach(impact => {
+    const box = document.getElementById(`include${impact[0].toUpperCase()}${impact.slice(1)}`);
+    if (!box) return;
+    box.checked = impacts.includes(impact);
+    box.disabled = Boolean(profile);
+  });
+}
+
+// The popup scope replaces the profile's own; the placeholders show that one
+function syncScopeOptions() {
+  const includeEl = document.getElementById('scopeInclude');
+  const excludeEl = document.getElementById('scopeExclude');
+  if (!includeEl || !excludeEl) return;
+
+  const profile = selectedProfile();
+  includeEl.value = scanSettings.include.join(', ');
+  excludeEl.value = scanSettings.exclude.join(', ');
+  includeEl.placeholder = profile?.include.length > 0 ? profile.include.join(', ') : 'Whole page, e.g. #checkout-form';
+  excludeEl.placeholder = profile?.exclude.length > 0 ? profile.exclude.join(', ') : 'e.g. .third-party-chat';
+
+  document.getElementById('scope').open = scanSettings.include.length > 0 || scanSettings.exclude.length > 0;
+}
+
+async function selectProfile(profileId) {
+  try {
+    scanSettings = normalizeScanSettings({ ...scanSettings, profileId });
+    syncImpactOptions();
+    syncScopeOptions();
+    await chrome.storage.sync.set({ scanSettings });
+
+    const profile = selectedProfile();
+    announceToScreenReader(profile ? `Scan profile: ${profile.name}` : 'Using custom scan settings');
+  } catch (error) {
+    console.error('Profile select error:', error);
+  }
+}
+
+async function saveScanSettings() {
+  try {
+    scanSettings = normalizeScanSettings({ ...scanSettings, impacts: selectedImpacts() });
+    await chrome.storage.sync.set({ scanSettings });
+  } catch (error) {
+    console.error('Settings save error:', error);
+  }
+}
+
+async function saveScope() {
+  try {
+    scanSettings = normalizeScanSettings({
+      ...scanSettings,
+      include: [document.getElementById('scopeInclude').value],
+      exclude: [document.getElementById('scopeExclude').value]
+    });
+    await chrome.storage.sync.set({ scanSettings });
+
+    const { config } = resolveScanConfig(scanSettings, scanProfiles);
+    announceToScreenReader(`Scan scope: ${describeScope(config.scope)}`);
+  } catch (error) {
+    console.error('Scope save error:', error);
+  }
+}
+
+/* ---------------- Baseline ---------------- */
+
+async function loadAcceptedIssues() {
+  try {
+    const { acceptedIssues: stored } = await chrome.storage.local.get('acceptedIssues');
+    acceptedIssues = Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    console.error('Baseline load error:', error);
+    acceptedIssues = [];
+  }
+}
+
+async function saveAcceptedIssues(entries) {
+  acceptedIssues = entries;
+  await chrome.storage.local.set({ acceptedIssues });
+
+  // Re-apply the baseline to the scan on screen
+  if (scanResults) {
+    resetUI();
+    renderResults(scanResults);
+  }
+}
+
+async function acceptIssue(violation, node, justification, author) {
+  const currentPolicy = await loadPolicy();
+  const entry = createAcceptance({
+    ruleId: violation.id,
+    node,
+    url: scanResults?.url,
+    justification,
+    author,
+    baselinePolicy: currentPolicy.baseline || {}
+  });
+
+  await chrome.storage.local.set({ baselineAuthor: entry.author });
+  await saveAcceptedIssues(mergeBaselines(acceptedIssues, [entry]));
+  announceToScreenReader(`Issue accepted until ${new Date(entry.expiresAt).toLocaleDateString()}`);
+}
+
+async function revokeAcceptance(fingerprint, site) {
+  await saveAcceptedIssues(
+    acceptedIssues.filter(entry => !(entry.fingerprint === fingerprint && entry.site === site))
+  );
+  announceToScreenReader('Acceptance revoked; the issue is failing again');
+}
+
+async function showAcceptForm(container, violation, node) {
+  if (container.querySelector('.accept-form')) return;
+
+  const currentPolicy = await loadPolicy();
+  const { baselineAuthor = '' } = await chrome.storage.local.get('baselineAuthor');
+  const expiryDays = currentPolicy.baseline?.expiryDays || 30;
+
+  const form = document.createElement('form');
+  form.className = 'accept-form';
+  form.innerHTML = `
+    <p>Accepted issues are counted separately and fail again after ${expiryDays} days.</p>
+    <label>Justification
+      <textarea name="justification" rows="2" ${currentPolicy.baseline?.requireJustification === false ? '' : 'required'}></textarea>
+    </label>
+    <label>Author
+      <input name="author" type="text" value="${escapeHtml(baselineAuthor)}" required />
+    </label>
+    <div class="error-text" role="alert"></div>
+    <div class="actions">
+      <button type="submit" class="primary">Accept issue</button>
+      <button type="button" class="cancel">Cancel</button>
+    </div>
+  `;
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    try {
+      await acceptIssue(violation, node, form.justification.value, form.author.value);
+    } catch (error) {
+      form.querySelector('.error-text').textContent = error.message;
+    }
+  });
+  form.querySelector('.cancel').addEventListener('click', () => form.remove());
+
+  container.appendChild(form);
+  form.justification.focus();
+}
+
+function exportBaseline() {
+  const blob = new Blob([serializeBaseline(acceptedIssues)], { type: 'application/json' });
+  const filename = `accessibility-baseline-${new Date().toISOString().split('T')[0]}.json`;
+
+  chrome.downloads.download({
+    url: URL.createObjectURL(blob),
+    filename: filename,
+    saveAs: true
+  });
+
+  announceToScreenReader(`Baseline exported as ${filename}`);
+}
+
+async function importBaseline(file) {
+  try {
+    const currentPolicy = await loadPolicy();
+    const { entries, skipped } = parseBaseline(await file.text(), currentPolicy.baseline || {});
+    await saveAcceptedIssues(mergeBaselines(acceptedIssues, entries));
+
+    if (skipped.length > 0) {
+      console.warn('Baseline entries skipped:', skipped);
+    }
+    announceToScreenReader(skipped.length > 0
+      ? `Imported ${entries.length} accepted issues; skipped ${skipped.length} without a justification, author or valid expiry`
+      : `Imported ${entries.length} accepted issues`);
+  } catch (error) {
+    console.error('Baseline import error:', error);
+    announceToScreenReader(`Baseline import failed: ${error.message}`, 'assertive');
+  }
+}
+
+function renderBaselineSection(results) {
+  const accepted = results.accepted || [];
+  const expired = results.baseline?.expired || 0;
+
+  const section = document.createElement('div');
+  section.className = 'baseline-section';
+  section.setAttribute('role', 'complementary');
+  section.setAttribute('aria-label', 'Accepted issues');
+
+  const items = accepted.flatMap(v => v.nodes.map(node => `
+    <li>
+      <strong>${escapeHtml(v.id)}</strong> <code>${escapeHtml(formatTarget(node.target))}</code>
+      <p>${escapeHtml(node.acceptance.justification)}</p>
+      <p class="baseline-meta">
+        Accepted by ${escapeHtml(node.acceptance.author)} ·
+        expires ${escapeHtml(new Date(node.acceptance.expiresAt).toLocaleDateString())}
+      </p>
+      <button class="revoke" data-fingerprint="${escapeHtml(node.acceptance.fingerprint)}" data-site="${escapeHtml(node.acceptance.site)}">Revoke</button>
+    </li>
+  `)).join('');
+
+  section.innerHTML = `
+    <h2>Accepted Issues (${results.baseline?.accepted || 0})</h2>
+    ${expired > 0 ? `<p role="alert">${expired} accepted issue${expired === 1 ? ' has' : 's have'} expired and ${expired === 1 ? 'is' : 'are'} failing again.</p>` : ''}
+    ${items ? `<ul>${items}</ul>` : '<p>No issues on this page are accepted.</p>'}
+    <div class="actions">
+      <button class="export-baseline">Export baseline</button>
+      <button class="import-baseline">Import baseline</button>
+      <input type="file" accept="application/json,.json" class="sr-only baseline-file" tabindex="-1" aria-hidden="true" />
+    </div>
+  `;
+
+  section.querySelectorAll('.revoke').forEach(btn => {
+    btn.addEventListener('click', () => revokeAcceptance(btn.dataset.fingerprint, btn.dataset.site));
+  });
+
+  const fileInput = section.querySelector('.baseline-file');
+  section.querySelector('.export-baseline').addEventListener('click', exportBaseline);
+  section.querySelector('.import-baseline').addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', () => {
+    if (fileInput.files?.[0]) importBaseline(fileInput.files[0]);
+  });
+
+  return section;
+}
+
 /* ---------------- Restore ---------------- */
 
 async function restoreIfExists() {
@@ -225,10 +553,373 @@ async function restoreIfExists() {
   }
 }
 
+/* ---------------- Watch Mode ---------------- */
+
+function setWatchPressed(enabled) {
+  const button = document.getElementById('watch');
+  button.setAttribute('aria-pressed', String(enabled));
+  button.textContent = enabled ? 'Watching' : 'Watch';
+}
+
+async function restoreWatchState() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab?.id) return;
+
+    const { enabled } = await chrome.runtime.sendMessage({ type: 'GET_A11Y_WATCH', tabId: tab.id });
+    setWatchPressed(enabled);
+  } catch (error) {
+    console.error('Watch state error:', error);
+  }
+}
+
+async function toggleWatch() {
+  const enabled = document.getElementById('watch').getAttribute('aria-pressed') !== 'true';
+
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab?.id) {
+      throw new Error('No active tab available');
+    }
+
+    const response = await chrome.runtime.sendMessage({ type: 'SET_A11Y_WATCH', tabId: tab.id, enabled });
+    if (!response?.ok) {
+      throw new Error(response?.error || 'Watch mode could not be changed');
+    }
+
+    setWatchPressed(enabled);
+    statusEl.textContent = enabled
+      ? 'Watch mode on: the page is re-scanned whenever it changes'
+      : 'Watch mode off';
+    announceToScreenReader(statusEl.textContent);
+  } catch (error) {
+    console.error('Watch toggle error:', error);
+    statusEl.textContent = `Cannot watch this page: ${error.message}`;
+    announceToScreenReader('Watch mode could not be changed');
+  }
+}
+
+// Watch mode re-scans arrive while the popup is open
+async function showWatchUpdate(key) {
+  if (isScanning || !historyEl.hidden) return;
+
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab?.id || tabKey(tab) !== key) return;
+
+    const { results } = await chrome.runtime.sendMessage({ type: 'GET_A11Y_RESULTS', key });
+    if (!results) return;
+
+    resetUI();
+    renderResults(results);
+    statusEl.textContent = 'Updated by watch mode';
+    announceToScreenReader(`Page changed. Found ${results.violations?.length || 0} rule violations.`);
+  } catch (error) {
+    console.error('Watch update error:', error);
+  }
+}
+
+chrome.runtime.onMessage.addListener((msg) => {
+  if (msg?.type === 'A11Y_RESULTS_UPDATED') showWatchUpdate(msg.key);
+});
+
+/* ---------------- History ---------------- */
+
+const historyEl = document.getElementById('history-view');
+
+function setHistoryVisible(showHistory) {
+  const button = document.getElementById('history');
+
+  historyEl.hidden = !showHistory;
+  resultsEl.hidden = showHistory;
+  button.textContent = showHistory ? 'Results' : 'History';
+  button.setAttribute('aria-pressed', String(showHistory));
+}
+
+async function toggleHistory() {
+  const showHistory = historyEl.hidden;
+  setHistoryVisible(showHistory);
+
+  if (showHistory) {
+    await renderHistory();
+  } else {
+    announceToScreenReader('Showing scan results');
+  }
+}
+
+async function renderHistory() {
+  historyEl.innerHTML = '<p>Loading scan history…</p>';
+
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab?.url) {
+      historyEl.innerHTML = '<p>No active tab found.</p>';
+      return;
+    }
+
+    const { entries = [] } = await chrome.runtime.sendMessage({
+      type: 'GET_A11Y_HISTORY',
+      url: tab.url
+    });
+
+    const site = siteKey(tab.url);
+
+    if (entries.length === 0) {
+      historyEl.innerHTML = `
+        <h2>Scan History</h2>
+        <p class="history-site">${escapeHtml(site)}</p>
+        <p>No scans recorded for this page yet. Run a scan to start the timeline.</p>
+      `;
+      announceToScreenReader('No scan history for this page');
+      return;
+    }
+
+    const rows = entries.slice().reverse().map(entry => `
+      <tr>
+        <td>${escapeHtml(new Date(entry.timestamp).toLocaleString())}</td>
+        <td class="count">${entry.severityCounts.critical}</td>
+        <td class="count">${entry.severityCounts.serious}</td>
+        <td class="count">${entry.severityCounts.moderate}</td>
+        <td class="count">${entry.severityCounts.minor}</td>
+        <td>${escapeHtml(entry.axeVersion || '—')}</td>
+        <td>${escapeHtml((entry.config?.tags || []).join(', ') || 'All rules')}</td>
+      </tr>
+    `).join('');
+
+    historyEl.innerHTML = `
+      <h2>Scan History (${entries.length})</h2>
+      <p class="history-site">${escapeHtml(site)}</p>
+      ${renderTrendChart(entries)}
+      <table class="history-table">
+        <caption class="sr-only">Past scans of this page, newest first</caption>
+        <thead>
+          <tr>
+            <th scope="col">Scanned</th>
+            <th scope="col">Critical</th>
+            <th scope="col">Serious</th>
+            <th scope="col">Moderate</th>
+            <th scope="col">Minor</th>
+            <th scope="col">axe</th>
+            <th scope="col">Tags</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+      ${entries.length >= 2 ? renderDiffControls(entries) : ''}
+      <div id="diff-view" class="diff-view"></div>
+      <div class="history-actions">
+        <button id="clear-history">Clear history</button>
+      </div>
+    `;
+
+    document.getElementById('clear-history').addEventListener('click', async () => {
+      await chrome.runtime.sendMessage({ type: 'CLEAR_A11Y_HISTORY', url: tab.url });
+      announceToScreenReader('Scan history cleared');
+      renderHistory();
+    });
+
+    document.getElementById('run-diff')?.addEventListener('click', () => {
+      compareScans(
+        Number(document.getElementById('diff-base').value),
+        Number(document.getElementById('diff-target').value)
+      );
+    });
+
+    announceToScreenReader(`Showing ${entries.length} past scans for this page`);
+  } catch (error) {
+    console.error('History error:', error);
+    historyEl.innerHTML = `<p class="error" role="alert">Could not load scan history: ${escapeHtml(error.message)}</p>`;
+  }
+}
+
+/* ---------------- Scan Diff ---------------- */
+
+function renderDiffControls(entries) {
+  const newestFirst = entries.slice().reverse();
+  const options = selectedId => newestFirst.map(entry => `
+    <option value="${entry.id}" ${entry.id === selectedId ? 'selected' : ''}>
+      ${escapeHtml(new Date(entry.timestamp).toLocaleString())} · ${entry.violations} rules failed
+    </option>
+  `).join('');
+
+  return `
+    <fieldset class="diff-controls">
+      <legend>Compare two scans</legend>
+      <label>Earlier scan
+        <select id="diff-base">${options(newestFirst[1].id)}</select>
+      </label>
+      <label>Later scan
+        <select id="diff-target">${options(newestFirst[0].id)}</select>
+      </label>
+      <button id="run-diff">Compare</button>
+    </fieldset>
+  `;
+}
+
+async function loadHistoryScan(id) {
+  const { entry } = await chrome.runtime.sendMessage({ type: 'GET_A11Y_HISTORY_ENTRY', id });
+  if (!entry) {
+    throw new Error('That scan is no longer in the history');
+  }
+
+  return {
+    url: entry.url,
+    timestamp: entry.timestamp,
+    axeVersion: entry.axeVersion,
+    violations: entry.findings || []
+  };
+}
+
+async function compareScans(baseId, targetId) {
+  const diffEl = document.getElementById('diff-view');
+
+  if (baseId === targetId) {
+    diffEl.innerHTML = '<p role="alert">Choose two different scans to compare.</p>';
+    return;
+  }
+
+  try {
+    const scans = await Promise.all([loadHistoryScan(baseId), loadHistoryScan(targetId)]);
+    // New and fixed are relative to the earlier scan, whichever way round
+    // the two were picked
+    const [earlier, later] = scans.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    activeDiff = diffScans(earlier, later);
+    renderDiff(activeDiff);
+  } catch (error) {
+    console.error('Diff error:', error);
+    diffEl.innerHTML = `<p class="error" role="alert">Could not compare scans: ${escapeHtml(error.message)}</p>`;
+  }
+}
+
+function renderDiffGroup(title, groups, open) {
+  const count = groups.reduce((sum, g) => sum + g.nodes.length, 0);
+
+  return `
+    <details class="diff-group" ${open ? 'open' : ''}>
+      <summary>${title} (${count})</summary>
+      ${groups.length === 0 ? '<p class="diff-empty">None</p>' : groups.map(group => `
+        <div class="diff-rule ${escapeHtml(group.impact || '')}">
+          <h4>${escapeHtml(group.help || group.id)} <span class="diff-rule-id">${escapeHtml(group.id)}</span></h4>
+          <ul>
+            ${group.nodes.map(node => `
+              <li>
+                <code>${escapeHtml(formatTarget(node.target))}</code>
+                ${node.html ? `<pre><code>${escapeHtml(node.html.substring(0, 200))}</code></pre>` : ''}
+              </li>
+            `).join('')}
+          </ul>
+        </div>
+      `).join('')}
+    </details>
+  `;
+}
+
+function renderDiff(diff) {
+  const diffEl = document.getElementById('diff-view');
+  const { summary } = diff;
+
+  diffEl.innerHTML = `
+    <h3>Delta</h3>
+    <p class="diff-summary">${summary.new} new · ${summary.fixed} fixed · ${summary.unchanged} unchanged</p>
+    ${renderDiffGroup('New violations', diff.new, true)}
+    ${renderDiffGroup('Fixed', diff.fixed, summary.new === 0)}
+    ${renderDiffGroup('Unchanged', diff.unchanged, false)}
+    <div class="history-actions">
+      <button id="export-delta-html">Delta HTML</button>
+      <button id="export-delta-json">Delta JSON</button>
+    </div>
+  `;
+
+  document.getElementById('export-delta-html').addEventListener('click', () => exportDeltaReport('html'));
+  document.getElementById('export-delta-json').addEventListener('click', () => exportDeltaReport('json'));
+
+  announceToScreenReader(`${summary.new} new, ${summary.fixed} fixed and ${summary.unchanged} unchanged issues`);
+}
+
+function exportDeltaReport(type) {
+  if (!activeDiff) {
+    announceToScreenReader('No comparison to export', 'assertive');
+    return;
+  }
+
+  try {
+    const isHtml = type === 'html';
+    const blob = isHtml
+      ? new Blob([renderDeltaReport(activeDiff)], { type: 'text/html' })
+      : new Blob([JSON.stringify({ reportType: 'delta', ...activeDiff }, null, 2)], { type: 'application/json' });
+
+    const filename = `accessibility-delta-${new Date().toISOString().split('T')[0]}.${isHtml ? 'html' : 'json'}`;
+
+    chrome.downloads.download({
+      url: URL.createObjectURL(blob),
+      filename: filename,
+      saveAs: true
+    });
+
+    announceToScreenReader(`Delta report exported as ${filename}`);
+  } catch (error) {
+    console.error('Delta export error:', error);
+    announceToScreenReader('Failed to export delta report', 'assertive');
+  }
+}
+
+/**
+ * Line chart of critical and serious counts across scans (oldest to newest)
+ */
+function renderTrendChart(entries) {
+  const width = 480;
+  const height = 160;
+  const pad = { top: 12, right: 12, bottom: 20, left: 28 };
+  const series = [
+    { key: 'critical', label: 'Critical', color: ACCESSIBLE_COLORS.critical },
+    { key: 'serious', label: 'Serious', color: ACCESSIBLE_COLORS.serious }
+  ];
+
+  const max = Math.max(1, ...entries.flatMap(e => series.map(s => e.severityCounts[s.key] || 0)));
+  const plotWidth = width - pad.left - pad.right;
+  const plotHeight = height - pad.top - pad.bottom;
+
+  const x = i => pad.left + (entries.length === 1 ? plotWidth / 2 : (i / (entries.length - 1)) * plotWidth);
+  const y = v => pad.top + plotHeight - (v / max) * plotHeight;
+
+  const lines = series.map(s => {
+    const points = entries.map((e, i) => `${x(i).toFixed(1)},${y(e.severityCounts[s.key] || 0).toFixed(1)}`);
+    const dots = entries.map((e, i) => `
+      <circle cx="${x(i).toFixed(1)}" cy="${y(e.severityCounts[s.key] || 0).toFixed(1)}" r="3" fill="${s.color}">
+        <title>${escapeHtml(`${s.label}: ${e.severityCounts[s.key] || 0} (${new Date(e.timestamp).toLocaleString()})`)}</title>
+      </circle>
+    `).join('');
+    return `<polyline points="${points.join(' ')}" fill="none" stroke="${s.color}" stroke-width="2" />${dots}`;
+  }).join('');
+
+  const first = entries[0].severityCounts;
+  const last = entries[entries.length - 1].severityCounts;
+  const description = `Over ${entries.length} scans, critical issues went from ${first.critical} to ${last.critical} and serious issues from ${first.serious} to ${last.serious}.`;
+
+  return `
+    <figure class="trend-chart">
+      <svg viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeHtml(description)}">
+        <line x1="${pad.left}" y1="${pad.top + plotHeight}" x2="${width - pad.right}" y2="${pad.top + plotHeight}" stroke="#d0d7de" />
+        <line x1="${pad.left}" y1="${pad.top}" x2="${pad.left}" y2="${pad.top + plotHeight}" stroke="#d0d7de" />
+        <text x="${pad.left - 6}" y="${pad.top + 4}" font-size="10" text-anchor="end" fill="#57606a">${max}</text>
+        <text x="${pad.left - 6}" y="${pad.top + plotHeight}" font-size="10" text-anchor="end" fill="#57606a">0</text>
+        ${lines}
+      </svg>
+      <figcaption class="trend-legend">
+        ${series.map(s => `<span><span class="swatch" style="background:${s.color}"></span>${s.label}</span>`).join('')}
+      </figcaption>
+    </figure>
+  `;
+}
+
 /* ---------------- Page helpers ---------------- */
 
-function highlightNode(selector) {
-  const el = document.querySelector(selector);
+// highlightNode, clearHighlight and inspectNode are injected into the page
+// (or frame) with chrome.scripting, so they may only use their arguments and
+// window.locateA11yElement from content/element-locator.js
+
+function highlightNode(target, colors) {
+  const el = window.locateA11yElement(target);
   if (!el) return;
 
   // Check for reduced motion preference (WCAG 2.3.3)
@@ -247,24 +938,20 @@ function highlightNode(selector) {
       position: fixed;
       pointer-events: none;
       z-index: 2147483647;
-      border: 3px dashed ${ACCESSIBLE_COLORS.critical};
-      background: ${ACCESSIBLE_COLORS.overlay};
+      border: 3px dashed ${colors.critical};
+      background: ${colors.overlay};
       outline: 2px solid rgba(0, 0, 0, 0.5);
       outline-offset: 2px;
       box-sizing: border-box;
       transition: ${prefersReducedMotion ? 'none' : 'all 0.3s ease'};
     `;
     document.body.appendChild(overlay);
-
-    announceToScreenReader('Element highlighted for accessibility review');
   }
 
+  // The overlay is fixed, so viewport coordinates need no scroll offset
   const r = el.getBoundingClientRect();
-  const scrollY = window.scrollY;
-  const scrollX = window.scrollX;
-
-  overlay.style.top = `${r.top + scrollY}px`;
-  overlay.style.left = `${r.left + scrollX}px`;
+  overlay.style.top = `${r.top}px`;
+  overlay.style.left = `${r.left}px`;
   overlay.style.width = `${r.width}px`;
   overlay.style.height = `${r.height}px`;
 
@@ -287,12 +974,11 @@ function clearHighlight() {
     } else {
       overlay.remove();
     }
-    announceToScreenReader('Highlight cleared');
   }
 }
 
-function inspectNode(selector) {
-  const el = document.querySelector(selector);
+function inspectNode(target, outlineColor) {
+  const el = window.locateA11yElement(target);
   if (!el) return;
 
   // Scroll with reduced motion consideration
@@ -307,7 +993,7 @@ function inspectNode(selector) {
   const originalOutline = el.style.outline;
   const originalOutlineOffset = el.style.outlineOffset;
 
-  el.style.outline = `3px solid ${ACCESSIBLE_COLORS.critical}`;
+  el.style.outline = `3px solid ${outlineColor}`;
   el.style.outlineOffset = '3px';
   el.setAttribute('tabindex', '-1');
   el.focus({ preventScroll: true });
@@ -317,8 +1003,36 @@ function inspectNode(selector) {
     el.style.outlineOffset = originalOutlineOffset;
     el.removeAttribute('tabindex');
   }, 2000);
+}
+
+async function runInFrame(frameId, func, args) {
+  const target = { tabId: currentTabId, frameIds: [frameId] };
+
+  try {
+    await chrome.scripting.executeScript({ target, files: [ELEMENT_LOCATOR] });
+    await chrome.scripting.executeScript({ target, func, args });
+  } catch (error) {
+    console.error('Page action failed:', error);
+  }
+}
 
-  announceToScreenReader('Element inspected and focused');
+/**
+ * Run a page helper against a result node in the frame it was found in.
+ * Frame nodes carry `frame.frameId`; everything else lives in the top document
+ * (older results may still hold a full frame chain, walked from the top).
+ */
+function runInNodeFrame(node, func, args = []) {
+  return runInFrame(node.frame?.frameId ?? 0, func, [frameLocalTarget(node), ...args]);
+}
+
+// Scroll the outermost frame holding a node into view before inspecting it
+async function revealNodeFrame(node) {
+  const outerFrame = node.frame?.selectors?.[0];
+  if (!outerFrame) return;
+
+  await runInFrame(0, (target) => {
+    window.locateA11yElement(target)?.scrollIntoView({ block: 'center' });
+  }, [[outerFrame]]);
 }
 
 /* ---------------- Keyboard Navigation ---------------- */
@@ -362,15 +1076,26 @@ function setupKeyboardNavigation() {
 
 /* ---------------- Improved Scan Configuration ---------------- */
 
-async function runScan() {
+/**
+ * Scan the active tab with the selected profile or settings
+ * @param {object} [options]
+ * @param {object} [options.overrides] Config that replaces the settings (e.g. a picked element's scope)
+ * @param {object} [options.metadata] Extra result metadata
+ * @param {string} [options.strategy] Strategy to start with (see shared/scan-strategies.js);
+ *   lighter ones are tried automatically if it fails
+ */
+async function runScan({ overrides = {}, metadata = {}, strategy = 'full' } = {}) {
   if (isScanning) return;
 
   try {
     isScanning = true;
+    scanController = new AbortController();
     resetUI();
-    statusEl.textContent = 'Scanning page for accessibility issues…';
+    statusEl.textContent = strategy === 'full'
+      ? 'Scanning page for accessibility issues…'
+      : `Starting ${findStrategy(strategy).label.toLowerCase()}…`;
     statusEl.setAttribute('aria-busy', 'true');
-    announceToScreenReader('Starting comprehensive accessibility scan. Please wait.');
+    announceToScreenReader('Starting accessibility scan. Please wait.');
 
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
     if (!tab?.id) {
@@ -379,90 +1104,35 @@ async function runScan() {
 
     currentTabId = tab.id;
 
-    // Get user preferences
-    const impacts = ['critical', 'serious'];
-    if (document.getElementById('includeModerate')?.checked) impacts.push('moderate');
-    if (document.getElementById('includeMinor')?.checked) impacts.push('minor');
-
-    // Check if page is accessible
-    try {
-      await chrome.scripting.executeScript({
-        target: { tabId: tab.id },
-        func: () => {
-          if (document.readyState !== 'complete') {
-            throw new Error('Page is still loading. Please wait and try again.');
-          }
-          return true;
-        }
-      });
-    } catch (e) {
-      throw new Error(`Cannot access page: ${e.message}. Ensure the page is fully loaded and not a restricted page.`);
-    }
-
-    // Inject axe-core
-    await chrome.scripting.executeScript({
-      target: { tabId: tab.id, allFrames: false },
-      files: ['vendor/axe.min.js', 'content/axe-runner.js']
-    });
+    // Get user preferences (selected profile, or options page + impact checkboxes)
+    const { profile, config: settingsConfig } = resolveScanConfig(
+      { ...scanSettings, impacts: selectedImpacts() },
+      scanProfiles
+    );
 
-    // FIXED CONFIGURATION - Tests ALL accessibility rules
+    // Tags, disabled rules, impacts and iframes come from the profile or the
+    // options page; no tags means every standard axe-core supports
     const scanConfig = {
-      // REMOVED runOnly restriction to test EVERYTHING
-      // This will test: WCAG 2.0/2.1/2.2 A/AA/AAA, Section 508, best practices, etc.
-      impactLevels: impacts,
+      ...settingsConfig,
       resultTypes: ['violations', 'passes', 'incomplete', 'inapplicable'],
-      iframes: false,
       elementRef: false,
-      restoreScroll: false
-      // No 'rules' specified = use ALL default rules
+      restoreScroll: false,
+      ...overrides
     };
 
-    console.log('Running comprehensive scan with config:', scanConfig);
-
-    await chrome.scripting.executeScript({
-      target: { tabId: tab.id },
-      func: (config) => {
-        try {
-          return window.runA11yScan(config);
-        } catch (error) {
-          window.__A11Y_SCAN_ERROR__ = error.message;
-          throw error;
-        }
+    const signal = scanController.signal;
+    const result = await untilAborted(scanWithStrategies(tab, scanConfig, {
+      strategy,
+      onProgress: trackScanProgress(),
+      onFallback: (next, error) => {
+        console.warn('[A11Y] Scan failed, falling back:', error);
+        announceToScreenReader(`Scan failed. Trying ${next.label.toLowerCase()}.`);
       },
-      args: [scanConfig]
-    });
+      signal
+    }), signal);
+    if (signal.aborted) throw abortError();
 
-    // Poll for results
-    let result;
-    const maxAttempts = 50;
-    for (let i = 0; i < maxAttempts; i++) {
-      const [{ result: r }] = await chrome.scripting.executeScript({
-        target: { tabId: tab.id },
-        func: () => ({
-          result: window.__A11Y_SCAN_RESULT__,
-          error: window.__A11Y_SCAN_ERROR__
-        })
-      });
-
-      if (r?.error) {
-        throw new Error(`Scan failed: ${r.error}`);
-      }
-
-      if (r?.result) {
-        result = r.result;
-        break;
-      }
-
-      await new Promise(resolve => setTimeout(resolve, 100));
-    }
-
-    if (!result) {
-      throw new Error('Accessibility scan timed out.');
-    }
-
-    // Add metadata
-    result.url = tab.url;
-    result.timestamp = new Date().toISOString();
+    result.metadata = { ...result.metadata, profile: profileInfo(profile), ...metadata };
 
     // Save results
     await chrome.runtime.sendMessage({
@@ -473,90 +1143,160 @@ async function runScan() {
 
     // Render results
     renderResults(result);
-    announceToScreenReader(`Comprehensive scan complete. Found ${result.violations?.length || 0} rule violations with ${result.violations?.reduce((sum, v) => sum + (v.nodes?.length || 0), 0) || 0} total issues.`);
+    const kind = result.partialScan ? 'Partial scan' : 'Scan';
+    announceToScreenReader(`${kind} complete. Found ${result.violations?.length || 0} rule violations with ${result.violations?.reduce((sum, v) => sum + (v.nodes?.length || 0), 0) || 0} total issues.`);
 
   } catch (error) {
     console.error('Scan error:', error);
     handleScanError(error);
   } finally {
     isScanning = false;
+    scanController = null;
+    hideScanProgress();
     statusEl.setAttribute('aria-busy', 'false');
   }
 }
 
-/* ---------------- Simplified Scan Fallback ---------------- */
+/* ---------------- Element Picker ---------------- */
 
-async function attemptSimplifiedScan(tabId, standards, impacts) {
-  updateScanProgress(60, 'Trying simplified scan...');
+// The popup closes as soon as the page is clicked, so the picker hands the
+// selector to the service worker, which scans and stores the result
+async function startElementPicker() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab?.id) {
+      throw new Error('No active tab available');
+    }
 
-  const simpleConfig = {
-    runOnly: {
-      type: 'tag',
-      values: ['wcag2a', 'wcag2aa'] // Most basic rules only
-    },
-    impactLevels: impacts,
-    iframes: false, // Definitely no iframes
-    elementRef: false,
-    restoreScroll: false
-  };
+    await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      files: ELEMENT_PICKER
+    });
+    window.close();
+  } catch (error) {
+    console.error('Element picker error:', error);
+    statusEl.textContent = `Cannot pick an element on this page: ${error.message}`;
+    announceToScreenReader('Element picker could not start on this page');
+  }
+}
 
-  await chrome.scripting.executeScript({
-    target: { tabId: tabId },
-    func: (config) => {
-      try {
-        // Clear any previous errors
-        window.__A11Y_SCAN_ERROR__ = null;
-        return window.runA11yScan(config);
-      } catch (error) {
-        window.__A11Y_SCAN_ERROR__ = error.message;
-        return null;
-      }
-    },
-    args: [simpleConfig]
+// frameId is set for elements picked from the context menu inside a frame
+function rerunPickedElement(selector, frameId) {
+  return runScan({
+    overrides: { scope: { include: [selector], exclude: [] }, scopeFrameId: frameId ?? 0 },
+    metadata: { pickedElement: selector, ...(frameId ? { pickedFrameId: frameId } : {}) }
   });
+}
 
-  // Wait for results
-  let result;
-  for (let i = 0; i < 30; i++) {
-    const [{ result: r }] = await chrome.scripting.executeScript({
-      target: { tabId: tabId },
-      func: () => ({
-        result: window.__A11Y_SCAN_RESULT__,
-        error: window.__A11Y_SCAN_ERROR__
-      })
-    });
+/* ---------------- Progress Updates ---------------- */
 
-    if (r?.result) {
-      result = r.result;
-      result.partialScan = true;
-      result.simplifiedScan = true;
-      break;
-    }
+const PROGRESS_MESSAGES = {
+  settle: 'Waiting for the page to settle…',
+  rules: 'Running accessibility rules…',
+  normalize: 'Preparing results…'
+};
 
-    await new Promise(resolve => setTimeout(resolve, 100));
-  }
+// Rough share of a frame's scan done when each phase starts; the rules
+// phase moves on with each rule batch
+const PHASE_PERCENT = {
+  settle: 5,
+  rules: 10,
+  normalize: 90
+};
 
-  return result;
+function phasePercent({ phase, done = 0, total = 0 }) {
+  if (phase === 'rules' && total > 0) {
+    return PHASE_PERCENT.rules +
+      Math.round((PHASE_PERCENT.normalize - PHASE_PERCENT.rules) * done / total);
+  }
+  return PHASE_PERCENT[phase] ?? 0;
 }
 
-/* ---------------- Progress Updates ---------------- */
+/**
+ * Progress callback for a scan; every frame's latest event counts
+ * equally towards the overall percentage
+ */
+function trackScanProgress() {
+  const frames = new Map();
+  let shown = 0;
+
+  updateScanProgress(0, 'Starting scan…');
+  return (event) => {
+    frames.set(event.frameId, event);
+    const percents = Array.from(frames.values()).map(phasePercent);
+    // Frames that report late shouldn't move the bar backwards
+    shown = Math.max(shown, Math.round(percents.reduce((a, b) => a + b, 0) / percents.length));
+    // Describe the frame that's furthest behind
+    const slowest = Array.from(frames.values())
+      .reduce((a, b) => (phasePercent(b) < phasePercent(a) ? b : a));
+    updateScanProgress(shown, PROGRESS_MESSAGES[slowest.phase]);
+  };
+}
 
 function updateScanProgress(percent, message) {
-  if (statusEl.querySelector('.scan-progress')) {
-    statusEl.innerHTML = `
-      <div class="scan-progress">
-        <div class="progress-bar">
-          <div class="progress-fill" style="width: ${percent}%"></div>
-        </div>
-        <span>${message} (${percent}%)</span>
-      </div>
-    `;
+  const progress = document.getElementById('scan-progress');
+  progress.hidden = false;
+  document.getElementById('scan-progress-bar').value = percent;
+  document.getElementById('scan-progress-text').textContent = `${percent}%`;
+
+  // The status region is announced, so only change it with the phase
+  if (message && statusEl.textContent !== message) {
+    statusEl.textContent = message;
   }
 }
 
+function hideScanProgress() {
+  document.getElementById('scan-progress').hidden = true;
+}
+
+/* ---------------- Cancel ---------------- */
+
+function abortError() {
+  return new DOMException('Scan cancelled', 'AbortError');
+}
+
+/**
+ * Settle like the promise, or reject with an AbortError as soon as the
+ * signal aborts; a result that turns up after that is dropped
+ */
+function untilAborted(promise, signal) {
+  if (signal.aborted) return Promise.reject(abortError());
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(abortError());
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+// The popup goes to the cancelled state straight away (see untilAborted);
+// every frame stops at its next step, the DOM wait or between rule batches
+function cancelScan() {
+  if (!scanController || scanController.signal.aborted) return;
+
+  scanController.abort();
+}
+
+function showScanCancelled() {
+  resultsEl.innerHTML = '';
+  statusEl.textContent = 'Scan cancelled';
+  statusEl.setAttribute('aria-busy', 'false');
+  announceToScreenReader('Scan cancelled. Ready to scan.');
+}
+
 /* ---------------- Improved Error Handling ---------------- */
 
+// Failures of a frame's scan as reported by scanFrame() in
+// background/scanner.js: its timeout, the frame navigating or closing, and
+// Chrome's error when the frame has no scanner to connect to
+const FRAME_FAILURE = /scan timed out|frame went away|receiving end does not exist/i;
+
 function handleScanError(error) {
+  if (error?.name === 'AbortError') {
+    showScanCancelled();
+    return;
+  }
+
   let errorMessage;
   if (error.message) {
     errorMessage = error.message;
@@ -572,11 +1312,11 @@ function handleScanError(error) {
   // Check for specific error patterns
   let specificHelp = '';
 
-  if (errorMessage.includes('timed out') && errorMessage.includes('frame')) {
+  if (FRAME_FAILURE.test(errorMessage)) {
     specificHelp = `
       <div class="specific-error">
-        <h4>🔄 Iframe Timeout Detected</h4>
-        <p>The scanner timed out while trying to scan iframes on the page.</p>
+        <h4>🔄 Page Stopped Responding</h4>
+        <p>The page (or a frame in it) timed out or went away while it was being scanned, and the lighter scans tried after it failed too.</p>
         
         <div class="solution-options">
           <h5>Try one of these solutions:</h5>
@@ -665,7 +1405,7 @@ function handleScanError(error) {
     const basicScan = document.getElementById('basic-scan');
 
     if (retryNoIframes) {
-      retryNoIframes.addEventListener('click', () => runNoIframesScan());
+      retryNoIframes.addEventListener('click', () => runScan({ strategy: 'no-iframes' }));
     }
 
     if (refreshRetry) {
@@ -673,991 +1413,15 @@ function handleScanError(error) {
     }
 
     if (basicScan) {
-      basicScan.addEventListener('click', () => runBasicScan());
-    }
-  }, 100);
-
-  announceToScreenReader(`Scan failed: ${errorMessage}`, 'assertive');
-}
-
-/* ---------------- Alternative Scan Methods ---------------- */
-
-async function runNoIframesScan() {
-  if (isScanning) return;
-
-  try {
-    isScanning = true;
-    resetUI();
-    statusEl.textContent = 'Scanning main content (skipping iframes)...';
-
-    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-    if (!tab?.id) return;
-
-    // Reload the page first
-    await chrome.tabs.reload(tab.id);
-
-    // Wait for page to load
-    await new Promise(resolve => setTimeout(resolve, 2000));
-
-    // Run scan with no iframes
-    const scanConfig = {
-      // Comprehensive standards coverage
-      runOnly: {
-        type: 'tag',
-        values: [
-          // WCAG 2.2 Standards (All Levels)
-          'wcag2a',       // WCAG 2.0 Level A
-          'wcag2aa',      // WCAG 2.0 Level AA
-          'wcag2aaa',     // WCAG 2.0 Level AAA
-          'wcag21a',      // WCAG 2.1 Level A
-          'wcag21aa',     // WCAG 2.1 Level AA
-          'wcag21aaa',    // WCAG 2.1 Level AAA
-          'wcag22a',      // WCAG 2.2 Level A
-          'wcag22aa',     // WCAG 2.2 Level AA
-          'wcag22aaa',    // WCAG 2.2 Level AAA
-
-          // Section 508 (US Federal)
-          'section508',   // Section 508 (old)
-          'section508.22.a', // Updated Section 508
-
-          // ADA (Americans with Disabilities Act) - WCAG 2.0/2.1 AA is typically used
-          'ada',          // ADA Title III compliance
-
-          // International Standards
-          'en-301-549',   // European EN 301 549
-          'act',          // Accessibility Conformance Testing
-
-          // Best Practices
-          'best-practice',
-
-          // Experimental and cutting-edge
-          'experimental',
-
-          // Specific technical standards
-          'cat',          // Common Accessibility Tasks
-          'aria',         // ARIA specific rules
-          'html5',        // HTML5 specific
-          'semantics',    // Semantic HTML
-
-          // Performance and optimization
-          'performance',
-          'seo',          // SEO overlap with accessibility
-
-          // Mobile and responsive
-          'mobile',
-          'responsive',
-
-          // Screen reader specific
-          'screen-readers',
-          'voice-control',
-
-          // Cognitive and learning disabilities
-          'cognitive',
-          'learning',
-
-          // Motor disabilities
-          'motor',
-          'keyboard',
-
-          // Visual impairments
-          'low-vision',
-          'color-blindness',
-          'contrast',
-
-          // Hearing impairments
-          'hearing',
-          'auditory',
-
-          // Age-related considerations
-          'aging',
-          'elderly'
-        ]
-      },
-
-      // Enable all result types
-      resultTypes: ['violations', 'passes', 'incomplete', 'inapplicable'],
-
-      // Performance optimization settings
-      iframes: true, // Enable for comprehensive coverage
-      elementRef: true, // Keep element references for highlighting
-      restoreScroll: true, // Better UX
-      selectors: false, // Disable if performance is critical
-
-      // Timeout and performance
-      pingWaitTime: 100,
-      timeout: 60000, // 60 second timeout for large pages
-
-      // Comprehensive rule configuration
-      rules: {
-        // Perceivable
-        'aria-hidden-body': { enabled: true },
-        'audio-caption': { enabled: true },
-        'blink': { enabled: true },
-        'color-contrast': {
-          enabled: true,
-          options: {
-            contrastRatio: {
-              standard: 4.5,
-              large: 3
-            }
-          }
-        },
-        'color-contrast-enhanced': { enabled: true },
-        'document-title': { enabled: true },
-        'duplicate-img-label': { enabled: true },
-        'empty-heading': { enabled: true },
-        'focus-order-semantics': { enabled: true },
-        'frame-title': { enabled: true },
-        'html-has-lang': { enabled: true },
-        'html-lang-valid': { enabled: true },
-        'html-xml-lang-mismatch': { enabled: true },
-        'image-alt': { enabled: true },
-        'input-image-alt': { enabled: true },
-        'label': { enabled: true },
-        'label-title-only': { enabled: true },
-        'landmark-one-main': { enabled: true },
-        'link-in-text-block': { enabled: true },
-        'list': { enabled: true },
-        'listitem': { enabled: true },
-        'marquee': { enabled: true },
-        'meta-refresh': { enabled: true },
-        'meta-viewport': { enabled: true },
-        'object-alt': { enabled: true },
-        'p-as-heading': { enabled: true },
-        'role-img-alt': { enabled: true },
-        'scrollable-region-focusable': { enabled: true },
-        'server-side-image-map': { enabled: true },
-        'svg-img-alt': { enabled: true },
-        'td-headers-attr': { enabled: true },
-        'th-has-data-cells': { enabled: true },
-        'valid-lang': { enabled: true },
-        'video-caption': { enabled: true },
-        'video-description': { enabled: true },
-
-        // Operable
-        'accesskeys': { enabled: true },
-        'area-alt': { enabled: true },
-        'aria-allowed-attr': { enabled: true },
-        'aria-command-name': { enabled: true },
-        'aria-hidden-focus': { enabled: true },
-        'aria-input-field-name': { enabled: true },
-        'aria-meter-name': { enabled: true },
-        'aria-progressbar-name': { enabled: true },
-        'aria-required-attr': { enabled: true },
-        'aria-required-children': { enabled: true },
-        'aria-required-parent': { enabled: true },
-        'aria-roledescription': { enabled: true },
-        'aria-roles': { enabled: true },
-        'aria-toggle-field-name': { enabled: true },
-        'aria-tooltip-name': { enabled: true },
-        'aria-valid-attr-value': { enabled: true },
-        'aria-valid-attr': { enabled: true },
-        'autocomplete-valid': { enabled: true },
-        'avoid-inline-spacing': { enabled: true },
-        'blur': { enabled: true },
-        'bypass': { enabled: true },
-        'button-name': { enabled: true },
-        'css-orientation-lock': { enabled: true },
-        'definition-list': { enabled: true },
-        'dlitem': { enabled: true },
-        'empty-menu-button': { enabled: true },
-        'focusable-no-name': { enabled: true },
-        'heading-order': { enabled: true },
-        'hidden-content': { enabled: true },
-        'html-scoped': { enabled: true },
-        'identical-links-same-purpose': { enabled: true },
-        'input-button-name': { enabled: true },
-        'label-content-name-mismatch': { enabled: true },
-        'landmark-no-duplicate-banner': { enabled: true },
-        'landmark-no-duplicate-contentinfo': { enabled: true },
-        'landmark-no-duplicate-main': { enabled: true },
-        'landmark-unique': { enabled: true },
-        'link-name': { enabled: true },
-        'nested-interactive': { enabled: true },
-        'no-autoplay-audio': { enabled: true },
-        'presentation-role-conflict': { enabled: true },
-        'region': { enabled: true },
-        'role-none': { enabled: true },
-        'role-presentation': { enabled: true },
-        'scope-attr-valid': { enabled: true },
-        'skip-link': { enabled: true },
-        'tabindex': { enabled: true },
-        'table-duplicate-name': { enabled: true },
-        'table-fake-caption': { enabled: true },
-        'target-size': {
-          enabled: true,
-          options: {
-            minTargetSize: 24 // ADA compliant touch target size
-          }
-        },
-        'td-has-header': { enabled: true },
-
-        // Understandable
-        'aria-allowed-role': { enabled: true },
-        'aria-dpub-role-fallback': { enabled: true },
-        'aria-prohibited-attr': { enabled: true },
-        'aria-unsupported-attr': { enabled: true },
-        'audio-description': { enabled: true },
-        'form-field-multiple-labels': { enabled: true },
-        'frame-tested': { enabled: true },
-        'heading-multiline': { enabled: true },
-        'html5-audio': { enabled: true },
-        'html5-video': { enabled: true },
-        'image-redundant-alt': { enabled: true },
-        'label-multiple-form-controls': { enabled: true },
-        'label-title': { enabled: true },
-        'language': { enabled: true },
-        'layout-table': { enabled: true },
-        'link-in-text-container': { enabled: true },
-        'no-embed': { enabled: true },
-        'object-alt-accessible': { enabled: true },
-        'page-has-heading-one': { enabled: true },
-        'select-name': { enabled: true },
-        'select-multiple': { enabled: true },
-        'table-headers-accessible': { enabled: true },
-        'text-spacing': { enabled: true },
-        'text-title': { enabled: true },
-        'video-audio-description': { enabled: true },
-
-        // Robust
-        'aria-errormessage': { enabled: true },
-        'aria-fallback': { enabled: true },
-        'aria-form-field-name': { enabled: true },
-        'aria-image-button-name': { enabled: true },
-        'aria-text': { enabled: true },
-        'aria-treeitem-name': { enabled: true },
-        'duplicate-id': { enabled: true },
-        'duplicate-id-active': { enabled: true },
-        'duplicate-id-aria': { enabled: true },
-        'frame-title-unique': { enabled: true },
-        'html-namespace': { enabled: true },
-        'input-method': { enabled: true },
-        'landmark-banner-is-top-level': { enabled: true },
-        'landmark-complementary-is-top-level': { enabled: true },
-        'landmark-contentinfo-is-top-level': { enabled: true },
-        'landmark-main-is-top-level': { enabled: true },
-        'landmark-navigation-is-top-level': { enabled: true },
-        'landmark-region-is-top-level': { enabled: true },
-        'landmark-search-is-top-level': { enabled: true },
-        'meta-viewport-large': { enabled: true },
-        'page-has-iframe-title': { enabled: true },
-        'role-group': { enabled: true },
-        'role-list': { enabled: true },
-        'role-listitem': { enabled: true },
-        'role-toolbar': { enabled: true },
-        'scripted-event-handlers': { enabled: true },
-        'select': { enabled: true },
-        'svg-namespace': { enabled: true },
-        'table-cell-single-column': { enabled: true },
-        'textarea': { enabled: true },
-        'xml-namespace': { enabled: true },
-
-        // ADA Specific Enhancements
-        'ada-*': { enabled: true },
-        'commercial-facilities': { enabled: true },
-        'public-accommodations': { enabled: true },
-        'employment': { enabled: true },
-        'telecommunications': { enabled: true },
-
-        // Mobile and Touch Specific
-        'touch-target': {
-          enabled: true,
-          options: {
-            minSize: 44 // ADA compliant minimum touch target
-          }
-        },
-        'gesture-operable': { enabled: true },
-        'pointer-operable': { enabled: true },
-
-        // Cognitive Accessibility
-        'consistent-navigation': { enabled: true },
-        'consistent-identification': { enabled: true },
-        'error-prevention': { enabled: true },
-        'help': { enabled: true },
-        'reading-level': { enabled: true },
-        'unusual-words': { enabled: true },
-        'abbreviations': { enabled: true },
-        'pronunciation': { enabled: true },
-
-        // Age-Related
-        'font-size': { enabled: true },
-        'line-height': { enabled: true },
-        'spacing': { enabled: true },
-        'text-resize': { enabled: true },
-
-        // Performance Related
-        'loading-optimization': { enabled: true },
-        'animation-control': { enabled: true },
-        'reduced-motion': { enabled: true },
-
-        // SEO Overlap
-        'structured-data': { enabled: true },
-        'microdata': { enabled: true },
-        'json-ld': { enabled: true },
-
-        // Security
-        'secure-forms': { enabled: true },
-        'privacy': { enabled: true }
-      },
-
-      // Additional checks
-      checks: {
-        // ADA compliance specific checks
-        'ada-compliance': {
-          enabled: true,
-          options: {
-            checkFor: ['title-iii', 'section-504', 'ada-standards']
-          }
-        },
-
-        // Mobile app accessibility (for PWA)
-        'mobile-app': {
-          enabled: true,
-          options: {
-            checkInstallability: true,
-            checkOffline: true,
-            checkNotifications: true
-          }
-        },
-
-        // Progressive Enhancement
-        'progressive-enhancement': {
-          enabled: true
-        },
-
-        // Graceful Degradation
-        'graceful-degradation': {
-          enabled: true
-        }
-      },
-
-      // Performance optimization
-      performance: {
-        maxScanTime: 30000,
-        throttleCPU: 4,
-        throttleNetwork: 'good3g',
-        cacheResponses: true
-      },
-
-      // Custom reporter configuration
-      reporter: 'v2',
-
-      // Branding and metadata
-      branding: {
-        brand: 'AwesomeAccessibilityAudit',
-        application: 'chrome-extension'
-      },
-
-      // Metadata for reports
-      metadata: {
-        scanType: 'comprehensive',
-        standards: [
-          'ADA Title III',
-          'WCAG 2.2 AA',
-          'Section 508',
-          'EN 301 549',
-          'ATAG 2.0',
-          'UAAG 2.0'
-        ],
-        version: '1.0.0',
-        timestamp: new Date().toISOString()
-      }
-    };
-
-    // Optional: Add ADA-specific rule overrides
-    const adaOverrides = {
-      // ADA requires specific contrast ratios
-      'color-contrast': {
-        enabled: true,
-        options: {
-          contrastRatio: {
-            standard: 4.5, // ADA typically follows WCAG AA
-            large: 3,
-            graphical: 3,
-            uiComponents: 3
-          }
-        }
-      },
-
-      // ADA touch target requirements
-      'target-size': {
-        enabled: true,
-        options: {
-          minTargetSize: 44, // ADA minimum touch target in pixels
-          exceptionRoles: ['link', 'button', 'form', 'menu', 'listitem', 'tab']
-        }
-      },
-
-      // ADA requires all functionality available via keyboard
-      'keyboard': {
-        enabled: true,
-        options: {
-          checkTabOrder: true,
-          checkFocusIndicators: true,
-          checkKeyboardTraps: true,
-          checkBypassBlocks: true
-        }
-      },
-
-      // ADA requires equivalent alternatives
-      'alternatives': {
-        enabled: true,
-        options: {
-          requireTextAlternatives: true,
-          requireAudioDescriptions: true,
-          requireCaptions: true,
-          requireTranscripts: true
-        }
-      }
-    };
-
-    // Merge ADA overrides into main config
-    Object.assign(scanConfig.rules, adaOverrides);
-
-    // Export the comprehensive configuration
-    if (typeof module !== 'undefined' && module.exports) {
-      module.exports = scanConfig;
-    }
-
-    await chrome.scripting.executeScript({
-      target: { tabId: tab.id, allFrames: false },
-      files: ['vendor/axe.min.js', 'content/axe-runner.js']
-    });
-
-    await chrome.scripting.executeScript({
-      target: { tabId: tab.id },
-      func: (config) => window.runA11yScan(config),
-      args: [scanConfig]
-    });
-
-    // Wait for results
-    let result;
-    for (let i = 0; i < 40; i++) {
-      const [{ result: r }] = await chrome.scripting.executeScript({
-        target: { tabId: tab.id },
-        func: () => ({
-          result: window.__A11Y_SCAN_RESULT__,
-          error: window.__A11Y_SCAN_ERROR__
-        })
-      });
-
-      if (r?.result) {
-        result = r.result;
-        result.partialScan = true;
-        result.scanNote = 'Scanned main content only (iframes skipped)';
-        break;
-      }
-      await new Promise(resolve => setTimeout(resolve, 100));
-    }
-
-    if (result) {
-      result.url = tab.url;
-      result.timestamp = new Date().toISOString();
-
-      await chrome.runtime.sendMessage({
-        type: 'SAVE_A11Y_RESULTS',
-        key: tabKey(tab),
-        results: result
-      });
-
-      renderResults(result);
-      announceToScreenReader(`Partial scan completed. Found ${result.violations?.length || 0} issues.`);
-    } else {
-      throw new Error('Scan still failed after skipping iframes');
-    }
-
-  } catch (error) {
-    handleScanError(error);
-  } finally {
-    isScanning = false;
-  }
-}
-
-async function runBasicScan() {
-  if (isScanning) return;
-
-  try {
-    isScanning = true;
-    resetUI();
-    statusEl.textContent = 'Running quick basic scan...';
-
-    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-    if (!tab?.id) return;
-
-    // Minimal scan configuration
-    const scanConfig = {
-      // Comprehensive standards coverage
-      runOnly: {
-        type: 'tag',
-        values: [
-          // WCAG 2.2 Standards (All Levels)
-          'wcag2a',       // WCAG 2.0 Level A
-          'wcag2aa',      // WCAG 2.0 Level AA
-          'wcag2aaa',     // WCAG 2.0 Level AAA
-          'wcag21a',      // WCAG 2.1 Level A
-          'wcag21aa',     // WCAG 2.1 Level AA
-          'wcag21aaa',    // WCAG 2.1 Level AAA
-          'wcag22a',      // WCAG 2.2 Level A
-          'wcag22aa',     // WCAG 2.2 Level AA
-          'wcag22aaa',    // WCAG 2.2 Level AAA
-
-          // Section 508 (US Federal)
-          'section508',   // Section 508 (old)
-          'section508.22.a', // Updated Section 508
-
-          // ADA (Americans with Disabilities Act) - WCAG 2.0/2.1 AA is typically used
-          'ada',          // ADA Title III compliance
-
-          // International Standards
-          'en-301-549',   // European EN 301 549
-          'act',          // Accessibility Conformance Testing
-
-          // Best Practices
-          'best-practice',
-
-          // Experimental and cutting-edge
-          'experimental',
-
-          // Specific technical standards
-          'cat',          // Common Accessibility Tasks
-          'aria',         // ARIA specific rules
-          'html5',        // HTML5 specific
-          'semantics',    // Semantic HTML
-
-          // Performance and optimization
-          'performance',
-          'seo',          // SEO overlap with accessibility
-
-          // Mobile and responsive
-          'mobile',
-          'responsive',
-
-          // Screen reader specific
-          'screen-readers',
-          'voice-control',
-
-          // Cognitive and learning disabilities
-          'cognitive',
-          'learning',
-
-          // Motor disabilities
-          'motor',
-          'keyboard',
-
-          // Visual impairments
-          'low-vision',
-          'color-blindness',
-          'contrast',
-
-          // Hearing impairments
-          'hearing',
-          'auditory',
-
-          // Age-related considerations
-          'aging',
-          'elderly'
-        ]
-      },
-
-      // Enable all result types
-      resultTypes: ['violations', 'passes', 'incomplete', 'inapplicable'],
-
-      // Performance optimization settings
-      iframes: true, // Enable for comprehensive coverage
-      elementRef: true, // Keep element references for highlighting
-      restoreScroll: true, // Better UX
-      selectors: false, // Disable if performance is critical
-
-      // Timeout and performance
-      pingWaitTime: 100,
-      timeout: 60000, // 60 second timeout for large pages
-
-      // Comprehensive rule configuration
-      rules: {
-        // Perceivable
-        'aria-hidden-body': { enabled: true },
-        'audio-caption': { enabled: true },
-        'blink': { enabled: true },
-        'color-contrast': {
-          enabled: true,
-          options: {
-            contrastRatio: {
-              standard: 4.5,
-              large: 3
-            }
-          }
-        },
-        'color-contrast-enhanced': { enabled: true },
-        'document-title': { enabled: true },
-        'duplicate-img-label': { enabled: true },
-        'empty-heading': { enabled: true },
-        'focus-order-semantics': { enabled: true },
-        'frame-title': { enabled: true },
-        'html-has-lang': { enabled: true },
-        'html-lang-valid': { enabled: true },
-        'html-xml-lang-mismatch': { enabled: true },
-        'image-alt': { enabled: true },
-        'input-image-alt': { enabled: true },
-        'label': { enabled: true },
-        'label-title-only': { enabled: true },
-        'landmark-one-main': { enabled: true },
-        'link-in-text-block': { enabled: true },
-        'list': { enabled: true },
-        'listitem': { enabled: true },
-        'marquee': { enabled: true },
-        'meta-refresh': { enabled: true },
-        'meta-viewport': { enabled: true },
-        'object-alt': { enabled: true },
-        'p-as-heading': { enabled: true },
-        'role-img-alt': { enabled: true },
-        'scrollable-region-focusable': { enabled: true },
-        'server-side-image-map': { enabled: true },
-        'svg-img-alt': { enabled: true },
-        'td-headers-attr': { enabled: true },
-        'th-has-data-cells': { enabled: true },
-        'valid-lang': { enabled: true },
-        'video-caption': { enabled: true },
-        'video-description': { enabled: true },
-
-        // Operable
-        'accesskeys': { enabled: true },
-        'area-alt': { enabled: true },
-        'aria-allowed-attr': { enabled: true },
-        'aria-command-name': { enabled: true },
-        'aria-hidden-focus': { enabled: true },
-        'aria-input-field-name': { enabled: true },
-        'aria-meter-name': { enabled: true },
-        'aria-progressbar-name': { enabled: true },
-        'aria-required-attr': { enabled: true },
-        'aria-required-children': { enabled: true },
-        'aria-required-parent': { enabled: true },
-        'aria-roledescription': { enabled: true },
-        'aria-roles': { enabled: true },
-        'aria-toggle-field-name': { enabled: true },
-        'aria-tooltip-name': { enabled: true },
-        'aria-valid-attr-value': { enabled: true },
-        'aria-valid-attr': { enabled: true },
-        'autocomplete-valid': { enabled: true },
-        'avoid-inline-spacing': { enabled: true },
-        'blur': { enabled: true },
-        'bypass': { enabled: true },
-        'button-name': { enabled: true },
-        'css-orientation-lock': { enabled: true },
-        'definition-list': { enabled: true },
-        'dlitem': { enabled: true },
-        'empty-menu-button': { enabled: true },
-        'focusable-no-name': { enabled: true },
-        'heading-order': { enabled: true },
-        'hidden-content': { enabled: true },
-        'html-scoped': { enabled: true },
-        'identical-links-same-purpose': { enabled: true },
-        'input-button-name': { enabled: true },
-        'label-content-name-mismatch': { enabled: true },
-        'landmark-no-duplicate-banner': { enabled: true },
-        'landmark-no-duplicate-contentinfo': { enabled: true },
-        'landmark-no-duplicate-main': { enabled: true },
-        'landmark-unique': { enabled: true },
-        'link-name': { enabled: true },
-        'nested-interactive': { enabled: true },
-        'no-autoplay-audio': { enabled: true },
-        'presentation-role-conflict': { enabled: true },
-        'region': { enabled: true },
-        'role-none': { enabled: true },
-        'role-presentation': { enabled: true },
-        'scope-attr-valid': { enabled: true },
-        'skip-link': { enabled: true },
-        'tabindex': { enabled: true },
-        'table-duplicate-name': { enabled: true },
-        'table-fake-caption': { enabled: true },
-        'target-size': {
-          enabled: true,
-          options: {
-            minTargetSize: 24 // ADA compliant touch target size
-          }
-        },
-        'td-has-header': { enabled: true },
-
-        // Understandable
-        'aria-allowed-role': { enabled: true },
-        'aria-dpub-role-fallback': { enabled: true },
-        'aria-prohibited-attr': { enabled: true },
-        'aria-unsupported-attr': { enabled: true },
-        'audio-description': { enabled: true },
-        'form-field-multiple-labels': { enabled: true },
-        'frame-tested': { enabled: true },
-        'heading-multiline': { enabled: true },
-        'html5-audio': { enabled: true },
-        'html5-video': { enabled: true },
-        'image-redundant-alt': { enabled: true },
-        'label-multiple-form-controls': { enabled: true },
-        'label-title': { enabled: true },
-        'language': { enabled: true },
-        'layout-table': { enabled: true },
-        'link-in-text-container': { enabled: true },
-        'no-embed': { enabled: true },
-        'object-alt-accessible': { enabled: true },
-        'page-has-heading-one': { enabled: true },
-        'select-name': { enabled: true },
-        'select-multiple': { enabled: true },
-        'table-headers-accessible': { enabled: true },
-        'text-spacing': { enabled: true },
-        'text-title': { enabled: true },
-        'video-audio-description': { enabled: true },
-
-        // Robust
-        'aria-errormessage': { enabled: true },
-        'aria-fallback': { enabled: true },
-        'aria-form-field-name': { enabled: true },
-        'aria-image-button-name': { enabled: true },
-        'aria-text': { enabled: true },
-        'aria-treeitem-name': { enabled: true },
-        'duplicate-id': { enabled: true },
-        'duplicate-id-active': { enabled: true },
-        'duplicate-id-aria': { enabled: true },
-        'frame-title-unique': { enabled: true },
-        'html-namespace': { enabled: true },
-        'input-method': { enabled: true },
-        'landmark-banner-is-top-level': { enabled: true },
-        'landmark-complementary-is-top-level': { enabled: true },
-        'landmark-contentinfo-is-top-level': { enabled: true },
-        'landmark-main-is-top-level': { enabled: true },
-        'landmark-navigation-is-top-level': { enabled: true },
-        'landmark-region-is-top-level': { enabled: true },
-        'landmark-search-is-top-level': { enabled: true },
-        'meta-viewport-large': { enabled: true },
-        'page-has-iframe-title': { enabled: true },
-        'role-group': { enabled: true },
-        'role-list': { enabled: true },
-        'role-listitem': { enabled: true },
-        'role-toolbar': { enabled: true },
-        'scripted-event-handlers': { enabled: true },
-        'select': { enabled: true },
-        'svg-namespace': { enabled: true },
-        'table-cell-single-column': { enabled: true },
-        'textarea': { enabled: true },
-        'xml-namespace': { enabled: true },
-
-        // ADA Specific Enhancements
-        'ada-*': { enabled: true },
-        'commercial-facilities': { enabled: true },
-        'public-accommodations': { enabled: true },
-        'employment': { enabled: true },
-        'telecommunications': { enabled: true },
-
-        // Mobile and Touch Specific
-        'touch-target': {
-          enabled: true,
-          options: {
-            minSize: 44 // ADA compliant minimum touch target
-          }
-        },
-        'gesture-operable': { enabled: true },
-        'pointer-operable': { enabled: true },
-
-        // Cognitive Accessibility
-        'consistent-navigation': { enabled: true },
-        'consistent-identification': { enabled: true },
-        'error-prevention': { enabled: true },
-        'help': { enabled: true },
-        'reading-level': { enabled: true },
-        'unusual-words': { enabled: true },
-        'abbreviations': { enabled: true },
-        'pronunciation': { enabled: true },
-
-        // Age-Related
-        'font-size': { enabled: true },
-        'line-height': { enabled: true },
-        'spacing': { enabled: true },
-        'text-resize': { enabled: true },
-
-        // Performance Related
-        'loading-optimization': { enabled: true },
-        'animation-control': { enabled: true },
-        'reduced-motion': { enabled: true },
-
-        // SEO Overlap
-        'structured-data': { enabled: true },
-        'microdata': { enabled: true },
-        'json-ld': { enabled: true },
-
-        // Security
-        'secure-forms': { enabled: true },
-        'privacy': { enabled: true }
-      },
-
-      // Additional checks
-      checks: {
-        // ADA compliance specific checks
-        'ada-compliance': {
-          enabled: true,
-          options: {
-            checkFor: ['title-iii', 'section-504', 'ada-standards']
-          }
-        },
-
-        // Mobile app accessibility (for PWA)
-        'mobile-app': {
-          enabled: true,
-          options: {
-            checkInstallability: true,
-            checkOffline: true,
-            checkNotifications: true
-          }
-        },
-
-        // Progressive Enhancement
-        'progressive-enhancement': {
-          enabled: true
-        },
-
-        // Graceful Degradation
-        'graceful-degradation': {
-          enabled: true
-        }
-      },
-
-      // Performance optimization
-      performance: {
-        maxScanTime: 30000,
-        throttleCPU: 4,
-        throttleNetwork: 'good3g',
-        cacheResponses: true
-      },
-
-      // Custom reporter configuration
-      reporter: 'v2',
-
-      // Branding and metadata
-      branding: {
-        brand: 'AwesomeAccessibilityAudit',
-        application: 'chrome-extension'
-      },
-
-      // Metadata for reports
-      metadata: {
-        scanType: 'comprehensive',
-        standards: [
-          'ADA Title III',
-          'WCAG 2.2 AA',
-          'Section 508',
-          'EN 301 549',
-          'ATAG 2.0',
-          'UAAG 2.0'
-        ],
-        version: '1.0.0',
-        timestamp: new Date().toISOString()
-      }
-    };
-
-    // Optional: Add ADA-specific rule overrides
-    const adaOverrides = {
-      // ADA requires specific contrast ratios
-      'color-contrast': {
-        enabled: true,
-        options: {
-          contrastRatio: {
-            standard: 4.5, // ADA typically follows WCAG AA
-            large: 3,
-            graphical: 3,
-            uiComponents: 3
-          }
-        }
-      },
-
-      // ADA touch target requirements
-      'target-size': {
-        enabled: true,
-        options: {
-          minTargetSize: 44, // ADA minimum touch target in pixels
-          exceptionRoles: ['link', 'button', 'form', 'menu', 'listitem', 'tab']
-        }
-      },
-
-      // ADA requires all functionality available via keyboard
-      'keyboard': {
-        enabled: true,
-        options: {
-          checkTabOrder: true,
-          checkFocusIndicators: true,
-          checkKeyboardTraps: true,
-          checkBypassBlocks: true
-        }
-      },
-
-      // ADA requires equivalent alternatives
-      'alternatives': {
-        enabled: true,
-        options: {
-          requireTextAlternatives: true,
-          requireAudioDescriptions: true,
-          requireCaptions: true,
-          requireTranscripts: true
-        }
-      }
-    };
-
-    // Merge ADA overrides into main config
-    Object.assign(scanConfig.rules, adaOverrides);
-
-    // Export the comprehensive configuration
-    if (typeof module !== 'undefined' && module.exports) {
-      module.exports = scanConfig;
-    }
-
-    await chrome.scripting.executeScript({
-      target: { tabId: tab.id, allFrames: false },
-      files: ['vendor/axe.min.js', 'content/axe-runner.js']
-    });
-
-    await chrome.scripting.executeScript({
-      target: { tabId: tab.id },
-      func: (config) => window.runA11yScan(config),
-      args: [scanConfig]
-    });
-
-    // Wait for results
-    let result;
-    for (let i = 0; i < 30; i++) {
-      const [{ result: r }] = await chrome.scripting.executeScript({
-        target: { tabId: tab.id },
-        func: () => ({
-          result: window.__A11Y_SCAN_RESULT__,
-          error: window.__A11Y_SCAN_ERROR__
-        })
-      });
-
-      if (r?.result) {
-        result = r.result;
-        result.partialScan = true;
-        result.scanNote = 'Basic scan (core rules only)';
-        break;
-      }
-      await new Promise(resolve => setTimeout(resolve, 100));
-    }
-
-    if (result) {
-      result.url = tab.url;
-      result.timestamp = new Date().toISOString();
-
-      await chrome.runtime.sendMessage({
-        type: 'SAVE_A11Y_RESULTS',
-        key: tabKey(tab),
-        results: result
-      });
-
-      renderResults(result);
-      announceToScreenReader(`Basic scan completed. Found ${result.violations?.length || 0} issues.`);
-    } else {
-      throw new Error('Basic scan also failed');
-    }
-
-  } catch (error) {
-    handleScanError(error);
-  } finally {
-    isScanning = false;
-  }
+      basicScan.addEventListener('click', () => runScan({ strategy: 'basic' }));
+    }
+  }, 100);
+
+  announceToScreenReader(`Scan failed: ${errorMessage}`, 'assertive');
 }
 
+/* ---------------- Refresh ---------------- */
+
 async function refreshAndScan() {
   const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
   if (!tab?.id) return;
@@ -1681,41 +1445,6 @@ async function refreshAndScan() {
 
 const scanStyles = document.createElement('style');
 scanStyles.textContent = `
-  .scan-progress {
-    display: flex;
-    flex-direction: column;
-    gap: 8px;
-    align-items: center;
-  }
-  
-  .spinner {
-    width: 24px;
-    height: 24px;
-    border: 3px solid var(--border);
-    border-top-color: #3b82f6;
-    border-radius: 50%;
-    animation: spin 1s linear infinite;
-  }
-  
-  .progress-bar {
-    width: 100%;
-    height: 6px;
-    background: var(--border);
-    border-radius: 3px;
-    overflow: hidden;
-    margin: 8px 0;
-  }
-  
-  .progress-fill {
-    height: 100%;
-    background: linear-gradient(90deg, #3b82f6, #8b5cf6);
-    transition: width 0.3s ease;
-  }
-  
-  @keyframes spin {
-    to { transform: rotate(360deg); }
-  }
-  
   .error-header {
     display: flex;
     align-items: center;
@@ -1844,25 +1573,9 @@ scanStyles.textContent = `
 
 document.head.appendChild(scanStyles);
 
-/* ---------------- Update Render Results for Partial Scans ---------------- */
-
-// Add this at the beginning of renderResults function:
-if (results.partialScan) {
-  const warning = document.createElement('div');
-  warning.className = 'partial-scan-warning';
-  warning.innerHTML = `
-    <span class="warning-icon">⚠️</span>
-    <div class="warning-content">
-      <h4>Partial Scan Completed</h4>
-      <p>${results.scanNote || 'Some content (like iframes or ads) was skipped during scanning.'}</p>
-      <p><small>The results below may not include all accessibility issues on the page.</small></p>
-    </div>
-  `;
-  resultsEl.appendChild(warning);
-}
-
 /* ---------------- HTML Report Export ---------------- */
 
+// Same report as the Node reporter (shared/html-report.js)
 function exportHTMLReport() {
   if (!activeResults) {
     announceToScreenReader('No results to export', 'assertive');
@@ -1870,544 +1583,7 @@ function exportHTMLReport() {
   }
 
   try {
-    const violations = activeResults.violations || [];
-    const passed = activeResults.passes || [];
-    const incomplete = activeResults.incomplete || [];
-    const timestamp = new Date().toLocaleString();
-    const url = activeResults.url || 'Current page';
-
-    // Calculate statistics
-    const totalElements = violations.reduce((sum, v) => sum + (v.nodes?.length || 0), 0);
-    const complianceScore = passed.length > 0 ?
-      Math.round((passed.length / (passed.length + violations.length)) * 100) : 0;
-
-    // Generate WCAG compliance badges
-    const wcagLevels = {
-      'A': violations.filter(v => v.tags?.some(t => t.includes('wcag2a'))).length === 0,
-      'AA': violations.filter(v => v.tags?.some(t => t.includes('wcag2aa'))).length === 0,
-      'AAA': violations.filter(v => v.tags?.some(t => t.includes('wcag2aaa'))).length === 0
-    };
-
-    const htmlContent = `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Accessibility Report - ${timestamp}</title>
-    <style>
-        :root {
-            --critical: #dc2626;
-            --serious: #ea580c;
-            --moderate: #ca8a04;
-            --minor: #16a34a;
-            --passed: #059669;
-            --text: #1f2937;
-            --background: #ffffff;
-            --border: #e5e7eb;
-            --surface: #f9fafb;
-            --shadow: 0 1px 3px 0 rgb(0 0 0 / 0.1);
-        }
-        
-        @media (prefers-color-scheme: dark) {
-            :root {
-                --text: #f9fafb;
-                --background: #1f2937;
-                --border: #374151;
-                --surface: #111827;
-                --shadow: 0 1px 3px 0 rgb(0 0 0 / 0.3);
-            }
-        }
-        
-        * {
-            margin: 0;
-            padding: 0;
-            box-sizing: border-box;
-        }
-        
-        body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif;
-            line-height: 1.6;
-            color: var(--text);
-            background: var(--background);
-            padding: 20px;
-            max-width: 1200px;
-            margin: 0 auto;
-        }
-        
-        @media print {
-            @page {
-                margin: 1cm;
-            }
-            
-            .no-print {
-                display: none !important;
-            }
-            
-            body {
-                padding: 0;
-                font-size: 12pt;
-            }
-            
-            a {
-                color: var(--text) !important;
-                text-decoration: none !important;
-            }
-            
-            a[href^="http"]:after {
-                content: " (" attr(href) ")";
-                font-size: 0.9em;
-                font-weight: normal;
-            }
-            
-            .violation {
-                break-inside: avoid;
-                page-break-inside: avoid;
-            }
-            
-            details summary {
-                list-style: none;
-            }
-            
-            details summary::-webkit-details-marker {
-                display: none;
-            }
-        }
-        
-        header {
-            margin-bottom: 30px;
-            padding-bottom: 20px;
-            border-bottom: 2px solid var(--border);
-        }
-        
-        .report-title {
-            font-size: 2em;
-            margin-bottom: 10px;
-            color: var(--text);
-        }
-        
-        .report-meta {
-            display: grid;
-            grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
-            gap: 15px;
-            margin-bottom: 20px;
-        }
-        
-        .meta-card {
-            background: var(--surface);
-            padding: 15px;
-            border-radius: 8px;
-            border: 1px solid var(--border);
-        }
-        
-        .meta-card h3 {
-            font-size: 0.9em;
-            text-transform: uppercase;
-            letter-spacing: 0.05em;
-            color: #6b7280;
-            margin-bottom: 5px;
-        }
-        
-        .meta-card p {
-            font-size: 1.2em;
-            font-weight: 600;
-        }
-        
-        .badge {
-            display: inline-block;
-            padding: 4px 8px;
-            border-radius: 4px;
-            font-size: 0.8em;
-            font-weight: 600;
-            text-transform: uppercase;
-            letter-spacing: 0.05em;
-        }
-        
-        .badge.critical { background: var(--critical); color: white; }
-        .badge.serious { background: var(--serious); color: white; }
-        .badge.moderate { background: var(--moderate); color: white; }
-        .badge.minor { background: var(--minor); color: white; }
-        .badge.passed { background: var(--passed); color: white; }
-        
-        .compliance-badges {
-            display: flex;
-            gap: 10px;
-            margin: 20px 0;
-        }
-        
-        .wcag-badge {
-            padding: 8px 16px;
-            border-radius: 6px;
-            font-weight: 600;
-            border: 2px solid var(--border);
-        }
-        
-        .wcag-badge.compliant {
-            background: var(--passed);
-            color: white;
-            border-color: var(--passed);
-        }
-        
-        .wcag-badge.non-compliant {
-            background: transparent;
-            color: var(--text);
-            border-color: var(--border);
-        }
-        
-        .violations-section {
-            margin: 30px 0;
-        }
-        
-        .section-title {
-            font-size: 1.5em;
-            margin-bottom: 20px;
-            padding-bottom: 10px;
-            border-bottom: 2px solid var(--border);
-        }
-        
-        .violation {
-            background: var(--surface);
-            border: 1px solid var(--border);
-            border-radius: 8px;
-            padding: 20px;
-            margin-bottom: 20px;
-            box-shadow: var(--shadow);
-        }
-        
-        .violation-header {
-            margin-bottom: 15px;
-        }
-        
-        .violation-title {
-            display: flex;
-            justify-content: space-between;
-            align-items: flex-start;
-            gap: 15px;
-            margin-bottom: 10px;
-        }
-        
-        .violation-title h3 {
-            flex: 1;
-            font-size: 1.2em;
-        }
-        
-        .violation-details {
-            font-size: 0.9em;
-            color: #6b7280;
-        }
-        
-        .violation-details p {
-            margin-bottom: 5px;
-        }
-        
-        details {
-            margin-top: 15px;
-        }
-        
-        summary {
-            cursor: pointer;
-            padding: 10px;
-            background: var(--background);
-            border: 1px solid var(--border);
-            border-radius: 6px;
-            font-weight: 600;
-            list-style: none;
-        }
-        
-        summary::-webkit-details-marker {
-            display: none;
-        }
-        
-        summary:after {
-            content: '▼';
-            float: right;
-            transition: transform 0.3s;
-        }
-        
-        details[open] summary:after {
-            transform: rotate(180deg);
-        }
-        
-        .nodes {
-            margin-top: 15px;
-        }
-        
-        .node {
-            background: var(--background);
-            border: 1px solid var(--border);
-            border-radius: 6px;
-            padding: 15px;
-            margin-bottom: 10px;
-        }
-        
-        .node-content pre {
-            background: rgba(0,0,0,0.05);
-            padding: 10px;
-            border-radius: 4px;
-            overflow-x: auto;
-            font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace;
-            font-size: 0.9em;
-            margin-bottom: 10px;
-        }
-        
-        .node-content .reason {
-            padding: 10px;
-            background: rgba(220, 38, 38, 0.1);
-            border-left: 3px solid var(--critical);
-            border-radius: 4px;
-            margin-bottom: 10px;
-        }
-        
-        .summary-stats {
-            display: grid;
-            grid-template-columns: repeat(auto-fit, minmax(150px, 1fr));
-            gap: 15px;
-            margin: 20px 0;
-        }
-        
-        .stat-card {
-            text-align: center;
-            padding: 20px;
-            background: var(--surface);
-            border-radius: 8px;
-            border: 1px solid var(--border);
-        }
-        
-        .stat-value {
-            font-size: 2em;
-            font-weight: 700;
-            margin-bottom: 5px;
-        }
-        
-        .stat-label {
-            font-size: 0.9em;
-            color: #6b7280;
-            text-transform: uppercase;
-            letter-spacing: 0.05em;
-        }
-        
-        .success-message {
-            background: rgba(5, 150, 105, 0.1);
-            border: 1px solid var(--passed);
-            border-radius: 8px;
-            padding: 30px;
-            text-align: center;
-            margin: 30px 0;
-        }
-        
-        .success-message h3 {
-            color: var(--passed);
-            margin-bottom: 10px;
-        }
-        
-        footer {
-            margin-top: 40px;
-            padding-top: 20px;
-            border-top: 2px solid var(--border);
-            font-size: 0.9em;
-            color: #6b7280;
-            text-align: center;
-        }
-        
-        .no-results {
-            text-align: center;
-            padding: 40px;
-            color: #6b7280;
-            font-style: italic;
-        }
-        
-        .export-info {
-            background: var(--surface);
-            padding: 15px;
-            border-radius: 8px;
-            border: 1px solid var(--border);
-            margin-bottom: 20px;
-            font-size: 0.9em;
-        }
-    </style>
-</head>
-<body>
-    <header>
-        <h1 class="report-title">Accessibility Compliance Report</h1>
-        <div class="report-meta">
-            <div class="meta-card">
-                <h3>Generated</h3>
-                <p>${timestamp}</p>
-            </div>
-            <div class="meta-card">
-                <h3>URL</h3>
-                <p>${escapeHtml(url)}</p>
-            </div>
-            <div class="meta-card">
-                <h3>Scan Standards</h3>
-                <p>${activeResults.standards?.map(s => s.toUpperCase()).join(', ') || 'WCAG 2.2 AA'}</p>
-            </div>
-        </div>
-        
-        <div class="compliance-badges">
-            <div class="wcag-badge ${wcagLevels['A'] ? 'compliant' : 'non-compliant'}">
-                WCAG 2.2 ${wcagLevels['A'] ? '✓' : '✗'} Level A
-            </div>
-            <div class="wcag-badge ${wcagLevels['AA'] ? 'compliant' : 'non-compliant'}">
-                WCAG 2.2 ${wcagLevels['AA'] ? '✓' : '✗'} Level AA
-            </div>
-            <div class="wcag-badge ${wcagLevels['AAA'] ? 'compliant' : 'non-compliant'}">
-                WCAG 2.2 ${wcagLevels['AAA'] ? '✓' : '✗'} Level AAA
-            </div>
-        </div>
-        
-        <div class="summary-stats">
-            <div class="stat-card">
-                <div class="stat-value" style="color: ${violations.length > 0 ? 'var(--critical)' : 'var(--passed)'}">
-                    ${violations.length}
-                </div>
-                <div class="stat-label">Violations</div>
-            </div>
-            <div class="stat-card">
-                <div class="stat-value" style="color: var(--passed)">${passed.length}</div>
-                <div class="stat-label">Passed Checks</div>
-            </div>
-            <div class="stat-card">
-                <div class="stat-value">${totalElements}</div>
-                <div class="stat-label">Elements with Issues</div>
-            </div>
-            <div class="stat-card">
-                <div class="stat-value">${complianceScore}%</div>
-                <div class="stat-label">Compliance Score</div>
-            </div>
-        </div>
-    </header>
-    
-    <main>
-        ${violations.length > 0 ? `
-        <section class="violations-section">
-            <h2 class="section-title">Accessibility Violations</h2>
-            ${violations.map(v => {
-      const severityColor = v.impact === 'critical' ? 'var(--critical)' :
-        v.impact === 'serious' ? 'var(--serious)' :
-          v.impact === 'moderate' ? 'var(--moderate)' : 'var(--minor)';
-
-      const wcagCriteria = v.tags?.filter(t => t.includes('wcag')) || [];
-      const wcagLinks = wcagCriteria.map(c =>
-        `<a href="https://www.w3.org/WAI/WCAG22/quickref/#${c}" target="_blank" rel="noopener noreferrer">${c}</a>`
-      ).join(', ');
-
-      return `
-                <article class="violation">
-                    <div class="violation-header">
-                        <div class="violation-title">
-                            <h3>${escapeHtml(v.help)}</h3>
-                            <span class="badge ${v.impact}" style="background-color: ${severityColor}">${v.impact}</span>
-                        </div>
-                        <div class="violation-details">
-                            <p><strong>Rule ID:</strong> ${escapeHtml(v.id)}</p>
-                            ${wcagLinks ? `<p><strong>WCAG Criteria:</strong> ${wcagLinks}</p>` : ''}
-                            ${v.tags?.length ? `<p><strong>Tags:</strong> ${escapeHtml(v.tags.join(', '))}</p>` : ''}
-                            ${v.description ? `<p><strong>Description:</strong> ${escapeHtml(v.description)}</p>` : ''}
-                        </div>
-                    </div>
-                    
-                    ${v.nodes?.length > 0 ? `
-                    <details>
-                        <summary>Show ${v.nodes.length} affected element${v.nodes.length === 1 ? '' : 's'}</summary>
-                        <div class="nodes">
-                            ${v.nodes.map(node => `
-                            <div class="node">
-                                ${node.html ? `
-                                <div class="node-content">
-                                    <pre><code>${escapeHtml(node.html.substring(0, 200))}${node.html.length > 200 ? '...' : ''}</code></pre>
-                                    ${node.failureSummary ? `
-                                    <div class="reason">
-                                        <strong>Issue:</strong> ${escapeHtml(node.failureSummary)}
-                                    </div>
-                                    ` : ''}
-                                </div>
-                                ` : ''}
-                            </div>
-                            `).join('')}
-                        </div>
-                    </details>
-                    ` : ''}
-                </article>
-                `;
-    }).join('')}
-        </section>
-        ` : `
-        <div class="success-message">
-            <h3>🎉 No Accessibility Violations Found!</h3>
-            <p>This page appears to meet WCAG 2.2 AA standards.</p>
-            <p><em>Note: Automated testing covers about 30% of WCAG requirements. 
-            Manual testing is still recommended for full compliance.</em></p>
-        </div>
-        `}
-        
-        ${incomplete.length > 0 ? `
-        <section class="violations-section">
-            <h2 class="section-title">Manual Review Required</h2>
-            <div class="export-info">
-                <p>The following ${incomplete.length} checks require manual verification as automated tools cannot reliably test them:</p>
-            </div>
-            <div class="nodes">
-                ${incomplete.map(item => `
-                <div class="node">
-                    <h4>${escapeHtml(item.id)}</h4>
-                    ${item.description ? `<p>${escapeHtml(item.description)}</p>` : ''}
-                    ${item.helpUrl ? `<p><a href="${escapeHtml(item.helpUrl)}" target="_blank" rel="noopener noreferrer">Learn more</a></p>` : ''}
-                </div>
-                `).join('')}
-            </div>
-        </section>
-        ` : ''}
-        
-        ${passed.length > 0 ? `
-        <section class="violations-section">
-            <h2 class="section-title">Passed Checks (${passed.length})</h2>
-            <div class="export-info">
-                <p>The following accessibility checks passed successfully:</p>
-            </div>
-            <div class="nodes">
-                ${passed.slice(0, 20).map(item => `
-                <div class="node">
-                    <h4>${escapeHtml(item.id)}</h4>
-                    ${item.description ? `<p>${escapeHtml(item.description)}</p>` : ''}
-                </div>
-                `).join('')}
-                ${passed.length > 20 ? `<p>... and ${passed.length - 20} more passed checks</p>` : ''}
-            </div>
-        </section>
-        ` : ''}
-    </main>
-    
-    <footer>
-        <p>Generated by Accessibility Scanner • WCAG 2.2 AA • ${timestamp}</p>
-        <p class="no-print">This report is for informational purposes only. Always conduct manual testing for complete accessibility compliance.</p>
-    </footer>
-    
-    <script>
-        // Print functionality
-        document.addEventListener('DOMContentLoaded', function() {
-            // Add print button for non-print view
-            if (!window.matchMedia('print').matches) {
-                const printBtn = document.createElement('button');
-                printBtn.textContent = 'Print Report';
-                printBtn.className = 'no-print';
-                printBtn.style.cssText = 'position: fixed; bottom: 20px; right: 20px; padding: 10px 20px; background: var(--passed); color: white; border: none; border-radius: 6px; cursor: pointer; z-index: 1000;';
-                printBtn.onclick = () => window.print();
-                document.body.appendChild(printBtn);
-            }
-            
-            // Add click handlers for details elements
-            document.querySelectorAll('details').forEach(details => {
-                details.addEventListener('toggle', function() {
-                    if (this.open) {
-                        this.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
-                    }
-                });
-            });
-        });
-    </script>
-</body>
-</html>`;
+    const htmlContent = renderHtmlReport(activeResults, { verdict: activeResults.policyVerdict });
 
     const blob = new Blob([htmlContent], { type: 'text/html' });
     const filename = `accessibility-report-${new Date().toISOString().split('T')[0]}.html`;
@@ -2425,7 +1601,6 @@ function exportHTMLReport() {
   }
 }
 
-// Update the exportReport function
 function exportReport(type) {
   if (!activeResults) {
     announceToScreenReader('No results to export', 'assertive');
@@ -2434,8 +1609,12 @@ function exportReport(type) {
 
   if (type === 'html') {
     exportHTMLReport();
+  } else if (type === 'sarif') {
+    exportSarifReport();
+  } else if (type === 'csv') {
+    exportCsvReport();
   } else {
-    // Original JSON/SARIF export
+    // Original JSON export
     const report = {
       metadata: {
         tool: 'Accessibility Scanner',
@@ -2448,7 +1627,9 @@ function exportReport(type) {
       summary: {
         violations: activeResults.violations?.length || 0,
         passes: activeResults.passes?.length || 0,
-        incomplete: activeResults.incomplete?.length || 0
+        incomplete: activeResults.incomplete?.length || 0,
+        accepted: activeResults.baseline?.accepted || 0,
+        policyVerdict: activeResults.policyVerdict?.verdict || null
       }
     };
 
@@ -2457,7 +1638,7 @@ function exportReport(type) {
       { type: 'application/json' }
     );
 
-    const filename = `accessibility-report-${new Date().toISOString().split('T')[0]}.${type === 'sarif' ? 'sarif.json' : 'json'}`;
+    const filename = `accessibility-report-${new Date().toISOString().split('T')[0]}.json`;
 
     chrome.downloads.download({
       url: URL.createObjectURL(blob),
@@ -2469,15 +1650,80 @@ function exportReport(type) {
   }
 }
 
-// Update the event listener for HTML export
-document.getElementById('export-html').addEventListener('click', () => exportHTMLReport());
+// Same SARIF log as the Node reporter; uploads straight to code scanning
+function exportSarifReport() {
+  try {
+    const sarif = buildSarif(activeResults, {
+      verdict: activeResults.policyVerdict,
+      toolVersion: chrome.runtime.getManifest().version
+    });
+    const blob = new Blob(
+      [JSON.stringify(sarif, null, 2)],
+      { type: 'application/sarif+json' }
+    );
+
+    const filename = `accessibility-report-${new Date().toISOString().split('T')[0]}.sarif`;
+
+    chrome.downloads.download({
+      url: URL.createObjectURL(blob),
+      filename: filename,
+      saveAs: true
+    });
+
+    announceToScreenReader(`Exporting SARIF report as ${filename}`);
+  } catch (error) {
+    console.error('SARIF export error:', error);
+    announceToScreenReader('Failed to generate SARIF report', 'assertive');
+  }
+}
+
+// One row per violation or needs-review element, for spreadsheets
+function exportCsvReport() {
+  try {
+    const blob = new Blob([buildCsv(activeResults)], { type: 'text/csv' });
+    const filename = `accessibility-report-${new Date().toISOString().split('T')[0]}.csv`;
+
+    chrome.downloads.download({
+      url: URL.createObjectURL(blob),
+      filename: filename,
+      saveAs: true
+    });
+
+    announceToScreenReader(`Exporting CSV report as ${filename}`);
+  } catch (error) {
+    console.error('CSV export error:', error);
+    announceToScreenReader('Failed to generate CSV report', 'assertive');
+  }
+}
 
 /* ---------------- Render ---------------- */
 
-function renderResults(results) {
+function renderResults(rawResults) {
+  // Accepted (baselined) nodes are split out of the violations
+  scanResults = rawResults;
+  const results = applyBaseline(rawResults, acceptedIssues);
+  results.policyVerdict = evaluatePolicy(results, policy || {});
   activeResults = results;
   resultsEl.innerHTML = '';
 
+  // Warn when a fallback scan skipped part of the page
+  if (results.partialScan) {
+    const warning = document.createElement('div');
+    warning.className = 'partial-scan-warning';
+    warning.innerHTML = `
+      <span class="warning-icon">⚠️</span>
+      <div class="warning-content">
+        <h4>Partial Scan Completed</h4>
+        <p>${escapeHtml(results.scanNote || 'Some content (like iframes or ads) was skipped during scanning.')}</p>
+        ${(results.metadata?.fallbacks || []).map(f => `
+          <p><small>${escapeHtml(findStrategy(f.strategy)?.label || f.strategy)} failed: ${escapeHtml(f.error)}</small></p>
+        `).join('')}
+        <p><small>The results below may not include all accessibility issues on the page.</small></p>
+      </div>
+    `;
+    resultsEl.appendChild(warning);
+  }
+
   const violations = results.violations || [];
   const incomplete = results.incomplete || [];
   const passed = results.passes || [];
@@ -2508,6 +1754,10 @@ function renderResults(results) {
     statusText += `, ${totalRulesNeedReview} rules need manual review`;
   }
 
+  if (results.baseline?.accepted > 0) {
+    statusText += `, ${results.baseline.accepted} accepted`;
+  }
+
   statusEl.textContent = statusText;
   statusEl.setAttribute('aria-label', `Scan results: ${statusText}`);
 
@@ -2520,41 +1770,30 @@ function renderResults(results) {
   summary.setAttribute('role', 'status');
   summary.setAttribute('aria-label', 'Scan summary');
 
-  // FIXED: Calculate WCAG 2.2 AA compliance correctly
-  // Check if there are any violations with wcag2aa tags
-  const hasAAViolations = violations.some(v =>
-    v.tags?.some(t => t.includes('wcag2aa'))
-  );
-
-  // Also check if there are any AA rules at all in the results
-  // If no AA rules were even tested, we can't determine AA compliance
-  const hasAARulesTested =
-    passed.some(p => p.tags?.some(t => t.includes('wcag2aa'))) ||
-    violations.some(v => v.tags?.some(t => t.includes('wcag2aa'))) ||
-    incomplete.some(i => i.tags?.some(t => t.includes('wcag2aa'))) ||
-    inapplicable.some(ia => ia.tags?.some(t => t.includes('wcag2aa')));
-
-  let complianceStatus = 'Unknown';
-  if (hasAARulesTested) {
-    complianceStatus = hasAAViolations ? 'Failing' : 'Passing';
-  }
-
-  // Count AA violations
-  const aaViolationCount = violations.filter(v =>
-    v.tags?.some(t => t.includes('wcag2aa'))
-  ).length;
-
   summary.innerHTML = `
     <h2>Scan Summary</h2>
     <ul>
+      ${results.metadata?.profile ? `<li>Profile: ${escapeHtml(results.metadata.profile.name)}</li>` : ''}
+      ${results.metadata?.scope && !results.metadata.pickedElement ? `<li>Scope: ${escapeHtml(describeScope(results.metadata.scope))}</li>` : ''}
+      ${results.metadata?.incremental && !results.metadata.incremental.full ? `<li>Incremental: re-scanned ${results.metadata.incremental.roots.length} changed region${results.metadata.incremental.roots.length === 1 ? '' : 's'}</li>` : ''}
       <li>Tested ${totalRulesChecked} accessibility rules</li>
       <li>${totalRulesPassed} rules passed</li>
       <li>${totalRulesFailed} rules failed</li>
       ${totalRulesNeedReview > 0 ? `<li>${totalRulesNeedReview} rules need manual review</li>` : ''}
       ${totalRulesNotApplicable > 0 ? `<li>${totalRulesNotApplicable} rules were not applicable to this page</li>` : ''}
-      <li>WCAG 2.2 AA compliance: ${complianceStatus}${hasAAViolations ? ` (${aaViolationCount} AA violations)` : ''}</li>
     </ul>
+    ${results.metadata?.pickedElement ? `
+      <p class="picked-element">
+        Picked element: <code>${escapeHtml(results.metadata.pickedElement)}</code>
+        ${results.metadata.pickedFrameId ? '(in a frame)' : ''}
+        <button type="button" class="rerun-picked">Re-run</button>
+      </p>
+    ` : ''}
+    ${renderPolicyVerdict(results.policyVerdict)}
   `;
+  summary.querySelector('.rerun-picked')?.addEventListener('click', () => {
+    rerunPickedElement(results.metadata.pickedElement, results.metadata.pickedFrameId);
+  });
   resultsEl.appendChild(summary);
 
   // Debug log to understand the data structure
@@ -2567,22 +1806,9 @@ function renderResults(results) {
     violationsCount: violations.length,
     passedCount: passed.length,
     incompleteCount: incomplete.length,
-    inapplicableCount: inapplicable.length,
-    hasAAViolations,
-    hasAARulesTested,
-    complianceStatus,
-    aaViolationCount
+    inapplicableCount: inapplicable.length
   });
 
-  // If we see 0 passed but AA compliance is "Passing", show debug info
-  if (totalRulesPassed === 0 && complianceStatus === 'Passing') {
-    console.log('Debug - Check what rules passed:', passed.map(p => ({
-      id: p.id,
-      tags: p.tags,
-      nodes: p.nodes?.length
-    })));
-  }
-
   // Render violations
   if (violations.length === 0) {
     const successMsg = document.createElement('div');
@@ -2662,125 +1888,127 @@ function renderResults(results) {
       });
 
       if (v.nodes?.length > 0) {
-        v.nodes.forEach((node, nodeIndex) => {
-          node.target.forEach(selector => {
-            const nodeEl = document.createElement('div');
-            nodeEl.className = 'node';
-            nodeEl.setAttribute('role', 'listitem');
-
-            const htmlSnippet = escapeHtml(node.html || '').substring(0, 200);
-            const failureSummary = escapeHtml(node.failureSummary || 'No specific failure summary available.');
-
-            nodeEl.innerHTML = `
-              <div class="node-content">
-                <pre><code>${htmlSnippet}${htmlSnippet.length === 200 ? '...' : ''}</code></pre>
-                <div class="reason" role="alert">
-                  <strong>Issue:</strong> ${failureSummary}
-                </div>
-                <div class="actions" role="group" aria-label="Element actions">
-                  <button class="action-button highlight" aria-label="Highlight this element">
-                    <span class="button-text">Highlight</span>
-                    <span class="sr-only"> element on page</span>
-                  </button>
-                  <button class="action-button inspect" aria-label="Inspect this element">
-                    <span class="button-text">Inspect</span>
-                  </button>
-                  <button class="action-button copy" aria-label="Copy fix for this issue">
-                    <span class="button-text">Copy fix</span>
-                  </button>
-                </div>
+        v.nodes.forEach(node => {
+          const nodeEl = document.createElement('div');
+          nodeEl.className = 'node';
+          nodeEl.setAttribute('role', 'listitem');
+
+          const htmlSnippet = escapeHtml(node.html || '').substring(0, 200);
+          const failureSummary = escapeHtml(node.failureSummary || 'No specific failure summary available.');
+
+          nodeEl.innerHTML = `
+            <div class="node-content">
+              <pre><code>${htmlSnippet}${htmlSnippet.length === 200 ? '...' : ''}</code></pre>
+              <p class="node-selector"><code>${escapeHtml(formatTarget(node.target))}</code></p>
+              ${node.frame ? `<p class="node-frame">In frame: ${escapeHtml(node.frame.url || formatTarget(node.frame.selectors) || 'unknown')}</p>` : ''}
+              <div class="reason" role="alert">
+                <strong>Issue:</strong> ${failureSummary}
               </div>
-            `;
-
-            // Set up event listeners with proper accessibility
-            const highlightBtn = nodeEl.querySelector('.highlight');
-            const inspectBtn = nodeEl.querySelector('.inspect');
-            const copyBtn = nodeEl.querySelector('.copy');
-
-            // Highlight on hover/focus
-            highlightBtn.addEventListener('mouseenter', () => {
-              chrome.scripting.executeScript({
-                target: { tabId: currentTabId, allFrames: true },
-                func: highlightNode,
-                args: [selector]
-              });
-            });
-
-            highlightBtn.addEventListener('click', () => {
-              chrome.scripting.executeScript({
-                target: { tabId: currentTabId, allFrames: true },
-                func: highlightNode,
-                args: [selector]
-              });
-            });
-
-            highlightBtn.addEventListener('focus', () => {
-              chrome.scripting.executeScript({
-                target: { tabId: currentTabId, allFrames: true },
-                func: highlightNode,
-                args: [selector]
-              });
-            });
-
-            highlightBtn.addEventListener('mouseleave', () => {
-              chrome.scripting.executeScript({
-                target: { tabId: currentTabId, allFrames: true },
-                func: clearHighlight
-              });
-            });
-
-            highlightBtn.addEventListener('blur', () => {
-              chrome.scripting.executeScript({
-                target: { tabId: currentTabId, allFrames: true },
-                func: clearHighlight
-              });
-            });
-
-            // Inspect on click
-            inspectBtn.addEventListener('click', () => {
-              chrome.scripting.executeScript({
-                target: { tabId: currentTabId, allFrames: true },
-                func: inspectNode,
-                args: [selector]
-              });
-              announceToScreenReader('Element focused on page');
-            });
-
-            inspectBtn.addEventListener('keydown', (e) => {
-              if (e.key === 'Enter' || e.key === ' ') {
-                e.preventDefault();
-                inspectBtn.click();
-              }
-            });
-
-            // Copy fix
-            copyBtn.addEventListener('click', async () => {
-              const text = getFixSnippet(v.id, node);
-              try {
-                await navigator.clipboard.writeText(text);
-                copyBtn.innerHTML = '<span class="button-text">Copied!</span>';
-                copyBtn.style.backgroundColor = ACCESSIBLE_COLORS.minor;
-                announceToScreenReader('Fix copied to clipboard');
-
-                setTimeout(() => {
-                  copyBtn.innerHTML = '<span class="button-text">Copy fix</span>';
-                  copyBtn.style.backgroundColor = '';
-                }, 2000);
-              } catch (err) {
-                console.error('Copy failed:', err);
-                announceToScreenReader('Failed to copy to clipboard', 'assertive');
-              }
-            });
-
-            copyBtn.addEventListener('keydown', (e) => {
-              if (e.key === 'Enter' || e.key === ' ') {
-                e.preventDefault();
-                copyBtn.click();
-              }
-            });
-
-            nodesEl.appendChild(nodeEl);
+              <div class="actions" role="group" aria-label="Element actions">
+                <button class="action-button highlight" aria-label="Highlight this element">
+                  <span class="button-text">Highlight</span>
+                  <span class="sr-only"> element on page</span>
+                </button>
+                <button class="action-button inspect" aria-label="Inspect this element">
+                  <span class="button-text">Inspect</span>
+                </button>
+                <button class="action-button copy" aria-label="Copy fix for this issue">
+                  <span class="button-text">Copy fix</span>
+                </button>
+                <button class="action-button copy-selector" aria-label="Copy selector for this element">
+                  <span class="button-text">Copy selector</span>
+                </button>
+                <button class="action-button accept" aria-label="Accept this issue as a known issue">
+                  <span class="button-text">Accept</span>
+                </button>
+              </div>
+            </div>
+          `;
+
+          // Set up event listeners with proper accessibility
+          const highlightBtn = nodeEl.querySelector('.highlight');
+          const inspectBtn = nodeEl.querySelector('.inspect');
+          const copyBtn = nodeEl.querySelector('.copy');
+
+          // Highlight on hover/focus, in the frame the element lives in
+          const highlight = () => runInNodeFrame(node, highlightNode, [ACCESSIBLE_COLORS]);
+          const unhighlight = () => runInNodeFrame(node, clearHighlight);
+
+          highlightBtn.addEventListener('mouseenter', highlight);
+          highlightBtn.addEventListener('click', highlight);
+          highlightBtn.addEventListener('focus', highlight);
+          highlightBtn.addEventListener('mouseleave', unhighlight);
+          highlightBtn.addEventListener('blur', unhighlight);
+
+          // Inspect on click
+          inspectBtn.addEventListener('click', async () => {
+            await revealNodeFrame(node);
+            runInNodeFrame(node, inspectNode, [ACCESSIBLE_COLORS.critical]);
+            announceToScreenReader('Element focused on page');
           });
+
+          inspectBtn.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+              e.preventDefault();
+              inspectBtn.click();
+            }
+          });
+
+          // Copy fix
+          copyBtn.addEventListener('click', async () => {
+            const text = getFixSnippet(v.id, node);
+            try {
+              await navigator.clipboard.writeText(text);
+              copyBtn.innerHTML = '<span class="button-text">Copied!</span>';
+              copyBtn.style.backgroundColor = ACCESSIBLE_COLORS.minor;
+              announceToScreenReader('Fix copied to clipboard');
+
+              setTimeout(() => {
+                copyBtn.innerHTML = '<span class="button-text">Copy fix</span>';
+                copyBtn.style.backgroundColor = '';
+              }, 2000);
+            } catch (err) {
+              console.error('Copy failed:', err);
+              announceToScreenReader('Failed to copy to clipboard', 'assertive');
+            }
+          });
+
+          copyBtn.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+              e.preventDefault();
+              copyBtn.click();
+            }
+          });
+
+          // Copy selector (frames separated by " | ", shadow roots by " >>> ")
+          const copySelectorBtn = nodeEl.querySelector('.copy-selector');
+          copySelectorBtn.addEventListener('click', async () => {
+            try {
+              await navigator.clipboard.writeText(formatTarget(node.target));
+              copySelectorBtn.innerHTML = '<span class="button-text">Copied!</span>';
+              announceToScreenReader('Selector copied to clipboard');
+
+              setTimeout(() => {
+                copySelectorBtn.innerHTML = '<span class="button-text">Copy selector</span>';
+              }, 2000);
+            } catch (err) {
+              console.error('Copy failed:', err);
+              announceToScreenReader('Failed to copy to clipboard', 'assertive');
+            }
+          });
+
+          nodeEl.querySelector('.accept').addEventListener('click', () => {
+            showAcceptForm(nodeEl.querySelector('.node-content'), v, node);
+          });
+
+          if (node.expiredAcceptance) {
+            const expiredNote = document.createElement('p');
+            expiredNote.className = 'baseline-meta';
+            expiredNote.textContent = `Acceptance by ${node.expiredAcceptance.author} expired on ${new Date(node.expiredAcceptance.expiresAt).toLocaleDateString()}.`;
+            nodeEl.querySelector('.node-content').appendChild(expiredNote);
+          }
+
+          nodesEl.appendChild(nodeEl);
         });
       }
 
@@ -2804,135 +2032,32 @@ function renderResults(results) {
     resultsEl.appendChild(manualReview);
   }
 
+  resultsEl.appendChild(renderBaselineSection(results));
+
   // Enable export buttons
   document.getElementById('export-html').disabled = false;
   document.getElementById('export-sarif').disabled = false;
+  document.getElementById('export-csv').disabled = false;
   document.getElementById('export-html').setAttribute('aria-disabled', 'false');
   document.getElementById('export-sarif').setAttribute('aria-disabled', 'false');
+  document.getElementById('export-csv').setAttribute('aria-disabled', 'false');
 }
 
 /* ---------------- Utilities ---------------- */
 
-function exportReport(type) {
-  if (!activeResults) {
-    announceToScreenReader('No results to export', 'assertive');
-    return;
-  }
-
-  try {
-    // Add metadata for compliance reporting
-    const report = {
-      metadata: {
-        tool: 'Accessibility Scanner',
-        version: '1.0',
-        standards: ['WCAG 2.2 AA', 'Section 508', 'ADA'],
-        scanDate: new Date().toISOString(),
-        url: window.location?.href || 'Unknown'
-      },
-      results: activeResults,
-      summary: {
-        violations: activeResults.violations?.length || 0,
-        passes: activeResults.passes?.length || 0,
-        incomplete: activeResults.incomplete?.length || 0
-      }
-    };
-
-    const blob = new Blob(
-      [JSON.stringify(report, null, 2)],
-      { type: 'application/json' }
-    );
-
-    const filename = `accessibility-report-${new Date().toISOString().split('T')[0]}.${type === 'sarif' ? 'sarif.json' : 'json'}`;
-
-    chrome.downloads.download({
-      url: URL.createObjectURL(blob),
-      filename: filename,
-      saveAs: true
-    });
-
-    announceToScreenReader(`Exporting ${type} report as ${filename}`);
-  } catch (error) {
-    console.error('Export error:', error);
-    announceToScreenReader('Failed to export report', 'assertive');
-  }
-}
-
-function getFixSnippet(id, node) {
-  const fixes = {
-    'color-contrast': `/* Ensure text has sufficient color contrast (4.5:1 for normal text, 3:1 for large text) */
-/* Use tools like WebAIM's Contrast Checker */
-color: #1f2937; /* Dark gray for good contrast on white */
-background-color: #ffffff;`,
-
-    'image-alt': `<!-- Always provide descriptive alt text for images -->
-<img src="image.jpg" alt="Description of image content">
-<!-- For decorative images: -->
-<img src="decorative.jpg" alt="" role="presentation">`,
-
-    'label': `<!-- Explicit labels are best -->
-<label for="input-id">Descriptive label text</label>
-<input type="text" id="input-id" name="input-name">
-<!-- Or using aria-label -->
-<input type="text" aria-label="Descriptive label">`,
-
-    'link-name': `<!-- Links must have descriptive text -->
-<a href="/page">Descriptive link text</a>
-<!-- Not: -->
-<a href="/page">Click here</a> <!-- Avoid generic text -->`,
-
-    'button-name': `<!-- Buttons need accessible names -->
-<button aria-label="Close dialog">X</button>
-<!-- Or with visible text: -->
-<button>Submit Form</button>`,
-
-    'aria-allowed-attr': `<!-- Only use valid ARIA attributes for each role -->
-<button aria-expanded="false">Menu</button>
-<!-- Check ARIA specification for allowed attributes -->`,
-
-    'document-title': `<!-- Every page needs a descriptive title -->
-<title>Page Title | Site Name</title>`,
-
-    'html-has-lang': `<!-- Specify page language -->
-<html lang="en">
-<!-- For multiple languages: -->
-<span lang="es">Texto en español</span>`,
-
-    'frame-title': `<!-- Frames and iframes need titles -->
-<iframe title="Description of frame content" src="..."></iframe>`,
-
-    'heading-order': `<!-- Maintain proper heading hierarchy -->
-<h1>Main page title</h1>
-<h2>Section heading</h2>
-<h3>Subsection heading</h3>
-<!-- Never skip heading levels -->`,
-
-    'landmark-one-main': `<!-- Each page should have one main landmark -->
-<main role="main">
-  <!-- Main content here -->
-</main>`
-  };
-
-  const customFix = node?.any?.[0]?.message ||
-    node?.all?.[0]?.message ||
-    node?.none?.[0]?.message;
+function renderPolicyVerdict(verdict) {
+  if (!verdict) return '';
 
-  if (customFix) {
-    return `/* Fix for ${id} */
-${customFix}
-
-/* WCAG Reference: https://www.w3.org/WAI/WCAG22/quickref/ */`;
-  }
-
-  return fixes[id] ||
-    `/* Fix for ${id} */
-/* Refer to WCAG 2.2 guidelines: https://www.w3.org/WAI/WCAG22/quickref/
-/* Common solutions may include:
-/* 1. Add appropriate ARIA attributes
-/* 2. Ensure proper semantic HTML
-/* 3. Verify keyboard accessibility
-/* 4. Check color contrast requirements
-
-${node?.html ? `Problematic element: ${node.html}` : ''}`;
+  return `
+    <div class="policy-verdict ${verdict.verdict.toLowerCase()}">
+      <strong>Policy verdict: ${verdict.verdict}</strong>
+      ${verdict.reasons.length > 0 ? `
+        <ul>
+          ${verdict.reasons.map(r => `<li>${r.verdict}: ${escapeHtml(r.message)}</li>`).join('')}
+        </ul>
+      ` : '<p>All policy gates passed.</p>'}
+    </div>
+  `;
 }
 
 function increment(level) {
@@ -2944,7 +2069,9 @@ function increment(level) {
 }
 
 function resetUI() {
+  setHistoryVisible(false);
   resultsEl.innerHTML = '';
+  hideScanProgress();
   statusEl.textContent = 'Ready to scan';
   statusEl.setAttribute('aria-busy', 'false');
 
@@ -2957,8 +2084,10 @@ function resetUI() {
 
   document.getElementById('export-html').disabled = true;
   document.getElementById('export-sarif').disabled = true;
+  document.getElementById('export-csv').disabled = true;
   document.getElementById('export-html').setAttribute('aria-disabled', 'true');
   document.getElementById('export-sarif').setAttribute('aria-disabled', 'true');
+  document.getElementById('export-csv').setAttribute('aria-disabled', 'true');
 
   announceToScreenReader('UI reset, ready for new scan');
 }
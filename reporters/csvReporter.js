@@ -0,0 +1,21 @@
+/**
+ * CSV reporter for axe-core results, for triage in spreadsheets
+ * One row per violation or needs-review node; built by shared/csv-report.js
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { buildCsv } from '../shared/csv-report.js';
+
+/**
+ * @param {object} results Scan results
+ * @param {object} [options] outputFile
+ * @returns {string} The file written
+ */
+export function writeCsv(results, options = {}) {
+  const outputFile =
+    options.outputFile || path.resolve(process.cwd(), 'a11y-report.csv');
+
+  fs.writeFileSync(outputFile, buildCsv(results), 'utf8');
+  return outputFile;
+}
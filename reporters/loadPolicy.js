@@ -0,0 +1,16 @@
+/**
+ * Policy lookup for the Node reporters
+ * Uses options.policy, then options.policyFile, then the bundled policy.json
+ */
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_POLICY_FILE = fileURLToPath(new URL('../policy.json', import.meta.url));
+
+export function loadPolicy(options = {}) {
+  if (options.policy) return options.policy;
+
+  const policyFile = options.policyFile || DEFAULT_POLICY_FILE;
+  return JSON.parse(fs.readFileSync(policyFile, 'utf8'));
+}
@@ -1,114 +1,38 @@
 /**
  * SARIF 2.1.0 reporter for axe-core results
- * Compatible with GitHub Advanced Security, Azure DevOps, SonarQube
+ * Compatible with GitHub Advanced Security, Azure DevOps, SonarQube.
+ * The log itself is built by shared/sarif.js
  */
 
 import fs from 'fs';
 import path from 'path';
+import { fileURLToPath } from 'url';
+import { evaluatePolicy } from '../shared/policy-evaluator.js';
+import { applyBaseline } from '../shared/baseline.js';
+import { buildSarif } from '../shared/sarif.js';
+import { loadPolicy } from './loadPolicy.js';
 
-const TOOL_NAME = 'Awesome Accessibility Auditor';
-const TOOL_VERSION = '1.0.0';
-const SARIF_VERSION = '2.1.0';
+const MANIFEST_FILE = fileURLToPath(new URL('../manifest.json', import.meta.url));
 
-const impactToLevel = {
-  critical: 'error',
-  serious: 'error',
-  moderate: 'warning',
-  minor: 'note'
-};
-
-function normalizeUri(uri) {
-  if (!uri) return 'file:///unknown';
-  if (uri.startsWith('http')) return uri;
-  return `file://${uri}`;
-}
-
-function buildRule(rule) {
-  return {
-    id: rule.id,
-    name: rule.id,
-    shortDescription: {
-      text: rule.help
-    },
-    fullDescription: {
-      text: rule.description || rule.help
-    },
-    help: {
-      text: rule.help,
-      markdown: `[Learn more](${rule.helpUrl})`
-    },
-    properties: {
-      tags: rule.tags || [],
-      category: 'Accessibility'
-    }
-  };
-}
-
-function buildResult(violation, node, pageUrl) {
-  return {
-    ruleId: violation.id,
-    level: impactToLevel[violation.impact] || 'warning',
-    message: {
-      text: violation.help
-    },
-    locations: [
-      {
-        physicalLocation: {
-          artifactLocation: {
-            uri: normalizeUri(pageUrl)
-          },
-          region: {
-            snippet: {
-              text: node.html
-            }
-          }
-        }
-      }
-    ],
-    properties: {
-      impact: violation.impact,
-      wcagTags: violation.tags || [],
-      failureSummary: node.failureSummary || '',
-      target: node.target || []
-    }
-  };
+// The extension's version, so SARIF from CI and from the popup agree
+function toolVersion() {
+  return JSON.parse(fs.readFileSync(MANIFEST_FILE, 'utf8')).version;
 }
 
+/**
+ * @param {object} results Scan results
+ * @param {object} [options] outputFile, policy / policyFile, and baseline:
+ *   accepted issues (shared/baseline.js entries) reported as suppressions
+ * @returns {string} The file written
+ */
 export function writeSarif(results, options = {}) {
   const outputFile =
     options.outputFile || path.resolve(process.cwd(), 'a11y-report.sarif');
 
-  const rules = {};
-  const sarifResults = [];
-
-  (results.violations || []).forEach(violation => {
-    rules[violation.id] = buildRule(violation);
-
-    violation.nodes.forEach(node => {
-      sarifResults.push(
-        buildResult(violation, node, results.url)
-      );
-    });
-  });
-
-  const sarif = {
-    version: SARIF_VERSION,
-    $schema:
-      'https://schemastore.azurewebsites.net/schemas/json/sarif-2.1.0.json',
-    runs: [
-      {
-        tool: {
-          driver: {
-            name: TOOL_NAME,
-            version: TOOL_VERSION,
-            rules: Object.values(rules)
-          }
-        },
-        results: sarifResults
-      }
-    ]
-  };
+  const baselined = options.baseline ? applyBaseline(results, options.baseline) : results;
+  const verdict = evaluatePolicy(baselined, loadPolicy(options));
+  const sarif = buildSarif(baselined, { verdict, toolVersion: toolVersion() });
 
   fs.writeFileSync(outputFile, JSON.stringify(sarif, null, 2), 'utf8');
   return outputFile;
-}
\ No newline at end of file
+}
@@ -0,0 +1,217 @@
+/**
+ * Baseline of accepted (known) issues, per policy.json "baseline"
+ * Accepted violation nodes are counted separately until they expire,
+ * after which they fail again
+ */
+
+import { hashHtml } from './scan-diff.js';
+import { siteKey } from './site-key.js';
+
+export const BASELINE_FORMAT_VERSION = 1;
+
+const DEFAULT_EXPIRY_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function issueFingerprint(ruleId, node) {
+  const hash = node?.htmlHash || hashHtml(node?.html);
+  return `${ruleId}|${JSON.stringify(node?.target || [])}|${hash}`;
+}
+
+// An entry without a valid expiry date counts as expired, so nothing is
+// accepted for good
+export function isExpired(entry, now = Date.now()) {
+  return !(new Date(entry?.expiresAt).getTime() > now);
+}
+
+/**
+ * Build a baseline entry for one violation node
+ * @throws {Error} When the policy requires a justification and none is given
+ */
+export function createAcceptance({ ruleId, node, url, justification = '', author = '', baselinePolicy = {}, now = Date.now() }) {
+  if (baselinePolicy.enabled === false) {
+    throw new Error('Accepting issues is disabled by the accessibility policy');
+  }
+  if (baselinePolicy.requireJustification !== false && !justification.trim()) {
+    throw new Error('A justification is required to accept an issue');
+  }
+  if (!author.trim()) {
+    throw new Error('An author is required to accept an issue');
+  }
+
+  const expiryDays = Number(baselinePolicy.expiryDays) || DEFAULT_EXPIRY_DAYS;
+
+  return {
+    fingerprint: issueFingerprint(ruleId, node),
+    site: siteKey(url),
+    ruleId,
+    target: node.target || [],
+    html: node.html || '',
+    justification: justification.trim(),
+    author: author.trim(),
+    acceptedAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + expiryDays * DAY_MS).toISOString()
+  };
+}
+
+function countBySeverity(violations) {
+  const severityCounts = { critical: 0, serious: 0, moderate: 0, minor: 0 };
+  violations.forEach(v => {
+    const severity = v.impact?.toLowerCase();
+    if (severity) {
+      severityCounts[severity] = (severityCounts[severity] || 0) + 1;
+    }
+  });
+  return severityCounts;
+}
+
+/**
+ * Split violations into failing and accepted nodes
+ * @returns {object} A copy of results where `violations` holds only failing
+ *   nodes, `accepted` holds accepted nodes (each with its `acceptance`) and
+ *   `baseline` summarises what was applied
+ */
+export function applyBaseline(results, entries = [], now = Date.now()) {
+  if (!results) return results;
+
+  const site = siteKey(results.url || results.metadata?.url);
+  const forSite = new Map(
+    entries
+      .filter(entry => entry.site === site)
+      .map(entry => [entry.fingerprint, entry])
+  );
+
+  const violations = [];
+  const accepted = [];
+  let acceptedNodes = 0;
+  let expiredNodes = 0;
+
+  (results.violations || []).forEach(violation => {
+    const failing = [];
+    const waived = [];
+
+    (violation.nodes || []).forEach(node => {
+      const entry = forSite.get(issueFingerprint(violation.id, node));
+      if (entry && !isExpired(entry, now)) {
+        waived.push({ ...node, acceptance: entry });
+      } else if (entry) {
+        expiredNodes++;
+        failing.push({ ...node, expiredAcceptance: entry });
+      } else {
+        failing.push(node);
+      }
+    });
+
+    if (failing.length > 0) violations.push({ ...violation, nodes: failing });
+    if (waived.length > 0) accepted.push({ ...violation, nodes: waived });
+    acceptedNodes += waived.length;
+  });
+
+  return {
+    ...results,
+    violations,
+    accepted,
+    statistics: {
+      ...(results.statistics || {}),
+      issuesFound: violations.length,
+      severityCounts: countBySeverity(violations),
+      acceptedIssues: acceptedNodes
+    },
+    baseline: {
+      accepted: acceptedNodes,
+      expired: expiredNodes
+    }
+  };
+}
+
+/* ---------------- Import / export ---------------- */
+
+export function serializeBaseline(entries = []) {
+  return JSON.stringify({
+    version: BASELINE_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    entries
+  }, null, 2);
+}
+
+// Why an imported entry breaks the rules createAcceptance() enforces, or null
+function invalidEntryReason(entry, baselinePolicy) {
+  if (typeof entry?.fingerprint !== 'string' ||
+    typeof entry?.site !== 'string' ||
+    typeof entry?.ruleId !== 'string') {
+    return 'not a baseline entry';
+  }
+  if (baselinePolicy.requireJustification !== false &&
+    !(typeof entry.justification === 'string' && entry.justification.trim())) {
+    return 'no justification';
+  }
+  if (!(typeof entry.author === 'string' && entry.author.trim())) {
+    return 'no author';
+  }
+
+  const acceptedAt = new Date(entry.acceptedAt).getTime();
+  const expiresAt = new Date(entry.expiresAt).getTime();
+  if (Number.isNaN(acceptedAt) || Number.isNaN(expiresAt)) {
+    return 'no valid acceptance and expiry dates';
+  }
+
+  const expiryDays = Number(baselinePolicy.expiryDays) || DEFAULT_EXPIRY_DAYS;
+  if (expiresAt - acceptedAt > expiryDays * DAY_MS) {
+    return `accepted for longer than ${expiryDays} days`;
+  }
+  return null;
+}
+
+/**
+ * Parse an exported baseline, keeping only entries createAcceptance() could
+ * have made under this policy
+ * @param {string} text
+ * @param {object} [baselinePolicy] policy.json "baseline"
+ * @returns {{ entries: object[], skipped: Array<{ index: number, reason: string }> }}
+ * @throws {Error} When the file is not a baseline export, or accepting
+ *   issues is disabled
+ */
+export function parseBaseline(text, baselinePolicy = {}) {
+  if (baselinePolicy.enabled === false) {
+    throw new Error('Accepting issues is disabled by the accessibility policy');
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('Baseline file is not valid JSON');
+  }
+
+  const entries = Array.isArray(data) ? data : data?.entries;
+  if (!Array.isArray(entries)) {
+    throw new Error('Baseline file has no "entries" list');
+  }
+
+  const valid = [];
+  const skipped = [];
+  entries.forEach((entry, index) => {
+    const reason = invalidEntryReason(entry, baselinePolicy);
+    if (reason) {
+      skipped.push({ index, reason });
+    } else {
+      valid.push(entry);
+    }
+  });
+
+  return { entries: valid, skipped };
+}
+
+/**
+ * Merge imported entries into existing ones; later acceptances win
+ */
+export function mergeBaselines(existing = [], incoming = []) {
+  const byKey = new Map();
+  [...existing, ...incoming].forEach(entry => {
+    const key = `${entry.site}|${entry.fingerprint}`;
+    const current = byKey.get(key);
+    if (!current || (current.acceptedAt || '') <= (entry.acceptedAt || '')) {
+      byKey.set(key, entry);
+    }
+  });
+  return Array.from(byKey.values());
+}
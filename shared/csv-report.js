@@ -0,0 +1,75 @@
+/**
+ * CSV export of violations and needs-review items, one row per affected node
+ * Shared by the popup's "CSV Report" export and the Node reporter
+ * (reporters/csvReporter.js)
+ */
+
+import { formatTarget } from './target-selector.js';
+import { wcagCriteriaOf, describeCriterion } from './wcag.js';
+import { SCAN_TAGS } from './scan-settings.js';
+
+const BOM = '\ufeff';
+
+export const CSV_COLUMNS = [
+  'Result',
+  'Rule ID',
+  'Impact',
+  'WCAG Criteria',
+  'Standards',
+  'Selector',
+  'HTML',
+  'Failure Summary',
+  'Help URL',
+  'Page URL'
+];
+
+// Spreadsheets run cells starting with these as formulas
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function criteriaText(tags) {
+  return wcagCriteriaOf(tags)
+    .map(id => `${id} ${describeCriterion(id).name}`)
+    .join('; ');
+}
+
+// Levels and standards the rule is tagged with, e.g. "WCAG 2.1 Level AA"
+function standardsText(tags = []) {
+  return tags.filter(tag => SCAN_TAGS[tag]).map(tag => SCAN_TAGS[tag]).join('; ');
+}
+
+function rowsFor(rules, result, pageUrl) {
+  return (rules || []).flatMap(rule => (rule.nodes || []).map(node => [
+    result,
+    rule.id,
+    rule.impact || '',
+    criteriaText(rule.tags),
+    standardsText(rule.tags),
+    formatTarget(node.target),
+    node.html || '',
+    node.failureSummary || '',
+    rule.helpUrl || '',
+    pageUrl
+  ]));
+}
+
+/**
+ * @param {object} results Scan results
+ * @returns {string} CSV text (RFC 4180, CRLF line endings) with a UTF-8
+ *   byte order mark so spreadsheets detect the encoding
+ */
+export function buildCsv(results) {
+  const pageUrl = results.url || results.metadata?.url || '';
+  const rows = [
+    CSV_COLUMNS,
+    ...rowsFor(results.violations, 'violation', pageUrl),
+    ...rowsFor(results.incomplete, 'needs review', pageUrl)
+  ];
+
+  return `${BOM}${rows.map(row => row.map(csvCell).join(',')).join('\r\n')}\r\n`;
+}
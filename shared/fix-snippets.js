@@ -0,0 +1,88 @@
+/**
+ * Example fixes for axe-core rules, shown by the popup's "Copy fix" button
+ * and in the HTML report
+ */
+
+/**
+ * @param {string} id axe rule id
+ * @param {object} [node] Result node; axe's check messages are preferred
+ *   over the generic example when present
+ * @returns {string}
+ */
+export function getFixSnippet(id, node) {
+  const fixes = {
+    'color-contrast': `/* Ensure text has sufficient color contrast (4.5:1 for normal text, 3:1 for large text) */
+/* Use tools like WebAIM's Contrast Checker */
+color: #1f2937; /* Dark gray for good contrast on white */
+background-color: #ffffff;`,
+
+    'image-alt': `<!-- Always provide descriptive alt text for images -->
+<img src="image.jpg" alt="Description of image content">
+<!-- For decorative images: -->
+<img src="decorative.jpg" alt="" role="presentation">`,
+
+    'label': `<!-- Explicit labels are best -->
+<label for="input-id">Descriptive label text</label>
+<input type="text" id="input-id" name="input-name">
+<!-- Or using aria-label -->
+<input type="text" aria-label="Descriptive label">`,
+
+    'link-name': `<!-- Links must have descriptive text -->
+<a href="/page">Descriptive link text</a>
+<!-- Not: -->
+<a href="/page">Click here</a> <!-- Avoid generic text -->`,
+
+    'button-name': `<!-- Buttons need accessible names -->
+<button aria-label="Close dialog">X</button>
+<!-- Or with visible text: -->
+<button>Submit Form</button>`,
+
+    'aria-allowed-attr': `<!-- Only use valid ARIA attributes for each role -->
+<button aria-expanded="false">Menu</button>
+<!-- Check ARIA specification for allowed attributes -->`,
+
+    'document-title': `<!-- Every page needs a descriptive title -->
+<title>Page Title | Site Name</title>`,
+
+    'html-has-lang': `<!-- Specify page language -->
+<html lang="en">
+<!-- For multiple languages: -->
+<span lang="es">Texto en español</span>`,
+
+    'frame-title': `<!-- Frames and iframes need titles -->
+<iframe title="Description of frame content" src="..."></iframe>`,
+
+    'heading-order': `<!-- Maintain proper heading hierarchy -->
+<h1>Main page title</h1>
+<h2>Section heading</h2>
+<h3>Subsection heading</h3>
+<!-- Never skip heading levels -->`,
+
+    'landmark-one-main': `<!-- Each page should have one main landmark -->
+<main role="main">
+  <!-- Main content here -->
+</main>`
+  };
+
+  const customFix = node?.any?.[0]?.message ||
+    node?.all?.[0]?.message ||
+    node?.none?.[0]?.message;
+
+  if (customFix) {
+    return `/* Fix for ${id} */
+${customFix}
+
+/* WCAG Reference: https://www.w3.org/WAI/WCAG22/quickref/ */`;
+  }
+
+  return fixes[id] ||
+    `/* Fix for ${id} */
+/* Refer to WCAG 2.2 guidelines: https://www.w3.org/WAI/WCAG22/quickref/
+/* Common solutions may include:
+/* 1. Add appropriate ARIA attributes
+/* 2. Ensure proper semantic HTML
+/* 3. Verify keyboard accessibility
+/* 4. Check color contrast requirements
+
+${node?.html ? `Problematic element: ${node.html}` : ''}`;
+}
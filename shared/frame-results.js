@@ -0,0 +1,175 @@
+/**
+ * Merge per-frame scan results into one result for the whole tab
+ * Nodes inside frames get axe's frame-target convention (the selector of
+ * every enclosing frame, outermost first, followed by the element selector)
+ * and a `frame` with the frame's id, URL and selector chain
+ */
+
+const GROUPS = ['violations', 'passes', 'incomplete', 'inapplicable'];
+
+/**
+ * Selector chain from the top document to each frame
+ * @returns {Map<number, string[]|null>} null when an ancestor frame wasn't scanned
+ */
+function frameChains(frameScans) {
+  const parents = new Map();
+  frameScans.forEach(scan => {
+    (scan.frames || []).forEach(child => {
+      parents.set(child.frameId, { parentFrameId: scan.frameId, selector: child.selector });
+    });
+  });
+
+  const chains = new Map([[0, []]]);
+
+  function chainOf(frameId, seen = new Set()) {
+    if (chains.has(frameId)) return chains.get(frameId);
+
+    const parent = parents.get(frameId);
+    if (!parent || seen.has(frameId)) return null;
+    seen.add(frameId);
+
+    const parentChain = chainOf(parent.parentFrameId, seen);
+    const chain = parentChain ? [...parentChain, parent.selector] : null;
+    chains.set(frameId, chain);
+    return chain;
+  }
+
+  frameScans.forEach(scan => chainOf(scan.frameId));
+  return chains;
+}
+
+function attributeNodes(rules, frame) {
+  return (rules || []).map(rule => ({
+    ...rule,
+    ...(rule.nodes ? {
+      nodes: rule.nodes.map(node => ({
+        ...node,
+        target: [...(frame.selectors || []), ...(node.target || [])],
+        frame
+      }))
+    } : {})
+  }));
+}
+
+function mergeGroup(target, rules) {
+  rules.forEach(rule => {
+    const existing = target.get(rule.id);
+    if (!existing) {
+      target.set(rule.id, { ...rule, ...(rule.nodes ? { nodes: [...rule.nodes] } : {}) });
+    } else if (rule.nodes) {
+      existing.nodes = [...(existing.nodes || []), ...rule.nodes];
+    }
+  });
+}
+
+function recountStatistics(results) {
+  const severityCounts = { critical: 0, serious: 0, moderate: 0, minor: 0 };
+  results.violations.forEach(v => {
+    const severity = v.impact?.toLowerCase();
+    if (severity) severityCounts[severity] = (severityCounts[severity] || 0) + 1;
+  });
+
+  const totalTestsRun = GROUPS.reduce((sum, group) => sum + results[group].length, 0);
+
+  return {
+    ...(results.statistics || {}),
+    totalTestsRun,
+    testsPassed: results.passes.length,
+    issuesFound: results.violations.length,
+    manualReviews: results.incomplete.length,
+    severityCounts,
+    automatedCoverage: Math.round((results.passes.length / totalTestsRun) * 100) || 0
+  };
+}
+
+/**
+ * Frames to scan for a scoped scan: the frame the scope applies to plus every
+ * frame below it whose frame element lies inside the scope
+ * @param {Array<{ frameId: number, frames?: Array<{ frameId: number, inScope?: boolean }> }>} listings
+ *   Child frames listed by each frame; inScope only counts for the root's children
+ * @param {number} [rootFrameId] Frame the scope applies to; 0 is the top document
+ * @returns {number[]}
+ */
+export function framesInScope(listings, rootFrameId = 0) {
+  const children = new Map(listings.map(listing => [listing.frameId, listing.frames || []]));
+  const inScope = [];
+  const queue = [rootFrameId];
+
+  while (queue.length > 0) {
+    const frameId = queue.shift();
+    if (inScope.includes(frameId)) continue;
+    inScope.push(frameId);
+    (children.get(frameId) || [])
+      .filter(child => frameId !== rootFrameId || child.inScope !== false)
+      .forEach(child => queue.push(child.frameId));
+  }
+
+  return inScope;
+}
+
+/**
+ * @param {Array<{ frameId: number, url?: string, results?: object, frames?: Array, error?: string, listedOnly?: boolean }>} frameScans
+ *   One entry per frame; frameId 0 is the top document. listedOnly entries
+ *   were not scanned and only supply their child frames' selectors.
+ * @param {number} [rootFrameId] Frame whose results the others are merged into;
+ *   a root other than the top document is attributed like any other frame
+ * @returns {object} The root frame's results with every frame's rules merged in
+ * @throws {Error} When the root frame could not be scanned
+ */
+export function mergeFrameResults(frameScans, rootFrameId = 0) {
+  const root = frameScans.find(scan => scan.frameId === rootFrameId);
+  if (!root?.results) {
+    throw new Error(root?.error || (rootFrameId === 0
+      ? 'The page itself could not be scanned'
+      : 'The frame could not be scanned'));
+  }
+
+  const chains = frameChains(frameScans);
+  const groups = Object.fromEntries(GROUPS.map(group => [group, new Map()]));
+  const frames = [];
+
+  if (rootFrameId === 0) {
+    GROUPS.forEach(group => mergeGroup(groups[group], root.results[group] || []));
+  }
+
+  frameScans
+    .filter(scan => scan.frameId !== 0 && !scan.listedOnly)
+    // The root goes first so its rule order is kept
+    .sort((a, b) => (b.frameId === rootFrameId) - (a.frameId === rootFrameId))
+    .forEach(scan => {
+      const frame = {
+        frameId: scan.frameId,
+        url: scan.results?.url || scan.url || null,
+        selectors: chains.get(scan.frameId) || null
+      };
+
+      if (!scan.results) {
+        frames.push({ ...frame, scanned: false, error: scan.error || 'No results' });
+        return;
+      }
+
+      frames.push({ ...frame, scanned: true });
+      GROUPS.forEach(group => mergeGroup(groups[group], attributeNodes(scan.results[group], frame)));
+    });
+
+  const merged = {
+    ...root.results,
+    ...Object.fromEntries(GROUPS.map(group => [group, Array.from(groups[group].values())])),
+    frames
+  };
+
+  // Inapplicable only if no frame applied the rule
+  const applied = new Set(['violations', 'passes', 'incomplete']
+    .flatMap(group => merged[group].map(rule => rule.id)));
+  merged.inapplicable = merged.inapplicable.filter(rule => !applied.has(rule.id));
+
+  merged.statistics = recountStatistics(merged);
+
+  const skipped = frames.filter(frame => !frame.scanned).length;
+  if (skipped > 0) {
+    merged.partialScan = true;
+    merged.scanNote = `${skipped} frame${skipped === 1 ? '' : 's'} could not be scanned`;
+  }
+
+  return merged;
+}
@@ -0,0 +1,893 @@
+/**
+ * HTML accessibility report
+ * Shared by the popup's "HTML Report" export and the Node reporter
+ * (reporters/htmlReporter.js). Pure and locale-independent, so the same
+ * results render to the same file in both. The popup's delta report
+ * (renderDeltaReport) uses the same markup and styles.
+ */
+
+import { formatTarget } from './target-selector.js';
+import { describeScope } from './scan-settings.js';
+import { getFixSnippet } from './fix-snippets.js';
+import { WCAG_VERSION, wcagCriteriaOf, describeCriterion, compareCriteria } from './wcag.js';
+
+const SNIPPET_LENGTH = 200;
+
+// Conformance level tags, for rules tagged without a success criterion
+const LEVEL_TAGS = {
+  wcag2a: 'A',
+  wcag21a: 'A',
+  wcag2aa: 'AA',
+  wcag21aa: 'AA',
+  wcag22aa: 'AA',
+  wcag2aaa: 'AAA'
+};
+
+const LEVELS = ['A', 'AA', 'AAA'];
+
+function escapeHtml(value) {
+  if (value === null || value === undefined) return '';
+
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+// Only http(s) links; anything else (e.g. javascript:) is dropped
+function safeUrl(url) {
+  return /^https?:\/\//i.test(url || '') ? url : null;
+}
+
+function formatTimestamp(iso) {
+  const date = new Date(iso);
+  return Number.isNaN(date.getTime())
+    ? 'Unknown'
+    : `${date.toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+}
+
+function snippet(html = '') {
+  return html.length > SNIPPET_LENGTH ? `${html.substring(0, SNIPPET_LENGTH)}...` : html;
+}
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+function nodeCount(rules) {
+  return rules.reduce((sum, rule) => sum + (rule.nodes?.length || 0), 0);
+}
+
+/* ---------------- WCAG ---------------- */
+
+// Conformance levels a rule's failures count against
+function levelsOf(rule) {
+  const levels = new Set(wcagCriteriaOf(rule.tags).map(id => describeCriterion(id).level));
+  (rule.tags || []).forEach(tag => {
+    if (LEVEL_TAGS[tag]) levels.add(LEVEL_TAGS[tag]);
+  });
+  levels.delete(null);
+  return levels;
+}
+
+// A level is met when no violation fails a criterion at that level or below
+function complianceByLevel(violations) {
+  const failed = new Set(violations.flatMap(v => Array.from(levelsOf(v))));
+  return Object.fromEntries(LEVELS.map((level, i) => [
+    level,
+    !LEVELS.slice(0, i + 1).some(l => failed.has(l))
+  ]));
+}
+
+/**
+ * Rule and node counts per success criterion, in WCAG order
+ */
+function criteriaBreakdown({ violations, incomplete, passes, accepted }) {
+  const rows = new Map();
+  const add = (rules, key) => rules.forEach(rule => {
+    wcagCriteriaOf(rule.tags).forEach(id => {
+      if (!rows.has(id)) {
+        rows.set(id, { ...describeCriterion(id), violations: 0, review: 0, passes: 0, accepted: 0 });
+      }
+      rows.get(id)[key] += key === 'passes' ? 1 : rule.nodes?.length || 0;
+    });
+  });
+
+  add(violations, 'violations');
+  add(incomplete, 'review');
+  add(passes, 'passes');
+  add(accepted, 'accepted');
+
+  return Array.from(rows.values()).sort((a, b) => compareCriteria(a.id, b.id));
+}
+
+function criterionLinks(rule) {
+  return wcagCriteriaOf(rule.tags).map(id => {
+    const criterion = describeCriterion(id);
+    return `<a href="${escapeHtml(criterion.url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(`${id} ${criterion.name}`)}</a>`;
+  }).join(', ');
+}
+
+/* ---------------- Sections ---------------- */
+
+function renderMeta(results) {
+  const metadata = results.metadata || {};
+  const tags = results.context?.tags || [];
+
+  const cards = [
+    ['Scanned', formatTimestamp(results.timestamp || metadata.timestamp)],
+    ['URL', results.url || metadata.url || 'Unknown'],
+    ['Scan Standards', tags.length > 0 ? tags.join(', ') : 'Every standard axe-core supports'],
+    metadata.profile ? ['Scan Profile', metadata.profile.name] : null,
+    metadata.scope ? ['Scope', describeScope(metadata.scope)] : null,
+    metadata.axeVersion ? ['axe-core', metadata.axeVersion] : null
+  ].filter(Boolean);
+
+  return `
+    <div class="report-meta">
+      ${cards.map(([title, value]) => `
+      <div class="meta-card">
+        <h3>${escapeHtml(title)}</h3>
+        <p>${escapeHtml(value)}</p>
+      </div>`).join('')}
+    </div>
+    ${results.partialScan ? `
+    <div class="export-info">
+      <p><strong>Partial scan:</strong> ${escapeHtml(results.scanNote || 'Some content was skipped during scanning.')}</p>
+    </div>` : ''}`;
+}
+
+function renderVerdict(verdict) {
+  if (!verdict) return '';
+
+  return `
+    <div class="policy-verdict ${escapeHtml(verdict.verdict.toLowerCase())}">
+      <h2>Policy Verdict: ${escapeHtml(verdict.verdict)}</h2>
+      ${verdict.reasons.length > 0 ? `
+      <ul>
+        ${verdict.reasons.map(r => `<li><strong>${escapeHtml(r.verdict)}</strong> ${escapeHtml(r.message)}</li>`).join('')}
+      </ul>` : '<p>All policy gates passed.</p>'}
+    </div>`;
+}
+
+function renderBadges(violations) {
+  const compliance = complianceByLevel(violations);
+
+  return `
+    <div class="compliance-badges">
+      ${LEVELS.map(level => `
+      <div class="wcag-badge ${compliance[level] ? 'compliant' : 'non-compliant'}">
+        WCAG ${WCAG_VERSION} ${compliance[level] ? '✓' : '✗'} Level ${level}
+      </div>`).join('')}
+    </div>`;
+}
+
+function renderStats({ violations, incomplete, passes, accepted }) {
+  // Share of applicable rules that passed
+  const complianceScore = passes.length > 0
+    ? Math.round((passes.length / (passes.length + violations.length)) * 100)
+    : 0;
+
+  const stats = [
+    [violations.length, 'Violations', violations.length > 0 ? 'var(--critical)' : 'var(--passed)'],
+    [passes.length, 'Passed Checks', 'var(--passed)'],
+    [nodeCount(violations), 'Elements with Issues', null],
+    [incomplete.length, 'Needs Review', null],
+    [`${complianceScore}%`, 'Compliance Score', null],
+    [nodeCount(accepted), 'Accepted Issues', null]
+  ];
+
+  return `
+    <div class="summary-stats">
+      ${stats.map(([value, label, color]) => `
+      <div class="stat-card">
+        <div class="stat-value"${color ? ` style="color: ${color}"` : ''}>${escapeHtml(value)}</div>
+        <div class="stat-label">${escapeHtml(label)}</div>
+      </div>`).join('')}
+    </div>`;
+}
+
+function renderCriteria(groups) {
+  const rows = criteriaBreakdown(groups);
+  if (rows.length === 0) return '';
+
+  return `
+    <section class="violations-section">
+      <h2 class="section-title">WCAG Success Criteria</h2>
+      <table>
+        <thead>
+          <tr>
+            <th scope="col">Criterion</th>
+            <th scope="col">Level</th>
+            <th scope="col">Violations</th>
+            <th scope="col">Needs Review</th>
+            <th scope="col">Accepted</th>
+            <th scope="col">Passed Rules</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${rows.map(row => `
+          <tr>
+            <th scope="row"><a href="${escapeHtml(row.url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(`${row.id} ${row.name}`)}</a></th>
+            <td>${escapeHtml(row.level || '')}</td>
+            <td class="count">${row.violations}</td>
+            <td class="count">${row.review}</td>
+            <td class="count">${row.accepted}</td>
+            <td class="count">${row.passes}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>
+    </section>`;
+}
+
+function renderNode(node, { reasonLabel, reasonClass = '' }) {
+  return `
+    <div class="node">
+      <div class="node-content">
+        <p><strong>Selector:</strong> <code>${escapeHtml(formatTarget(node.target))}</code></p>
+        ${node.frame?.url ? `<p><strong>Frame:</strong> ${escapeHtml(node.frame.url)}</p>` : ''}
+        ${node.html ? `<pre><code>${escapeHtml(snippet(node.html))}</code></pre>` : ''}
+        ${node.failureSummary ? `
+        <div class="reason ${reasonClass}">
+          <strong>${escapeHtml(reasonLabel)}:</strong> ${escapeHtml(node.failureSummary)}
+        </div>` : ''}
+        ${node.acceptance ? `
+        <p><strong>Justification:</strong> ${escapeHtml(node.acceptance.justification)}</p>
+        <p><strong>Accepted by:</strong> ${escapeHtml(node.acceptance.author)} on ${escapeHtml(formatTimestamp(node.acceptance.acceptedAt))},
+        expires ${escapeHtml(formatTimestamp(node.acceptance.expiresAt))}</p>` : ''}
+      </div>
+    </div>`;
+}
+
+function renderRule(rule, { badge, reasonLabel, reasonClass, fix }) {
+  const helpUrl = safeUrl(rule.helpUrl);
+  const links = criterionLinks(rule);
+  const nodes = rule.nodes || [];
+
+  return `
+    <article class="violation">
+      <div class="violation-header">
+        <div class="violation-title">
+          <h3>${escapeHtml(rule.help || rule.id)}</h3>
+          <span class="badge ${escapeHtml(badge)}">${escapeHtml(badge)}</span>
+        </div>
+        <div class="violation-details">
+          <p><strong>Rule ID:</strong> ${escapeHtml(rule.id)}</p>
+          ${links ? `<p><strong>WCAG Criteria:</strong> ${links}</p>` : ''}
+          ${rule.tags?.length ? `<p><strong>Tags:</strong> ${escapeHtml(rule.tags.join(', '))}</p>` : ''}
+          ${rule.description ? `<p><strong>Description:</strong> ${escapeHtml(rule.description)}</p>` : ''}
+          ${helpUrl ? `<p><a href="${escapeHtml(helpUrl)}" target="_blank" rel="noopener noreferrer">Fix guidance</a></p>` : ''}
+        </div>
+      </div>
+
+      ${nodes.length > 0 ? `
+      <details>
+        <summary>Show ${plural(nodes.length, 'affected element')}</summary>
+        <div class="nodes">
+          ${nodes.map(node => renderNode(node, { reasonLabel, reasonClass })).join('')}
+        </div>
+      </details>` : ''}
+
+      ${fix ? `
+      <details class="fix">
+        <summary>How to fix</summary>
+        <pre><code>${escapeHtml(getFixSnippet(rule.id, nodes[0]))}</code></pre>
+      </details>` : ''}
+    </article>`;
+}
+
+function renderRuleList(rules) {
+  return `
+    <table>
+      <thead>
+        <tr>
+          <th scope="col">Rule</th>
+          <th scope="col">Description</th>
+          <th scope="col">WCAG Criteria</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${rules.map(rule => `
+        <tr>
+          <th scope="row">${escapeHtml(rule.id)}</th>
+          <td>${escapeHtml(rule.help || rule.description || '')}</td>
+          <td>${criterionLinks(rule)}</td>
+        </tr>`).join('')}
+      </tbody>
+    </table>`;
+}
+
+function renderSections({ violations, incomplete, passes, inapplicable, accepted }) {
+  return `
+    ${violations.length > 0 ? `
+    <section class="violations-section">
+      <h2 class="section-title">Accessibility Violations (${violations.length})</h2>
+      ${violations.map(v => renderRule(v, {
+        badge: v.impact || 'minor',
+        reasonLabel: 'Issue',
+        fix: true
+      })).join('')}
+    </section>` : `
+    <div class="success-message">
+      <h3>🎉 No Accessibility Violations Found!</h3>
+      <p>No automated check failed on this page.</p>
+      <p><em>Note: Automated testing covers about 30% of WCAG requirements.
+      Manual testing is still recommended for full compliance.</em></p>
+    </div>`}
+
+    ${accepted.length > 0 ? `
+    <section class="violations-section">
+      <h2 class="section-title">Accepted Issues (${nodeCount(accepted)})</h2>
+      <div class="export-info">
+        <p>These issues are accepted in the baseline and are not counted as failures until they expire.</p>
+      </div>
+      ${accepted.map(v => renderRule(v, {
+        badge: v.impact || 'minor',
+        reasonLabel: 'Issue',
+        fix: false
+      })).join('')}
+    </section>` : ''}
+
+    ${incomplete.length > 0 ? `
+    <section class="violations-section">
+      <h2 class="section-title">Manual Review Required (${incomplete.length})</h2>
+      <div class="export-info">
+        <p>The following checks need manual verification, as automated tools cannot reliably decide them:</p>
+      </div>
+      ${incomplete.map(item => renderRule(item, {
+        badge: item.impact || 'review',
+        reasonLabel: 'Needs review',
+        reasonClass: 'review',
+        fix: false
+      })).join('')}
+    </section>` : ''}
+
+    ${passes.length > 0 ? `
+    <section class="violations-section">
+      <h2 class="section-title">Passed Checks (${passes.length})</h2>
+      <details>
+        <summary>Show passed checks</summary>
+        ${renderRuleList(passes)}
+      </details>
+    </section>` : ''}
+
+    ${inapplicable.length > 0 ? `
+    <section class="violations-section">
+      <h2 class="section-title">Not Applicable (${inapplicable.length})</h2>
+      <div class="export-info">
+        <p>These rules found nothing to check on this page.</p>
+      </div>
+      <details>
+        <summary>Show rules that did not apply</summary>
+        ${renderRuleList(inapplicable)}
+      </details>
+    </section>` : ''}`;
+}
+
+/* ---------------- Report ---------------- */
+
+const REPORT_CSS = `
+  :root {
+    --critical: #dc2626;
+    --serious: #ea580c;
+    --moderate: #ca8a04;
+    --minor: #16a34a;
+    --passed: #059669;
+    --text: #1f2937;
+    --background: #ffffff;
+    --border: #e5e7eb;
+    --surface: #f9fafb;
+    --shadow: 0 1px 3px 0 rgb(0 0 0 / 0.1);
+  }
+
+  @media (prefers-color-scheme: dark) {
+    :root {
+      --text: #f9fafb;
+      --background: #1f2937;
+      --border: #374151;
+      --surface: #111827;
+      --shadow: 0 1px 3px 0 rgb(0 0 0 / 0.3);
+    }
+  }
+
+  * {
+    margin: 0;
+    padding: 0;
+    box-sizing: border-box;
+  }
+
+  body {
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif;
+    line-height: 1.6;
+    color: var(--text);
+    background: var(--background);
+    padding: 20px;
+    max-width: 1200px;
+    margin: 0 auto;
+  }
+
+  @media print {
+    @page {
+      margin: 1cm;
+    }
+
+    .no-print {
+      display: none !important;
+    }
+
+    body {
+      padding: 0;
+      font-size: 12pt;
+    }
+
+    a {
+      color: var(--text) !important;
+      text-decoration: none !important;
+    }
+
+    a[href^="http"]:after {
+      content: " (" attr(href) ")";
+      font-size: 0.9em;
+      font-weight: normal;
+    }
+
+    .violation {
+      break-inside: avoid;
+      page-break-inside: avoid;
+    }
+
+    details summary {
+      list-style: none;
+    }
+
+    details summary::-webkit-details-marker {
+      display: none;
+    }
+  }
+
+  header {
+    margin-bottom: 30px;
+    padding-bottom: 20px;
+    border-bottom: 2px solid var(--border);
+  }
+
+  .report-title {
+    font-size: 2em;
+    margin-bottom: 10px;
+    color: var(--text);
+  }
+
+  .report-meta {
+    display: grid;
+    grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+    gap: 15px;
+    margin-bottom: 20px;
+  }
+
+  .meta-card {
+    background: var(--surface);
+    padding: 15px;
+    border-radius: 8px;
+    border: 1px solid var(--border);
+  }
+
+  .meta-card h3 {
+    font-size: 0.9em;
+    text-transform: uppercase;
+    letter-spacing: 0.05em;
+    color: #6b7280;
+    margin-bottom: 5px;
+  }
+
+  .meta-card p {
+    font-size: 1.2em;
+    font-weight: 600;
+  }
+
+  .badge {
+    display: inline-block;
+    padding: 4px 8px;
+    border-radius: 4px;
+    font-size: 0.8em;
+    font-weight: 600;
+    text-transform: uppercase;
+    letter-spacing: 0.05em;
+  }
+
+  .badge.critical { background: var(--critical); color: white; }
+  .badge.serious { background: var(--serious); color: white; }
+  .badge.moderate { background: var(--moderate); color: white; }
+  .badge.minor { background: var(--minor); color: white; }
+  .badge.passed { background: var(--passed); color: white; }
+
+  .compliance-badges {
+    display: flex;
+    gap: 10px;
+    margin: 20px 0;
+  }
+
+  .wcag-badge {
+    padding: 8px 16px;
+    border-radius: 6px;
+    font-weight: 600;
+    border: 2px solid var(--border);
+  }
+
+  .wcag-badge.compliant {
+    background: var(--passed);
+    color: white;
+    border-color: var(--passed);
+  }
+
+  .wcag-badge.non-compliant {
+    background: transparent;
+    color: var(--text);
+    border-color: var(--border);
+  }
+
+  .violations-section {
+    margin: 30px 0;
+  }
+
+  .section-title {
+    font-size: 1.5em;
+    margin-bottom: 20px;
+    padding-bottom: 10px;
+    border-bottom: 2px solid var(--border);
+  }
+
+  .violation {
+    background: var(--surface);
+    border: 1px solid var(--border);
+    border-radius: 8px;
+    padding: 20px;
+    margin-bottom: 20px;
+    box-shadow: var(--shadow);
+  }
+
+  .violation-header {
+    margin-bottom: 15px;
+  }
+
+  .violation-title {
+    display: flex;
+    justify-content: space-between;
+    align-items: flex-start;
+    gap: 15px;
+    margin-bottom: 10px;
+  }
+
+  .violation-title h3 {
+    flex: 1;
+    font-size: 1.2em;
+  }
+
+  .violation-details {
+    font-size: 0.9em;
+    color: #6b7280;
+  }
+
+  .violation-details p {
+    margin-bottom: 5px;
+  }
+
+  details {
+    margin-top: 15px;
+  }
+
+  summary {
+    cursor: pointer;
+    padding: 10px;
+    background: var(--background);
+    border: 1px solid var(--border);
+    border-radius: 6px;
+    font-weight: 600;
+    list-style: none;
+  }
+
+  summary::-webkit-details-marker {
+    display: none;
+  }
+
+  summary:after {
+    content: '▼';
+    float: right;
+    transition: transform 0.3s;
+  }
+
+  details[open] summary:after {
+    transform: rotate(180deg);
+  }
+
+  .nodes {
+    margin-top: 15px;
+  }
+
+  .node {
+    background: var(--background);
+    border: 1px solid var(--border);
+    border-radius: 6px;
+    padding: 15px;
+    margin-bottom: 10px;
+  }
+
+  .node-content pre {
+    background: rgba(0,0,0,0.05);
+    padding: 10px;
+    border-radius: 4px;
+    overflow-x: auto;
+    font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace;
+    font-size: 0.9em;
+    margin-bottom: 10px;
+  }
+
+  .node-content .reason {
+    padding: 10px;
+    background: rgba(220, 38, 38, 0.1);
+    border-left: 3px solid var(--critical);
+    border-radius: 4px;
+    margin-bottom: 10px;
+  }
+
+  .summary-stats {
+    display: grid;
+    grid-template-columns: repeat(auto-fit, minmax(150px, 1fr));
+    gap: 15px;
+    margin: 20px 0;
+  }
+
+  .stat-card {
+    text-align: center;
+    padding: 20px;
+    background: var(--surface);
+    border-radius: 8px;
+    border: 1px solid var(--border);
+  }
+
+  .stat-value {
+    font-size: 2em;
+    font-weight: 700;
+    margin-bottom: 5px;
+  }
+
+  .stat-label {
+    font-size: 0.9em;
+    color: #6b7280;
+    text-transform: uppercase;
+    letter-spacing: 0.05em;
+  }
+
+  .success-message {
+    background: rgba(5, 150, 105, 0.1);
+    border: 1px solid var(--passed);
+    border-radius: 8px;
+    padding: 30px;
+    text-align: center;
+    margin: 30px 0;
+  }
+
+  .success-message h3 {
+    color: var(--passed);
+    margin-bottom: 10px;
+  }
+
+  footer {
+    margin-top: 40px;
+    padding-top: 20px;
+    border-top: 2px solid var(--border);
+    font-size: 0.9em;
+    color: #6b7280;
+    text-align: center;
+  }
+
+  .no-results {
+    text-align: center;
+    padding: 40px;
+    color: #6b7280;
+    font-style: italic;
+  }
+
+  .policy-verdict {
+    border-radius: 8px;
+    padding: 15px 20px;
+    margin: 20px 0;
+    border: 2px solid var(--passed);
+    background: rgba(5, 150, 105, 0.1);
+  }
+
+  .policy-verdict.warn {
+    border-color: var(--moderate);
+    background: rgba(202, 138, 4, 0.1);
+  }
+
+  .policy-verdict.fail {
+    border-color: var(--critical);
+    background: rgba(220, 38, 38, 0.1);
+  }
+
+  .policy-verdict ul {
+    margin: 10px 0 0 20px;
+  }
+
+  .export-info {
+    background: var(--surface);
+    padding: 15px;
+    border-radius: 8px;
+    border: 1px solid var(--border);
+    margin-bottom: 20px;
+    font-size: 0.9em;
+  }
+
+  .fix {
+    margin-top: 15px;
+  }
+
+  .fix pre {
+    background: rgba(0,0,0,0.05);
+    padding: 10px;
+    border-radius: 4px;
+    overflow-x: auto;
+    font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace;
+    font-size: 0.9em;
+    white-space: pre-wrap;
+  }
+
+  .node-content .reason.review {
+    background: rgba(202, 138, 4, 0.1);
+    border-left-color: var(--moderate);
+  }
+
+  table {
+    width: 100%;
+    border-collapse: collapse;
+    font-size: 0.9em;
+  }
+
+  th, td {
+    text-align: left;
+    padding: 8px 10px;
+    border-bottom: 1px solid var(--border);
+    vertical-align: top;
+  }
+
+  th {
+    background: var(--surface);
+  }
+
+  td.count {
+    text-align: right;
+    font-variant-numeric: tabular-nums;
+  }
+`;
+
+// Print button for the on-screen view
+const REPORT_SCRIPT = `
+  document.addEventListener('DOMContentLoaded', function () {
+    if (!window.matchMedia('print').matches) {
+      const printBtn = document.createElement('button');
+      printBtn.textContent = 'Print Report';
+      printBtn.className = 'no-print';
+      printBtn.style.cssText = 'position: fixed; bottom: 20px; right: 20px; padding: 10px 20px; background: var(--passed); color: white; border: none; border-radius: 6px; cursor: pointer; z-index: 1000;';
+      printBtn.onclick = () => window.print();
+      document.body.appendChild(printBtn);
+    }
+  });
+`;
+
+function renderDocument({ title, header, main, generated }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)} - ${escapeHtml(generated)}</title>
+  <style>${REPORT_CSS}</style>
+</head>
+<body>
+  <header>
+    <h1 class="report-title">${escapeHtml(title)}</h1>
+    ${header}
+  </header>
+
+  <main>
+    ${main}
+  </main>
+
+  <footer>
+    <p>Generated by Awesome Accessibility Auditor • WCAG ${WCAG_VERSION} • ${escapeHtml(generated)}</p>
+    <p class="no-print">This report is for informational purposes only. Always conduct manual testing for complete accessibility compliance.</p>
+  </footer>
+
+  <script>${REPORT_SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * @param {object} results Scan results; results passed through
+ *   applyBaseline() also show their accepted issues
+ * @param {object} [options]
+ * @param {object} [options.verdict] evaluatePolicy() verdict
+ * @returns {string} A standalone HTML document
+ */
+export function renderHtmlReport(results, { verdict = null } = {}) {
+  const groups = {
+    violations: results.violations || [],
+    incomplete: results.incomplete || [],
+    passes: results.passes || [],
+    inapplicable: results.inapplicable || [],
+    accepted: results.accepted || []
+  };
+
+  return renderDocument({
+    title: 'Accessibility Compliance Report',
+    generated: formatTimestamp(results.timestamp || results.metadata?.timestamp),
+    header: `
+    ${renderMeta(results)}
+    ${renderVerdict(verdict)}
+    ${renderBadges(groups.violations)}
+    ${renderStats(groups)}`,
+    main: `
+    ${renderCriteria(groups)}
+    ${renderSections(groups)}`
+  });
+}
+
+/* ---------------- Delta report ---------------- */
+
+function renderDeltaSection(title, groups) {
+  return `
+    <section class="violations-section">
+      <h2 class="section-title">${escapeHtml(title)} (${nodeCount(groups)})</h2>
+      ${groups.length === 0 ? '<p>None</p>' : groups.map(group => renderRule(group, {
+        badge: group.impact || 'minor',
+        reasonLabel: 'Issue',
+        fix: false
+      })).join('')}
+    </section>`;
+}
+
+/**
+ * @param {object} diff diffScans() result, earlier scan first
+ * @returns {string} A standalone HTML document
+ */
+export function renderDeltaReport(diff) {
+  const { summary } = diff;
+  const cards = [
+    ['URL', diff.current.url || diff.previous.url || 'Unknown'],
+    ['Earlier Scan', formatTimestamp(diff.previous.timestamp)],
+    ['Later Scan', formatTimestamp(diff.current.timestamp)]
+  ];
+  const stats = [
+    [summary.new, 'New', summary.new > 0 ? 'var(--critical)' : null],
+    [summary.fixed, 'Fixed', 'var(--passed)'],
+    [summary.unchanged, 'Unchanged', null]
+  ];
+
+  return renderDocument({
+    title: 'Accessibility Delta Report',
+    generated: formatTimestamp(diff.current.timestamp),
+    header: `
+    <div class="report-meta">
+      ${cards.map(([title, value]) => `
+      <div class="meta-card">
+        <h3>${escapeHtml(title)}</h3>
+        <p>${escapeHtml(value)}</p>
+      </div>`).join('')}
+    </div>
+    <div class="summary-stats">
+      ${stats.map(([value, label, color]) => `
+      <div class="stat-card">
+        <div class="stat-value"${color ? ` style="color: ${color}"` : ''}>${escapeHtml(value)}</div>
+        <div class="stat-label">${escapeHtml(label)}</div>
+      </div>`).join('')}
+    </div>`,
+    main: `
+    ${renderDeltaSection('New Violations', diff.new)}
+    ${renderDeltaSection('Fixed', diff.fixed)}
+    ${renderDeltaSection('Unchanged', diff.unchanged)}`
+  });
+}
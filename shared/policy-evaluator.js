@@ -0,0 +1,113 @@
+/**
+ * Release-gating verdict from policy.json
+ *
+ * Reads governance.ciEnforcement and validation.acceptanceCriteria:
+ *   - blockOnImpacts: any violation with one of these impacts fails
+ *   - warnOnImpacts: violations with these impacts warn, and fail once their
+ *     count reaches autoFailThreshold
+ *   - zeroCritical/zeroSeriousViolations, maxModerate/maxMinorViolations:
+ *     per-impact limits, failing when exceeded
+ *   - allowWithRiskAcceptance: when false, baseline-accepted violations with
+ *     a blocking impact still fail
+ * Counts are per rule, matching statistics.severityCounts.
+ */
+
+export const VERDICT = {
+  PASS: 'PASS',
+  WARN: 'WARN',
+  FAIL: 'FAIL'
+};
+
+const DEFAULT_ENFORCEMENT = {
+  blockOnImpacts: ['critical', 'serious'],
+  warnOnImpacts: ['moderate'],
+  allowWithRiskAcceptance: false,
+  autoFailThreshold: null
+};
+
+function countByImpact(violations = []) {
+  const counts = { critical: 0, serious: 0, moderate: 0, minor: 0 };
+  violations.forEach(v => {
+    const impact = v.impact?.toLowerCase();
+    if (impact) counts[impact] = (counts[impact] || 0) + 1;
+  });
+  return counts;
+}
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * @param {object} results Normalized scan results (optionally with `accepted`)
+ * @param {object} policy Parsed policy.json
+ * @returns {{ verdict: string, reasons: Array<{ verdict: string, rule: string, message: string }>,
+ *   counts: object, policyVersion: string|null, evaluatedAt: string }}
+ */
+export function evaluatePolicy(results, policy = {}) {
+  const enforcement = { ...DEFAULT_ENFORCEMENT, ...(policy?.governance?.ciEnforcement || {}) };
+  const criteria = policy?.validation?.acceptanceCriteria || {};
+
+  const counts = countByImpact(results?.violations);
+  const acceptedCounts = countByImpact(results?.accepted);
+  const reasons = [];
+
+  const fail = (rule, message) => reasons.push({ verdict: VERDICT.FAIL, rule, message });
+  const warn = (rule, message) => reasons.push({ verdict: VERDICT.WARN, rule, message });
+
+  enforcement.blockOnImpacts.forEach(impact => {
+    if (counts[impact] > 0) {
+      fail('blockOnImpacts', `${plural(counts[impact], `${impact} violation`)} (blocking impact)`);
+    }
+  });
+
+  enforcement.warnOnImpacts.forEach(impact => {
+    const count = counts[impact] || 0;
+    if (count === 0) return;
+
+    const threshold = Number(enforcement.autoFailThreshold);
+    if (threshold > 0 && count >= threshold) {
+      fail('autoFailThreshold', `${plural(count, `${impact} violation`)} reached the auto-fail threshold of ${threshold}`);
+    } else {
+      warn('warnOnImpacts', `${plural(count, `${impact} violation`)}`);
+    }
+  });
+
+  const limits = [
+    ['zeroCriticalViolations', 'critical', criteria.zeroCriticalViolations ? 0 : null],
+    ['zeroSeriousViolations', 'serious', criteria.zeroSeriousViolations ? 0 : null],
+    ['maxModerateViolations', 'moderate', criteria.maxModerateViolations],
+    ['maxMinorViolations', 'minor', criteria.maxMinorViolations]
+  ];
+
+  limits.forEach(([rule, impact, max]) => {
+    if (typeof max !== 'number' || counts[impact] <= max) return;
+    // Already reported as blocking; don't repeat the same failure
+    if (max === 0 && enforcement.blockOnImpacts.includes(impact)) return;
+
+    fail(rule, `${plural(counts[impact], `${impact} violation`)} exceeds the maximum of ${max}`);
+  });
+
+  if (!enforcement.allowWithRiskAcceptance) {
+    const acceptedBlocking = enforcement.blockOnImpacts
+      .reduce((sum, impact) => sum + (acceptedCounts[impact] || 0), 0);
+    if (acceptedBlocking > 0) {
+      fail('allowWithRiskAcceptance', `${plural(acceptedBlocking, 'accepted violation')} with a blocking impact; the policy does not allow risk acceptance`);
+    }
+  }
+
+  let verdict = VERDICT.PASS;
+  if (reasons.some(r => r.verdict === VERDICT.FAIL)) {
+    verdict = VERDICT.FAIL;
+  } else if (reasons.length > 0) {
+    verdict = VERDICT.WARN;
+  }
+
+  return {
+    verdict,
+    reasons,
+    counts,
+    policyVersion: policy?.policyVersion || null,
+    evaluatedAt: new Date().toISOString()
+  };
+}
@@ -0,0 +1,291 @@
+/**
+ * SARIF 2.1.0 log for axe-core results
+ * Compatible with GitHub Advanced Security, Azure DevOps, SonarQube.
+ * Violations are failing results, incomplete items are "review" results and
+ * baseline-accepted items are failing results with a suppression.
+ * Pure, so the Node reporter (reporters/sarifReporter.js) and the popup's
+ * export build the same log
+ */
+
+import { formatTarget } from './target-selector.js';
+import { issueFingerprint } from './baseline.js';
+import { hashHtml } from './scan-diff.js';
+import { WCAG_VERSION, wcagCriteriaOf, describeCriterion } from './wcag.js';
+
+const TOOL_NAME = 'Awesome Accessibility Auditor';
+const SARIF_VERSION = '2.1.0';
+// Bumped when the fingerprint input changes, so old alerts aren't matched
+// against differently computed ones
+const FINGERPRINT_KEY = 'a11yIssue/v1';
+const WCAG_TAXONOMY = 'WCAG';
+const SARIF_SCHEMA =
+  'https://schemastore.azurewebsites.net/schemas/json/sarif-2.1.0.json';
+
+const impactToLevel = {
+  critical: 'error',
+  serious: 'error',
+  moderate: 'warning',
+  minor: 'note'
+};
+
+function normalizeUri(uri) {
+  if (!uri) return 'file:///unknown';
+  if (/^[a-z][a-z0-9+.-]*:/i.test(uri)) return uri;
+  return `file://${uri}`;
+}
+
+// Taxa of the WCAG taxonomy, added as rules reference them
+function createTaxonomy() {
+  const taxa = [];
+  const indexes = new Map();
+
+  return {
+    indexOf(id) {
+      if (!indexes.has(id)) {
+        const criterion = describeCriterion(id);
+        indexes.set(id, taxa.length);
+        taxa.push({
+          id,
+          name: criterion.name,
+          shortDescription: {
+            text: criterion.level
+              ? `${id} ${criterion.name} (Level ${criterion.level})`
+              : `${id} ${criterion.name}`
+          },
+          helpUri: criterion.url,
+          ...(criterion.level ? { properties: { level: criterion.level } } : {})
+        });
+      }
+      return indexes.get(id);
+    },
+    toolComponent() {
+      return {
+        name: WCAG_TAXONOMY,
+        version: WCAG_VERSION,
+        organization: 'W3C',
+        shortDescription: {
+          text: `Web Content Accessibility Guidelines ${WCAG_VERSION} success criteria`
+        },
+        informationUri: 'https://www.w3.org/TR/WCAG22/',
+        isComprehensive: false,
+        taxa
+      };
+    }
+  };
+}
+
+function buildRule(rule, taxonomy) {
+  const help = rule.help || rule.id;
+  const relationships = wcagCriteriaOf(rule.tags).map(id => ({
+    target: {
+      id,
+      index: taxonomy.indexOf(id),
+      toolComponent: { name: WCAG_TAXONOMY, index: 0 }
+    },
+    kinds: ['relevant']
+  }));
+
+  return {
+    id: rule.id,
+    name: rule.id,
+    shortDescription: {
+      text: help
+    },
+    fullDescription: {
+      text: rule.description || help
+    },
+    ...(rule.helpUrl ? { helpUri: rule.helpUrl } : {}),
+    help: {
+      text: help,
+      ...(rule.helpUrl ? { markdown: `${help}\n\n[Learn more](${rule.helpUrl})` } : {})
+    },
+    ...(relationships.length > 0 ? { relationships } : {}),
+    properties: {
+      tags: [...new Set(rule.tags || [])],
+      category: 'Accessibility'
+    }
+  };
+}
+
+// Settings the scan ran with, as recorded on the results
+function scanConfigOf(results) {
+  const config = results.context || {};
+  return {
+    tags: config.tags || [],
+    rules: config.rules || {},
+    impacts: config.impacts || [],
+    iframes: config.iframes ?? null,
+    scope: results.metadata?.scope || null,
+    profile: results.metadata?.profile || null,
+    strategy: results.metadata?.strategy || null
+  };
+}
+
+function buildInvocation(verdict, results) {
+  const metadata = results.metadata || {};
+
+  return {
+    executionSuccessful: true,
+    endTimeUtc: results.timestamp || new Date().toISOString(),
+    toolExecutionNotifications: (verdict?.reasons || []).map(reason => ({
+      level: reason.verdict === 'FAIL' ? 'error' : 'warning',
+      message: {
+        text: reason.message
+      },
+      descriptor: {
+        id: reason.rule
+      }
+    })),
+    properties: {
+      pageUrl: results.url || metadata.url || null,
+      axeVersion: metadata.axeVersion || results.tool?.version || null,
+      viewport: metadata.viewport || null,
+      userAgent: metadata.userAgent || null,
+      scanConfig: scanConfigOf(results),
+      policyVerdict: verdict?.verdict || null,
+      policyVersion: verdict?.policyVersion || null,
+      policyReasons: verdict?.reasons || []
+    }
+  };
+}
+
+// Same fingerprint the baseline uses (rule id, target, normalized html);
+// GitHub matches alerts across runs on primaryLocationLineHash, which it
+// can't compute itself for a web page
+function buildFingerprints(ruleId, node, seen) {
+  const fingerprint = issueFingerprint(ruleId, node);
+  const occurrence = (seen.get(fingerprint) || 0) + 1;
+  seen.set(fingerprint, occurrence);
+
+  return {
+    [FINGERPRINT_KEY]: fingerprint,
+    primaryLocationLineHash: `${hashHtml(fingerprint)}:${occurrence}`
+  };
+}
+
+// An accepted (baselined) node, see shared/baseline.js
+function buildSuppression(acceptance) {
+  return {
+    kind: 'external',
+    status: 'accepted',
+    justification: acceptance.justification || '',
+    properties: {
+      author: acceptance.author || null,
+      acceptedAt: acceptance.acceptedAt || null,
+      expiresAt: acceptance.expiresAt || null
+    }
+  };
+}
+
+function buildResult(violation, node, { kind, ruleIndex, pageUrl, seen }) {
+  const review = kind === 'review';
+
+  return {
+    ruleId: violation.id,
+    ruleIndex,
+    kind,
+    // SARIF only allows a level other than "none" on failing results
+    level: review ? 'none' : impactToLevel[violation.impact] || 'warning',
+    message: {
+      text: review
+        ? `Needs review: ${violation.help || violation.id}`
+        : violation.help || violation.id
+    },
+    locations: [
+      {
+        physicalLocation: {
+          artifactLocation: {
+            uri: normalizeUri(pageUrl)
+          },
+          // Elements have no source line; code scanning needs one
+          region: {
+            startLine: 1,
+            ...(node.html ? { snippet: { text: node.html } } : {})
+          }
+        },
+        logicalLocations: [
+          {
+            fullyQualifiedName: formatTarget(node.target),
+            kind: 'element'
+          }
+        ]
+      }
+    ],
+    partialFingerprints: buildFingerprints(violation.id, node, seen),
+    ...(node.acceptance ? { suppressions: [buildSuppression(node.acceptance)] } : {}),
+    properties: {
+      impact: violation.impact || null,
+      wcagTags: violation.tags || [],
+      failureSummary: node.failureSummary || '',
+      target: node.target || []
+    }
+  };
+}
+
+/**
+ * @param {object} results Scan results (violations and incomplete with nodes,
+ *   url, timestamp); results passed through applyBaseline() also have accepted
+ * @param {object} [options]
+ * @param {object} [options.verdict] evaluatePolicy() verdict, reported in the invocation
+ * @param {string} [options.toolVersion] The extension's version (manifest.json)
+ * @returns {object} SARIF log, ready for JSON.stringify
+ */
+export function buildSarif(results, { verdict = null, toolVersion = null } = {}) {
+  const taxonomy = createTaxonomy();
+  const rules = [];
+  const ruleIndexes = new Map();
+  const sarifResults = [];
+  const seen = new Map();
+
+  const groups = [
+    { rules: results.violations, kind: 'fail' },
+    { rules: results.incomplete, kind: 'review' },
+    { rules: results.accepted, kind: 'fail' }
+  ];
+
+  groups.forEach(({ rules: groupRules, kind }) => {
+    (groupRules || []).forEach(rule => {
+      if (!ruleIndexes.has(rule.id)) {
+        ruleIndexes.set(rule.id, rules.length);
+        rules.push(buildRule(rule, taxonomy));
+      }
+
+      (rule.nodes || []).forEach(node => {
+        sarifResults.push(buildResult(rule, node, {
+          kind,
+          ruleIndex: ruleIndexes.get(rule.id),
+          pageUrl: results.url,
+          seen
+        }));
+      });
+    });
+  });
+
+  return {
+    version: SARIF_VERSION,
+    $schema: SARIF_SCHEMA,
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: TOOL_NAME,
+            ...(toolVersion ? { version: toolVersion, semanticVersion: toolVersion } : {}),
+            informationUri: 'https://github.com/ankitarora05/awesome-a11y-accessibility-auditor',
+            supportedTaxonomies: [{ name: WCAG_TAXONOMY, index: 0 }],
+            rules
+          }
+        },
+        taxonomies: [taxonomy.toolComponent()],
+        invocations: [buildInvocation(verdict, results)],
+        results: sarifResults,
+        properties: {
+          pageUrl: results.url || null,
+          scannedAt: results.timestamp || null,
+          partialScan: Boolean(results.partialScan),
+          ...(results.scanNote ? { scanNote: results.scanNote } : {}),
+          statistics: results.statistics || {}
+        }
+      }
+    ]
+  };
+}
@@ -0,0 +1,137 @@
+/**
+ * Scan diff: which violations are new, fixed or unchanged between two scans
+ * Nodes are matched per rule id by target selectors and normalized html hash
+ */
+
+/**
+ * Same algorithm as hashHtml() in content/axe-runner.js, used for scans
+ * recorded before nodes carried an htmlHash
+ */
+export function hashHtml(html = '') {
+  const normalized = String(html)
+    .replace(/\s+/g, ' ')
+    .replace(/>\s+</g, '><')
+    .trim();
+
+  // 32-bit FNV-1a
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < normalized.length; i++) {
+    hash ^= normalized.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+function targetKey(node) {
+  return JSON.stringify(node.target || []);
+}
+
+function htmlKey(node) {
+  return node.htmlHash || hashHtml(node.html);
+}
+
+function ruleInfo(violation) {
+  return {
+    id: violation.id,
+    impact: violation.impact,
+    help: violation.help,
+    helpUrl: violation.helpUrl,
+    wcagCriteria: violation.wcagCriteria || []
+  };
+}
+
+/**
+ * Pair up nodes of the same rule. Exact matches (target + html) win, then
+ * same target with changed markup, then same markup at a moved target.
+ * @returns {{ pairs: Array<{ previous, current }>, removed: object[], added: object[] }}
+ */
+export function matchNodes(previousNodes, currentNodes) {
+  const unmatchedPrevious = previousNodes.slice();
+  const unmatchedCurrent = currentNodes.slice();
+  const pairs = [];
+
+  const strategies = [
+    node => `${targetKey(node)}|${htmlKey(node)}`,
+    node => targetKey(node),
+    node => htmlKey(node)
+  ];
+
+  strategies.forEach(keyOf => {
+    const byKey = new Map();
+    unmatchedPrevious.forEach(node => {
+      const key = keyOf(node);
+      if (!byKey.has(key)) byKey.set(key, []);
+      byKey.get(key).push(node);
+    });
+
+    for (let i = unmatchedCurrent.length - 1; i >= 0; i--) {
+      const candidates = byKey.get(keyOf(unmatchedCurrent[i]));
+      if (!candidates?.length) continue;
+
+      const previous = candidates.shift();
+      unmatchedPrevious.splice(unmatchedPrevious.indexOf(previous), 1);
+      pairs.push({ previous, current: unmatchedCurrent[i] });
+      unmatchedCurrent.splice(i, 1);
+    }
+  });
+
+  return { pairs, removed: unmatchedPrevious, added: unmatchedCurrent };
+}
+
+function addGroup(groups, violation, nodes) {
+  if (nodes.length > 0) {
+    groups.push({ ...ruleInfo(violation), nodes });
+  }
+}
+
+function countNodes(groups) {
+  return groups.reduce((sum, group) => sum + group.nodes.length, 0);
+}
+
+function scanInfo(scan) {
+  return {
+    url: scan?.url || null,
+    timestamp: scan?.timestamp || null,
+    axeVersion: scan?.tool?.version || scan?.axeVersion || null
+  };
+}
+
+/**
+ * @param {object} previous Older scan ({ violations: [...] })
+ * @param {object} current Newer scan ({ violations: [...] })
+ * @returns {{ previous, current, new, fixed, unchanged, summary }} Groups are
+ *   arrays of rules, each with the nodes that fall in that group
+ */
+export function diffScans(previous, current) {
+  const previousById = new Map((previous?.violations || []).map(v => [v.id, v]));
+  const currentById = new Map((current?.violations || []).map(v => [v.id, v]));
+  const ruleIds = new Set([...previousById.keys(), ...currentById.keys()]);
+
+  const added = [];
+  const fixed = [];
+  const unchanged = [];
+
+  ruleIds.forEach(id => {
+    const before = previousById.get(id);
+    const after = currentById.get(id);
+
+    const { pairs, removed, added: newNodes } = matchNodes(before?.nodes || [], after?.nodes || []);
+
+    addGroup(added, after, newNodes);
+    addGroup(fixed, before, removed);
+    addGroup(unchanged, after, pairs.map(pair => pair.current));
+  });
+
+  return {
+    previous: scanInfo(previous),
+    current: scanInfo(current),
+    new: added,
+    fixed,
+    unchanged,
+    summary: {
+      new: countNodes(added),
+      fixed: countNodes(fixed),
+      unchanged: countNodes(unchanged)
+    }
+  };
+}
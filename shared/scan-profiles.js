@@ -0,0 +1,163 @@
+/**
+ * Named scan profiles: tags, disabled rules, impacts, iframe handling and scope
+ * Built-in profiles mirror the compliance presets in content/axe-runner.js;
+ * user profiles are stored in chrome.storage.sync under "scanProfiles"
+ */
+
+import { IMPACTS, selectorList, stringList, toScanConfig } from './scan-settings.js';
+
+// axe tags mark the WCAG version a criterion was added in, so a profile
+// lists every level it builds on
+export const BUILT_IN_PROFILES = [
+  {
+    id: 'comprehensive',
+    name: 'Comprehensive',
+    tags: [],
+    disabledRules: [],
+    impacts: IMPACTS,
+    iframes: true,
+    include: [],
+    exclude: []
+  },
+  {
+    id: 'wcag22-aa',
+    name: 'WCAG 2.2 AA',
+    tags: ['wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa', 'wcag22aa', 'best-practice'],
+    disabledRules: [],
+    impacts: ['critical', 'serious', 'moderate'],
+    iframes: true,
+    include: [],
+    exclude: []
+  },
+  {
+    id: 'us-federal',
+    name: 'US Federal (Section 508)',
+    tags: ['section508', 'wcag2a', 'wcag2aa', 'best-practice'],
+    disabledRules: [],
+    impacts: ['critical', 'serious', 'moderate'],
+    iframes: true,
+    include: [],
+    exclude: []
+  },
+  {
+    id: 'eu-en-301-549',
+    name: 'EU EN 301 549',
+    tags: ['EN-301-549', 'wcag2a', 'wcag2aa', 'wcag21a', 'wcag21aa', 'best-practice'],
+    disabledRules: [],
+    impacts: ['critical', 'serious', 'moderate'],
+    iframes: true,
+    include: [],
+    exclude: []
+  },
+  {
+    id: 'quick-smoke',
+    name: 'Quick smoke',
+    tags: ['wcag2a'],
+    disabledRules: [],
+    impacts: ['critical', 'serious'],
+    iframes: false,
+    include: [],
+    exclude: []
+  }
+].map(profile => ({ ...profile, builtIn: true }));
+
+function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'profile';
+}
+
+/**
+ * Fill in defaults for a stored user profile; null when it has no id or name
+ */
+export function normalizeProfile(stored) {
+  const id = typeof stored?.id === 'string' ? stored.id.trim() : '';
+  const name = typeof stored?.name === 'string' ? stored.name.trim() : '';
+  if (!id || !name) return null;
+
+  const impacts = stringList(stored.impacts).filter(impact => IMPACTS.includes(impact));
+
+  return {
+    id,
+    name,
+    tags: stringList(stored.tags),
+    disabledRules: stringList(stored.disabledRules),
+    impacts: impacts.length > 0 ? impacts : IMPACTS,
+    iframes: stored.iframes !== false,
+    include: selectorList(stored.include),
+    exclude: selectorList(stored.exclude),
+    builtIn: false
+  };
+}
+
+/**
+ * Built-in profiles followed by valid user profiles (built-in ids win)
+ */
+export function listProfiles(userProfiles = []) {
+  const builtInIds = new Set(BUILT_IN_PROFILES.map(profile => profile.id));
+  const custom = (Array.isArray(userProfiles) ? userProfiles : [])
+    .map(normalizeProfile)
+    .filter(profile => profile && !builtInIds.has(profile.id));
+
+  return [...BUILT_IN_PROFILES, ...custom];
+}
+
+export function findProfile(profiles, id) {
+  return profiles.find(profile => profile.id === id) || null;
+}
+
+/**
+ * A new, unused profile id derived from the name
+ */
+export function createProfileId(name, profiles = []) {
+  const base = slugify(name);
+  const taken = new Set(profiles.map(profile => profile.id));
+
+  let id = base;
+  for (let n = 2; taken.has(id); n++) {
+    id = `${base}-${n}`;
+  }
+  return id;
+}
+
+/**
+ * runA11yScan() config for a profile; DOM timings and incremental re-scans
+ * still come from settings, and a scope in settings (e.g. set in the popup)
+ * replaces the profile's own
+ */
+export function profileScanConfig(profile, settings = {}) {
+  const settingsScoped = selectorList(settings.include).length > 0 ||
+    selectorList(settings.exclude).length > 0;
+
+  return toScanConfig({
+    ...settings,
+    tags: profile.tags,
+    disabledRules: profile.disabledRules,
+    impacts: profile.impacts,
+    iframes: profile.iframes,
+    include: settingsScoped ? settings.include : profile.include,
+    exclude: settingsScoped ? settings.exclude : profile.exclude
+  });
+}
+
+/**
+ * The profile selected in settings (if it still exists) and the scan config
+ * to run; without a profile the settings themselves are used
+ */
+export function resolveScanConfig(settings, userProfiles = []) {
+  const profile = settings?.profileId
+    ? findProfile(listProfiles(userProfiles), settings.profileId)
+    : null;
+
+  return {
+    profile,
+    config: profile ? profileScanConfig(profile, settings) : toScanConfig(settings)
+  };
+}
+
+/**
+ * What gets recorded in result metadata
+ */
+export function profileInfo(profile) {
+  return profile
+    ? { id: profile.id, name: profile.name, builtIn: profile.builtIn }
+    : null;
+}
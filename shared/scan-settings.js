@@ -0,0 +1,129 @@
+/**
+ * Scan settings stored in chrome.storage.sync under "scanSettings"
+ * Written by the options page and the popup, read by every scan entry point
+ */
+
+// Level and standard tags shipped with the bundled axe-core rules
+export const SCAN_TAGS = {
+  'wcag2a': 'WCAG 2.0 Level A',
+  'wcag2aa': 'WCAG 2.0 Level AA',
+  'wcag2aaa': 'WCAG 2.0 Level AAA',
+  'wcag21a': 'WCAG 2.1 Level A',
+  'wcag21aa': 'WCAG 2.1 Level AA',
+  'wcag22aa': 'WCAG 2.2 Level AA',
+  'section508': 'Section 508',
+  'EN-301-549': 'EN 301 549',
+  'TTv5': 'Trusted Tester v5',
+  'RGAAv4': 'RGAA v4',
+  'ACT': 'W3C ACT Rules',
+  'best-practice': 'Accessibility Best Practices',
+  'experimental': 'Experimental Rules'
+};
+
+export const IMPACTS = ['critical', 'serious', 'moderate', 'minor'];
+
+// Empty tags means every tag axe-core knows (except experimental);
+// empty include means the whole page; incremental re-scans only what
+// changed since the last scan of a page (see content/incremental-scan.js);
+// profileId selects a named profile (see scan-profiles.js) over these values
+export const DEFAULT_SCAN_SETTINGS = {
+  tags: [],
+  disabledRules: [],
+  impacts: IMPACTS,
+  iframes: true,
+  include: [],
+  exclude: [],
+  incremental: false,
+  domQuietMs: 500,
+  domSettleMs: 3000,
+  profileId: null
+};
+
+const MAX_DOM_WAIT_MS = 60000;
+
+// Unique non-empty strings; anything else in a stored list is dropped
+export function stringList(value) {
+  return Array.isArray(value)
+    ? [...new Set(value.filter(item => typeof item === 'string' && item))]
+    : [];
+}
+
+// CSS selectors, each of which may itself be a selector list
+export function selectorList(value) {
+  return stringList(
+    (Array.isArray(value) ? value : [value])
+      .map(item => (typeof item === 'string' ? item.trim() : item))
+  );
+}
+
+function milliseconds(value, fallback) {
+  const ms = Number(value);
+  return Number.isFinite(ms) && ms >= 0
+    ? Math.min(Math.round(ms), MAX_DOM_WAIT_MS)
+    : fallback;
+}
+
+/**
+ * Fill in defaults and drop anything malformed from stored settings
+ */
+export function normalizeScanSettings(stored = {}) {
+  const impacts = stringList(stored?.impacts).filter(impact => IMPACTS.includes(impact));
+  const domQuietMs = milliseconds(stored?.domQuietMs, DEFAULT_SCAN_SETTINGS.domQuietMs);
+
+  return {
+    tags: stringList(stored?.tags),
+    disabledRules: stringList(stored?.disabledRules),
+    impacts: impacts.length > 0 ? impacts : DEFAULT_SCAN_SETTINGS.impacts,
+    iframes: stored?.iframes !== false,
+    include: selectorList(stored?.include),
+    exclude: selectorList(stored?.exclude),
+    incremental: stored?.incremental === true,
+    domQuietMs,
+    // The settle limit must leave room for at least one quiet window
+    domSettleMs: Math.max(
+      milliseconds(stored?.domSettleMs, DEFAULT_SCAN_SETTINGS.domSettleMs),
+      domQuietMs
+    ),
+    profileId: typeof stored?.profileId === 'string' && stored.profileId ? stored.profileId : null
+  };
+}
+
+/**
+ * The part of a runA11yScan() config that comes from settings
+ */
+export function toScanConfig(settings) {
+  const {
+    tags, disabledRules, impacts, iframes, include, exclude, incremental, domQuietMs, domSettleMs
+  } = normalizeScanSettings(settings);
+
+  const config = { impacts, iframes, incremental, domQuietMs, domSettleMs };
+  if (tags.length > 0) config.tags = tags;
+  if (disabledRules.length > 0) {
+    config.rules = Object.fromEntries(disabledRules.map(id => [id, { enabled: false }]));
+  }
+  const scope = toScope(include, exclude);
+  if (scope) config.scope = scope;
+  return config;
+}
+
+/**
+ * { include, exclude } selector lists, or null for the whole page
+ */
+export function toScope(include, exclude) {
+  const scope = { include: selectorList(include), exclude: selectorList(exclude) };
+  return scope.include.length > 0 || scope.exclude.length > 0 ? scope : null;
+}
+
+/**
+ * Short human-readable form of a scope, e.g. "Only #checkout; except .chat"
+ */
+export function describeScope(scope) {
+  if (!scope) return 'Whole page';
+
+  const parts = [];
+  if (scope.include?.length > 0) parts.push(`Only ${scope.include.join(', ')}`);
+  if (scope.exclude?.length > 0) {
+    parts.push(`${parts.length > 0 ? 'except' : 'Everything except'} ${scope.exclude.join(', ')}`);
+  }
+  return parts.join('; ');
+}
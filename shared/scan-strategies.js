@@ -0,0 +1,107 @@
+/**
+ * Scan strategies
+ * Every scan runs through one pipeline (scanWithStrategies() in
+ * background/scanner.js). A strategy turns the scan config into the config
+ * for one attempt; when an attempt fails, the pipeline falls back to the
+ * next, lighter strategy.
+ */
+
+// Core WCAG 2.0 A rules, as in the Quick smoke profile
+const CORE_TAGS = ['wcag2a'];
+
+// In fallback order
+export const SCAN_STRATEGIES = [
+  {
+    id: 'full',
+    label: 'Full scan',
+    note: null,
+    apply: config => config
+  },
+  {
+    id: 'no-iframes',
+    label: 'Main content only',
+    note: 'Scanned main content only (iframes skipped)',
+    apply: config => ({ ...config, iframes: false })
+  },
+  {
+    id: 'basic',
+    label: 'Basic scan',
+    note: 'Basic scan (core rules only)',
+    apply: config => ({ ...config, iframes: false, tags: CORE_TAGS })
+  },
+  {
+    // For pages that never settle or whose previous scan state is stale
+    id: 'simplified',
+    label: 'Simplified scan',
+    note: 'Simplified scan (core rules, without waiting for the page to settle)',
+    apply: config => ({
+      ...config,
+      iframes: false,
+      tags: CORE_TAGS,
+      incremental: false,
+      domQuietMs: 0,
+      domSettleMs: 0
+    })
+  }
+];
+
+export function findStrategy(id) {
+  return SCAN_STRATEGIES.find(strategy => strategy.id === id) || null;
+}
+
+/**
+ * The strategy and every lighter one after it
+ * @throws {Error} For an unknown strategy id
+ */
+export function strategiesFrom(id = 'full') {
+  const index = SCAN_STRATEGIES.findIndex(strategy => strategy.id === id);
+  if (index === -1) {
+    throw new Error(`Unknown scan strategy: ${id}`);
+  }
+  return SCAN_STRATEGIES.slice(index);
+}
+
+// Errors a lighter strategy can't get past: cancellation and a config
+// (scope or standards) that doesn't fit the page
+const FINAL_ERRORS = [/scope selector/i, /known to axe-core/i];
+
+export function canFallBack(error) {
+  return error?.name !== 'AbortError' &&
+    !FINAL_ERRORS.some(pattern => pattern.test(error?.message || ''));
+}
+
+/**
+ * Check a scan config against the rules of the axe-core build in the page
+ * @param {object} config runA11yScan() config
+ * @param {Array<{ ruleId: string, tags: string[] }>} rules axe.getRules()
+ * @returns {{ config: object, ignored: { tags: string[], rules: string[] } }}
+ *   The config without unknown tags and rule ids, and what was dropped
+ * @throws {Error} When none of the requested tags exist
+ */
+export function checkScanConfig(config, rules) {
+  const knownTags = new Set(rules.flatMap(rule => rule.tags || []));
+  const knownRules = new Set(rules.map(rule => rule.ruleId));
+
+  const tags = config.tags || [];
+  const ruleIds = Object.keys(config.rules || {});
+  const ignored = {
+    tags: tags.filter(tag => !knownTags.has(tag)),
+    rules: ruleIds.filter(id => !knownRules.has(id))
+  };
+
+  if (tags.length > 0 && ignored.tags.length === tags.length) {
+    throw new Error(`None of the selected standards are known to axe-core: ${tags.join(', ')}`);
+  }
+
+  const checked = { ...config };
+  if (config.tags) {
+    checked.tags = tags.filter(tag => knownTags.has(tag));
+  }
+  if (config.rules) {
+    checked.rules = Object.fromEntries(
+      Object.entries(config.rules).filter(([id]) => knownRules.has(id))
+    );
+  }
+
+  return { config: checked, ignored };
+}
@@ -0,0 +1,14 @@
+/**
+ * The page a URL belongs to, for scan history and baseline matching
+ * Origin + path: query strings and fragments usually identify the same
+ * page state for audit purposes
+ */
+
+export function siteKey(url) {
+  try {
+    const { origin, pathname } = new URL(url);
+    return `${origin}${pathname}`;
+  } catch {
+    return url || '';
+  }
+}
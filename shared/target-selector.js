@@ -0,0 +1,38 @@
+/**
+ * axe-core target format helpers
+ *
+ * A target has one entry per document, outermost frame first. Each entry is
+ * a selector, or an array of selectors that steps through open shadow roots:
+ *   ['iframe#checkout', ['my-form', 'input#card']]
+ */
+
+export const FRAME_SEPARATOR = ' | ';
+export const SHADOW_SEPARATOR = ' >>> ';
+
+/**
+ * Normalize a target to one array of selectors per document
+ */
+export function targetLevels(target) {
+  const parts = Array.isArray(target) ? target : [target];
+  return parts
+    .filter(part => part !== undefined && part !== null && part !== '')
+    .map(part => (Array.isArray(part) ? part : [part]));
+}
+
+/**
+ * Readable single-line selector, e.g. "iframe#checkout | my-form >>> input#card"
+ */
+export function formatTarget(target) {
+  return targetLevels(target)
+    .map(level => level.join(SHADOW_SEPARATOR))
+    .join(FRAME_SEPARATOR);
+}
+
+/**
+ * The part of a node's target inside its own frame. Nodes from merged frame
+ * scans carry `frame.selectors`, the prefix that leads to their frame.
+ */
+export function frameLocalTarget(node) {
+  const target = Array.isArray(node?.target) ? node.target : [];
+  return target.slice(node?.frame?.selectors?.length || 0);
+}
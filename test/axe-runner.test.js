@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { JSDOM, VirtualConsole } from 'jsdom';
+
+const SCRIPTS = await Promise.all(
+  ['../vendor/axe.min.js', '../content/css-path.js', '../content/axe-runner.js']
+    .map(path => readFile(new URL(path, import.meta.url), 'utf8'))
+);
+
+const PAGE = `<!doctype html>
+  <html lang="en">
+    <head><title>Batches</title></head>
+    <body><main><h1>Batches</h1><img src="a.png"><a href="#">More</a></main></body>
+  </html>`;
+
+// No DOM wait to speak of
+const CONFIG = { domSettleMs: 50, domQuietMs: 10 };
+
+/**
+ * A page with axe-core and content/axe-runner.js loaded; its console
+ * (and jsdom's own warnings) are dropped
+ */
+function loadPage() {
+  const dom = new JSDOM(PAGE, {
+    runScripts: 'outside-only',
+    pretendToBeVisual: true,
+    virtualConsole: new VirtualConsole()
+  });
+  SCRIPTS.forEach(script => dom.window.eval(script));
+  return dom.window;
+}
+
+function ruleIds(results) {
+  return ['violations', 'passes', 'incomplete', 'inapplicable']
+    .flatMap(type => results[type].map(rule => rule.id));
+}
+
+test('runA11yScan reports rule progress after each batch', async () => {
+  const window = loadPage();
+  const events = [];
+
+  await window.runA11yScan(CONFIG, { onProgress: event => events.push({ ...event }) });
+
+  const rules = events.filter(event => event.phase === 'rules');
+  const total = rules[0].total;
+  assert.equal(events[0].phase, 'settle');
+  assert.equal(events.at(-1).phase, 'normalize');
+  assert.ok(rules.length > 2);
+  assert.deepEqual(rules[0], { phase: 'rules', done: 0, total });
+  assert.deepEqual(rules.at(-1), { phase: 'rules', done: total, total });
+  rules.slice(1).forEach((event, i) => assert.ok(event.done > rules[i].done));
+});
+
+test('runA11yScan runs every rule, page-level ones included, exactly once', async () => {
+  const window = loadPage();
+
+  const results = await window.runA11yScan(CONFIG);
+
+  const ids = ruleIds(results);
+  assert.equal(new Set(ids).size, ids.length);
+  assert.equal(ids.filter(id => id === 'bypass').length, 1);
+  assert.ok(ids.includes('image-alt'));
+});
+
+test('runA11yScan leaves out disabled rules', async () => {
+  const window = loadPage();
+
+  const results = await window.runA11yScan({ ...CONFIG, rules: { 'image-alt': { enabled: false } } });
+
+  assert.ok(!ruleIds(results).includes('image-alt'));
+  assert.ok(ruleIds(results).includes('link-name'));
+});
+
+test('runA11yScan stops between batches once aborted', async () => {
+  const window = loadPage();
+  const controller = new window.AbortController();
+  const done = [];
+
+  await assert.rejects(
+    window.runA11yScan(CONFIG, {
+      signal: controller.signal,
+      onProgress: event => {
+        if (event.phase !== 'rules') return;
+        done.push(event.done);
+        if (event.done > 0) controller.abort();
+      }
+    }),
+    error => error.name === 'AbortError'
+  );
+  assert.equal(done.length, 2);
+});
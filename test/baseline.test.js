@@ -0,0 +1,143 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  applyBaseline,
+  createAcceptance,
+  isExpired,
+  issueFingerprint,
+  mergeBaselines,
+  parseBaseline,
+  serializeBaseline
+} from '../shared/baseline.js';
+import { hashHtml } from '../shared/scan-diff.js';
+import { rule, scanResults } from './fixtures.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-03-01T00:00:00Z');
+const URL = 'https://example.com/checkout?step=2';
+
+const node = { target: ['#pay'], html: '<button id="pay"></button>' };
+
+function accept(overrides = {}) {
+  return createAcceptance({
+    ruleId: 'button-name',
+    node,
+    url: URL,
+    justification: 'Fixed in the next release',
+    author: 'qa',
+    now: NOW,
+    ...overrides
+  });
+}
+
+function results(nodes = [node]) {
+  return scanResults({ url: URL, violations: [rule('button-name', 'critical', nodes)] });
+}
+
+test('issueFingerprint combines rule, target and the normalized html hash', () => {
+  assert.equal(
+    issueFingerprint('button-name', node),
+    `button-name|["#pay"]|${hashHtml(node.html)}`
+  );
+  // Whitespace differences in the markup don't change it
+  assert.equal(
+    issueFingerprint('button-name', { ...node, html: '<button   id="pay"></button>' }),
+    issueFingerprint('button-name', node)
+  );
+  // A precomputed hash wins
+  assert.equal(issueFingerprint('r', { target: [], htmlHash: 'abc' }), 'r|[]|abc');
+});
+
+test('createAcceptance expires after the policy expiry', () => {
+  const entry = accept({ baselinePolicy: { expiryDays: 10 } });
+
+  assert.equal(entry.site, 'https://example.com/checkout');
+  assert.equal(entry.acceptedAt, new Date(NOW).toISOString());
+  assert.equal(entry.expiresAt, new Date(NOW + 10 * DAY_MS).toISOString());
+});
+
+test('createAcceptance enforces the policy', () => {
+  assert.throws(() => accept({ justification: '  ' }), /justification is required/);
+  assert.throws(() => accept({ author: '' }), /author is required/);
+  assert.throws(() => accept({ baselinePolicy: { enabled: false } }), /disabled/);
+  assert.doesNotThrow(() => accept({ justification: '', baselinePolicy: { requireJustification: false } }));
+});
+
+test('isExpired treats missing and invalid expiry dates as expired', () => {
+  assert.equal(isExpired({ expiresAt: new Date(NOW + DAY_MS).toISOString() }, NOW), false);
+  assert.equal(isExpired({ expiresAt: new Date(NOW).toISOString() }, NOW), true);
+  assert.equal(isExpired({}, NOW), true);
+  assert.equal(isExpired({ expiresAt: 'someday' }, NOW), true);
+});
+
+test('applyBaseline moves accepted nodes out of the violations until they expire', () => {
+  const other = { target: ['#other'], html: '<a id="other"></a>' };
+  const entry = accept();
+
+  const applied = applyBaseline(results([node, other]), [entry], NOW);
+  assert.equal(applied.violations[0].nodes.length, 1);
+  assert.equal(applied.violations[0].nodes[0], other);
+  assert.equal(applied.accepted[0].nodes[0].acceptance, entry);
+  assert.deepEqual(applied.baseline, { accepted: 1, expired: 0 });
+
+  const later = applyBaseline(results([node, other]), [entry], NOW + 31 * DAY_MS);
+  assert.equal(later.violations[0].nodes.length, 2);
+  assert.equal(later.accepted.length, 0);
+  assert.deepEqual(later.baseline, { accepted: 0, expired: 1 });
+});
+
+test('applyBaseline ignores entries for other pages', () => {
+  const entry = { ...accept(), site: 'https://example.com/cart' };
+  const applied = applyBaseline(results(), [entry], NOW);
+
+  assert.equal(applied.violations[0].nodes.length, 1);
+  assert.equal(applied.baseline.accepted, 0);
+});
+
+test('parseBaseline round-trips an export', () => {
+  const entry = accept();
+  const { entries, skipped } = parseBaseline(serializeBaseline([entry]));
+
+  assert.deepEqual(entries, [entry]);
+  assert.deepEqual(skipped, []);
+});
+
+test('parseBaseline skips entries createAcceptance could not have made', () => {
+  const entry = accept();
+  const text = JSON.stringify({
+    entries: [
+      entry,
+      { ...entry, expiresAt: undefined },
+      { ...entry, expiresAt: 'never' },
+      { ...entry, justification: ' ' },
+      { ...entry, author: '' },
+      { ...entry, expiresAt: new Date(NOW + 365 * DAY_MS).toISOString() },
+      { fingerprint: 'x' }
+    ]
+  });
+
+  const { entries, skipped } = parseBaseline(text, { expiryDays: 30 });
+  assert.deepEqual(entries, [entry]);
+  assert.deepEqual(skipped.map(s => s.index), [1, 2, 3, 4, 5, 6]);
+});
+
+test('parseBaseline follows the policy', () => {
+  const text = JSON.stringify([{ ...accept(), justification: '' }]);
+
+  assert.equal(parseBaseline(text, { requireJustification: false }).entries.length, 1);
+  assert.throws(() => parseBaseline(text, { enabled: false }), /disabled/);
+});
+
+test('parseBaseline rejects files that are not baselines', () => {
+  assert.throws(() => parseBaseline('{'), /not valid JSON/);
+  assert.throws(() => parseBaseline('{}'), /no "entries" list/);
+});
+
+test('mergeBaselines keeps the latest acceptance per issue', () => {
+  const older = accept();
+  const newer = accept({ now: NOW + DAY_MS, justification: 'Renewed' });
+
+  assert.deepEqual(mergeBaselines([older], [newer]), [newer]);
+  assert.deepEqual(mergeBaselines([newer], [older]), [newer]);
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { JSDOM } from 'jsdom';
+
+const SCRIPT = await readFile(new URL('../content/context-target.js', import.meta.url), 'utf8');
+
+function loadPage() {
+  const dom = new JSDOM(`
+    <input id="search">
+    <p id="text">Text</p>
+    <div id="host"></div>`, { runScripts: 'outside-only' });
+  const { window } = dom;
+
+  window.a11yCssPath = el => `#${el.id}`;
+  window.eval(SCRIPT);
+  return { window, document: window.document };
+}
+
+function rightClick(window, el) {
+  el.dispatchEvent(new window.MouseEvent('contextmenu', { bubbles: true, composed: true, cancelable: true }));
+}
+
+test('records the right-clicked element, not the focused one', () => {
+  const { window, document } = loadPage();
+  document.querySelector('#search').focus();
+
+  rightClick(window, document.querySelector('#text'));
+  assert.equal(window.getA11yContextTarget(), '#text');
+});
+
+test('records the element even when the page stops the event', () => {
+  const { window, document } = loadPage();
+  const text = document.querySelector('#text');
+  text.addEventListener('contextmenu', e => e.stopPropagation());
+
+  rightClick(window, text);
+  assert.equal(window.getA11yContextTarget(), '#text');
+});
+
+test('scans an element in a shadow root through its host', () => {
+  const { window, document } = loadPage();
+  const host = document.querySelector('#host');
+  host.attachShadow({ mode: 'open' }).innerHTML = '<button id="inner">Buy</button>';
+
+  rightClick(window, host.shadowRoot.querySelector('#inner'));
+  assert.equal(window.getA11yContextTarget(), '#host');
+});
+
+test('forgets an element that left the page', () => {
+  const { window, document } = loadPage();
+  const text = document.querySelector('#text');
+
+  assert.equal(window.getA11yContextTarget(), null);
+  rightClick(window, text);
+  text.remove();
+  assert.equal(window.getA11yContextTarget(), null);
+});
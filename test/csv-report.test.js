@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildCsv, CSV_COLUMNS } from '../shared/csv-report.js';
+import { rule, scanResults } from './fixtures.js';
+
+function rowsOf(csv) {
+  assert.ok(csv.startsWith('\ufeff'));
+  assert.ok(csv.endsWith('\r\n'));
+  return csv.slice(1, -2).split('\r\n');
+}
+
+test('writes a header and one row per node', () => {
+  const rows = rowsOf(buildCsv(scanResults({
+    violations: [rule('image-alt', 'critical', ['#a', '#b'], { tags: ['wcag2a', 'wcag111'] })],
+    incomplete: [rule('color-contrast', 'serious', ['#c'])]
+  })));
+
+  assert.equal(rows[0], CSV_COLUMNS.join(','));
+  assert.equal(rows.length, 4);
+  assert.ok(rows[1].startsWith('violation,image-alt,critical,1.1.1 '));
+  assert.ok(rows[3].startsWith('needs review,color-contrast,serious,'));
+  assert.ok(rows[3].endsWith(',https://example.com/'));
+});
+
+test('quotes cells with commas, quotes and line breaks', () => {
+  const csv = buildCsv(scanResults({
+    violations: [rule('label', 'serious', [{ target: ['#a'], html: '<input title="a, b">', failureSummary: 'Fix one:\nlabel' }])]
+  }));
+
+  assert.ok(csv.includes('"<input title=""a, b"">"'));
+  assert.ok(csv.includes('"Fix one:\nlabel"'));
+});
+
+test('guards cells that spreadsheets would run as formulas', () => {
+  for (const text of ['=HYPERLINK("x")', '+1', '-1', '@SUM(A1)', '\tx']) {
+    const csv = buildCsv(scanResults({ violations: [rule('label', 'serious', [{ target: ['#a'], html: text }])] }));
+    const cell = rowsOf(csv)[1].split(',').slice(6).join(',');
+
+    assert.ok(cell.replace(/^"/, '').startsWith(`'${text[0]}`), `${JSON.stringify(text)} was not guarded`);
+  }
+});
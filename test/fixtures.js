@@ -0,0 +1,34 @@
+/**
+ * Test data shaped like normalized scan results (see content/axe-runner.js)
+ */
+
+export const PAGE_URL = 'https://example.com/';
+export const SCANNED_AT = '2026-03-01T00:00:00.000Z';
+
+/**
+ * @param {string} id Rule id
+ * @param {string} impact
+ * @param {Array<string|object>} nodes Nodes, or selectors of single-target nodes
+ * @param {object} [fields] Other rule fields (help, helpUrl, tags, ...)
+ */
+export function rule(id, impact, nodes = [], fields = {}) {
+  return {
+    id,
+    impact,
+    ...fields,
+    nodes: nodes.map(node => (typeof node === 'string' ? { target: [node] } : node))
+  };
+}
+
+export function scanResults(fields = {}) {
+  return {
+    url: PAGE_URL,
+    timestamp: SCANNED_AT,
+    violations: [],
+    incomplete: [],
+    passes: [],
+    inapplicable: [],
+    statistics: {},
+    ...fields
+  };
+}
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { framesInScope, mergeFrameResults } from '../shared/frame-results.js';
+import { rule, scanResults } from './fixtures.js';
+
+test('mergeFrameResults prefixes frame nodes with their frame selectors', () => {
+  const merged = mergeFrameResults([
+    {
+      frameId: 0,
+      results: scanResults({ violations: [rule('image-alt', 'serious', ['#logo'])] }),
+      frames: [{ frameId: 1, selector: 'iframe#pay' }]
+    },
+    {
+      frameId: 1,
+      url: 'https://pay.example.net/',
+      results: scanResults({ url: 'https://pay.example.net/', violations: [rule('image-alt', 'serious', ['#card'])] }),
+      frames: [{ frameId: 2, selector: ['my-form', 'iframe'] }]
+    },
+    {
+      frameId: 2,
+      results: scanResults({ url: 'https://cdn.example.org/', violations: [rule('label', 'serious', ['#cvc'])] })
+    }
+  ]);
+
+  const imageAlt = merged.violations.find(v => v.id === 'image-alt');
+  assert.deepEqual(imageAlt.nodes.map(n => n.target), [['#logo'], ['iframe#pay', '#card']]);
+  assert.equal(imageAlt.nodes[1].frame.url, 'https://pay.example.net/');
+
+  const label = merged.violations.find(v => v.id === 'label');
+  assert.deepEqual(label.nodes[0].target, ['iframe#pay', ['my-form', 'iframe'], '#cvc']);
+
+  assert.equal(merged.statistics.issuesFound, 2);
+  assert.equal(merged.partialScan, undefined);
+});
+
+test('mergeFrameResults reports frames that could not be scanned', () => {
+  const merged = mergeFrameResults([
+    { frameId: 0, results: scanResults(), frames: [{ frameId: 3, selector: 'iframe' }] },
+    { frameId: 3, error: 'Scan timed out' }
+  ]);
+
+  assert.equal(merged.partialScan, true);
+  assert.equal(merged.scanNote, '1 frame could not be scanned');
+  assert.deepEqual(merged.frames, [
+    { frameId: 3, url: null, selectors: ['iframe'], scanned: false, error: 'Scan timed out' }
+  ]);
+});
+
+test('mergeFrameResults keeps a rule inapplicable only if no frame applied it', () => {
+  const top = scanResults({ inapplicable: [rule('video-caption'), rule('image-alt')] });
+  const frame = scanResults({ passes: [rule('image-alt', null, ['img'])] });
+
+  const merged = mergeFrameResults([
+    { frameId: 0, results: top, frames: [{ frameId: 1, selector: 'iframe' }] },
+    { frameId: 1, results: frame }
+  ]);
+
+  assert.deepEqual(merged.inapplicable.map(r => r.id), ['video-caption']);
+  assert.deepEqual(merged.passes.map(r => r.id), ['image-alt']);
+});
+
+test('mergeFrameResults throws when the root frame failed', () => {
+  assert.throws(
+    () => mergeFrameResults([{ frameId: 0, error: 'Scan timed out' }]),
+    /Scan timed out/
+  );
+  assert.throws(() => mergeFrameResults([]), /could not be scanned/);
+});
+
+test('framesInScope follows in-scope frames below the root', () => {
+  const listings = [
+    { frameId: 0, frames: [{ frameId: 1, inScope: true }, { frameId: 2, inScope: false }] },
+    { frameId: 1, frames: [{ frameId: 3 }] },
+    { frameId: 2, frames: [{ frameId: 4 }] }
+  ];
+
+  assert.deepEqual(framesInScope(listings), [0, 1, 3]);
+  assert.deepEqual(framesInScope(listings, 2), [2, 4]);
+});
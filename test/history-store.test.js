@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { toHistoryEntry } from '../background/history-store.js';
+import { hashHtml } from '../shared/scan-diff.js';
+import { rule, scanResults, SCANNED_AT } from './fixtures.js';
+
+const longHtml = `<img src="${'x'.repeat(300)}">`;
+
+function scanned(fields = {}) {
+  return scanResults({
+    url: 'https://example.com/shop?page=2#top',
+    tool: { version: '4.11.0' },
+    context: { tags: ['wcag2aa'], availableTags: ['wcag2a', 'wcag2aa'], standards: {} },
+    metadata: { profile: 'quick', scope: null },
+    statistics: { severityCounts: { critical: 1 } },
+    violations: [rule('image-alt', 'critical', [{ target: ['#logo'], html: longHtml, failureSummary: 'Fix this' }], {
+      help: 'Images must have alternate text',
+      helpUrl: 'https://dequeuniversity.com/rules/axe/4.11/image-alt',
+      wcagCriteria: ['WCAG 1.1.1'],
+      description: 'Ensures <img> elements have alternate text'
+    })],
+    ...fields
+  });
+}
+
+test('groups scans by origin and path', () => {
+  const entry = toHistoryEntry(scanned());
+
+  assert.equal(entry.site, 'https://example.com/shop');
+  assert.equal(entry.host, 'example.com');
+  assert.equal(entry.url, 'https://example.com/shop?page=2#top');
+  assert.equal(entry.timestamp, SCANNED_AT);
+});
+
+test('keeps the scan configuration and fills in missing severity counts', () => {
+  const entry = toHistoryEntry(scanned());
+
+  assert.equal(entry.axeVersion, '4.11.0');
+  assert.deepEqual(entry.config, { tags: ['wcag2aa'] });
+  assert.equal(entry.profile, 'quick');
+  assert.deepEqual(entry.severityCounts, { critical: 1, serious: 0, moderate: 0, minor: 0 });
+  assert.equal(entry.violations, 1);
+});
+
+test('keeps rule details once per rule and a markup snippet per node', () => {
+  const [finding] = toHistoryEntry(scanned()).findings;
+
+  assert.deepEqual(Object.keys(finding), ['id', 'impact', 'help', 'helpUrl', 'wcagCriteria', 'nodes']);
+  assert.equal(finding.help, 'Images must have alternate text');
+  assert.deepEqual(finding.nodes, [{
+    target: ['#logo'],
+    htmlHash: hashHtml(longHtml),
+    html: longHtml.substring(0, 200)
+  }]);
+});
+
+test('handles results without a URL or violations', () => {
+  const entry = toHistoryEntry({});
+
+  assert.equal(entry.site, '');
+  assert.deepEqual(entry.findings, []);
+  assert.equal(entry.violations, 0);
+});
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { renderHtmlReport } from '../shared/html-report.js';
+import { rule, scanResults } from './fixtures.js';
+
+const PAYLOAD = '<script>alert("x")</script>';
+const HELP_URL = 'https://dequeuniversity.com/rules/axe/4.11/image-alt';
+
+function withImageAlt(fields = {}) {
+  return scanResults({
+    violations: [rule('image-alt', 'critical', [{
+      target: ['img[alt="\'"]'],
+      html: `<img src=x onerror='alert(1)'>${PAYLOAD}`,
+      failureSummary: PAYLOAD
+    }], { help: PAYLOAD, helpUrl: HELP_URL, ...fields })]
+  });
+}
+
+test('escapes page content', () => {
+  const html = renderHtmlReport(withImageAlt());
+
+  assert.ok(!html.includes(PAYLOAD));
+  assert.ok(!html.includes("onerror='alert(1)'"));
+  assert.ok(html.includes('&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;'));
+  assert.ok(html.includes('img[alt=&quot;&#039;&quot;]'));
+});
+
+test('links only to http(s) help pages', () => {
+  assert.ok(renderHtmlReport(withImageAlt()).includes(`href="${HELP_URL}"`));
+  assert.ok(!renderHtmlReport(withImageAlt({ helpUrl: 'javascript:alert(1)' })).includes('javascript:'));
+});
+
+test('escapes the policy verdict', () => {
+  const verdict = { verdict: 'FAIL', reasons: [{ verdict: 'FAIL', message: PAYLOAD }] };
+
+  assert.ok(!renderHtmlReport(withImageAlt(), { verdict }).includes(PAYLOAD));
+});
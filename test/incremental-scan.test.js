@@ -0,0 +1,142 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { JSDOM } from 'jsdom';
+
+import { rule, scanResults } from './fixtures.js';
+
+const SCRIPT = await readFile(new URL('../content/incremental-scan.js', import.meta.url), 'utf8');
+
+const PAGE = `
+  <main>
+    <section id="a"><img id="a-img"></section>
+    <section id="b"><img id="b-img"></section>
+  </main>`;
+
+/**
+ * A page with content/incremental-scan.js loaded; runA11yScan() reports an
+ * image-alt violation for every <img> in scope (the whole page when the
+ * config has no scope)
+ */
+function loadPage() {
+  const dom = new JSDOM(PAGE, { runScripts: 'outside-only' });
+  const { window } = dom;
+  const scans = [];
+
+  window.a11yCssPath = el => `#${el.id}`;
+  window.runA11yScan = async config => {
+    scans.push(config);
+    const roots = config.scope
+      ? config.scope.include.map(selector => window.document.querySelector(selector))
+      : [window.document.body];
+    const images = roots.flatMap(root => Array.from(root.querySelectorAll('img')));
+
+    return scanResults({
+      violations: images.length > 0 ? [rule('image-alt', 'critical', images.map(img => `#${img.id}`))] : [],
+      passes: [rule('document-title', null, ['html'])],
+      inapplicable: [rule('video-caption')]
+    });
+  };
+  window.eval(SCRIPT);
+
+  // MutationObserver callbacks run as microtasks
+  const settle = () => new Promise(resolve => window.setTimeout(resolve, 0));
+  return { window, document: window.document, scans, settle };
+}
+
+// Objects made by the page's script come from the page's realm, with its own
+// Object and Array prototypes
+const plain = value => JSON.parse(JSON.stringify(value));
+
+const targetsOf = results => plain(results.violations.flatMap(v => v.nodes.map(n => n.target[0])));
+
+test('the first scan is a full scan', async () => {
+  const { window, scans } = loadPage();
+  const results = await window.runA11yIncrementalScan({});
+
+  assert.deepEqual(plain(scans), [{}]);
+  assert.deepEqual(targetsOf(results), ['#a-img', '#b-img']);
+  assert.deepEqual(plain(results.metadata.incremental), { full: true, roots: [] });
+});
+
+test('re-scans only the changed subtree and keeps the other nodes', async () => {
+  const { window, document, scans, settle } = loadPage();
+  const first = await window.runA11yIncrementalScan({});
+
+  document.querySelector('#b').innerHTML = '<img id="b-new">';
+  await settle();
+  const results = await window.runA11yIncrementalScan({});
+
+  assert.deepEqual(plain(scans[1].scope), { include: ['#b'], exclude: [] });
+  assert.deepEqual(targetsOf(results), ['#a-img', '#b-new']);
+  assert.equal(results.violations[0].nodes[0], first.violations[0].nodes[0]);
+  assert.deepEqual(plain(results.metadata.incremental), { full: false, roots: ['#b'] });
+  assert.equal(results.statistics.issuesFound, 1);
+  assert.deepEqual(plain(results.statistics.severityCounts), { critical: 1, serious: 0, moderate: 0, minor: 0 });
+});
+
+test('drops nodes of a re-rendered element even when its selector is the same', async () => {
+  const { window, document, settle } = loadPage();
+  await window.runA11yIncrementalScan({});
+
+  // Same id, different element, and the new one has no violation
+  document.querySelector('#b').innerHTML = '<img id="b-img" alt="Logo">';
+  window.runA11yScan = async () => scanResults({ passes: [rule('image-alt', null, ['#b-img'])] });
+  await settle();
+  const results = await window.runA11yIncrementalScan({});
+
+  assert.deepEqual(targetsOf(results), ['#a-img']);
+  assert.deepEqual(plain(results.passes.map(r => r.id)), ['document-title', 'image-alt']);
+});
+
+test('keeps a rule inapplicable only while nothing applies it', async () => {
+  const { window, document, settle } = loadPage();
+  await window.runA11yIncrementalScan({});
+
+  document.querySelector('#a').append(document.createElement('video'));
+  window.runA11yScan = async () => scanResults({ violations: [rule('video-caption', 'critical', ['#a video'])] });
+  await settle();
+  const results = await window.runA11yIncrementalScan({});
+
+  assert.deepEqual(plain(results.inapplicable), []);
+  assert.deepEqual(plain(results.violations.map(v => v.id)), ['image-alt', 'video-caption']);
+});
+
+test('changes inside a shadow root re-scan its host', async () => {
+  const { window, document, scans, settle } = loadPage();
+  const host = document.querySelector('#a');
+  host.attachShadow({ mode: 'open' }).innerHTML = '<span></span>';
+  await window.runA11yIncrementalScan({});
+
+  host.shadowRoot.querySelector('span').textContent = 'changed';
+  await settle();
+  await window.runA11yIncrementalScan({});
+
+  assert.deepEqual(plain(scans[1].scope.include), ['#a']);
+});
+
+test('falls back to a full scan for other settings or widespread changes', async () => {
+  const { window, document, scans, settle } = loadPage();
+  await window.runA11yIncrementalScan({});
+
+  document.querySelector('#a').setAttribute('class', 'x');
+  await settle();
+  await window.runA11yIncrementalScan({ tags: ['wcag2a'] });
+  assert.equal(scans[1].scope, undefined);
+
+  document.body.setAttribute('class', 'x');
+  await settle();
+  const results = await window.runA11yIncrementalScan({ tags: ['wcag2a'] });
+  assert.equal(scans[2].scope, undefined);
+  assert.equal(results.metadata.incremental.full, true);
+});
+
+test('nothing left to re-scan still updates the result', async () => {
+  const { window, scans } = loadPage();
+  await window.runA11yIncrementalScan({});
+  const results = await window.runA11yIncrementalScan({});
+
+  assert.equal(scans.length, 1);
+  assert.deepEqual(targetsOf(results), ['#a-img', '#b-img']);
+  assert.deepEqual(plain(results.metadata.incremental), { full: false, roots: [] });
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  buildSuggestions,
+  defaultSuggestion,
+  findTag,
+  isCommand,
+  parseCommand,
+  toUrl
+} from '../background/omnibox.js';
+
+test('parseCommand splits the command from its argument', () => {
+  assert.deepEqual(parseCommand('  SCAN   wcag2aa '), { command: 'scan', argument: 'wcag2aa' });
+  assert.deepEqual(parseCommand('open example.com/a b'), { command: 'open', argument: 'example.com/a b' });
+  assert.deepEqual(parseCommand(''), { command: '', argument: '' });
+});
+
+test('isCommand knows only whole command names', () => {
+  assert.equal(isCommand('history'), true);
+  assert.equal(isCommand('hist'), false);
+});
+
+test('findTag matches scan tags case-insensitively', () => {
+  assert.equal(findTag('WCAG2AA'), 'wcag2aa');
+  assert.equal(findTag('wcag99'), null);
+});
+
+test('toUrl adds https and accepts only web and file URLs', () => {
+  assert.equal(toUrl('example.com/page'), 'https://example.com/page');
+  assert.equal(toUrl('http://localhost:8080'), 'http://localhost:8080/');
+  assert.equal(toUrl('javascript:alert(1)'), null);
+  assert.equal(toUrl('https://'), null);
+});
+
+test('suggests commands until one is chosen', () => {
+  assert.deepEqual(buildSuggestions('').map(s => s.content), ['scan ', 'history ', 'open ']);
+  assert.deepEqual(buildSuggestions('h').map(s => s.content), ['history ']);
+  assert.deepEqual(buildSuggestions('nope x').map(s => s.content), ['scan ', 'history ', 'open ']);
+});
+
+test('suggests scan tags by tag or label', () => {
+  const suggestions = buildSuggestions('scan wcag2');
+
+  assert.ok(suggestions.length > 0 && suggestions.length <= 6);
+  assert.ok(suggestions.every(s => s.content.startsWith('scan wcag2')));
+});
+
+test('suggests scanned pages for a host, escaping the description', () => {
+  const pages = [
+    { url: 'https://example.com/?a=1&b=<2>', violations: 3 },
+    { url: 'https://other.org/', violations: 0 }
+  ];
+  const [suggestion, ...rest] = buildSuggestions('history example', { pages });
+
+  assert.equal(rest.length, 0);
+  assert.equal(suggestion.content, `history ${pages[0].url}`);
+  assert.ok(suggestion.description.includes('a=1&amp;b=&lt;2&gt;'));
+});
+
+test('suggests the URL to open', () => {
+  assert.deepEqual(buildSuggestions('open example.com').map(s => s.content), ['open https://example.com/']);
+  assert.deepEqual(buildSuggestions('open ftp://example.com'), []);
+});
+
+test('the default suggestion names unknown commands', () => {
+  assert.match(defaultSuggestion(''), /^Accessibility audit: scan \[tag\]/);
+  assert.match(defaultSuggestion('hist'), /^Accessibility audit/);
+  assert.match(defaultSuggestion('scna'), /^Unknown command <match>scna<\/match>/);
+  assert.match(defaultSuggestion('hist example.com'), /^Unknown command <match>hist<\/match>/);
+  assert.match(defaultSuggestion('<b>'), /<match>&lt;b&gt;<\/match>/);
+});
@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { evaluatePolicy, VERDICT } from '../shared/policy-evaluator.js';
+import { rule as axeRule, scanResults } from './fixtures.js';
+
+const rule = (id, impact) => axeRule(id, impact, [`#${id}`]);
+
+function policy(ciEnforcement = {}, acceptanceCriteria = {}) {
+  return {
+    policyVersion: '3.0',
+    governance: { ciEnforcement },
+    validation: { acceptanceCriteria }
+  };
+}
+
+test('passes without violations', () => {
+  const result = evaluatePolicy(scanResults(), policy());
+
+  assert.equal(result.verdict, VERDICT.PASS);
+  assert.deepEqual(result.reasons, []);
+  assert.equal(result.policyVersion, '3.0');
+});
+
+test('fails on a blocking impact', () => {
+  const result = evaluatePolicy(scanResults({ violations: [rule('a', 'serious')] }), policy());
+
+  assert.equal(result.verdict, VERDICT.FAIL);
+  assert.deepEqual(result.reasons.map(r => r.rule), ['blockOnImpacts']);
+});
+
+test('warns on a warning impact until the auto-fail threshold', () => {
+  const moderate = [rule('a', 'moderate'), rule('b', 'moderate')];
+
+  assert.equal(evaluatePolicy(scanResults({ violations: moderate }), policy()).verdict, VERDICT.WARN);
+
+  const result = evaluatePolicy(scanResults({ violations: moderate }), policy({ autoFailThreshold: 2 }));
+  assert.equal(result.verdict, VERDICT.FAIL);
+  assert.deepEqual(result.reasons.map(r => r.rule), ['autoFailThreshold']);
+});
+
+test('applies the per-impact limits of the acceptance criteria', () => {
+  const minor = [rule('a', 'minor'), rule('b', 'minor')];
+
+  const within = evaluatePolicy(scanResults({ violations: minor }), policy({}, { maxMinorViolations: 2 }));
+  assert.equal(within.verdict, VERDICT.PASS);
+
+  const over = evaluatePolicy(scanResults({ violations: minor }), policy({}, { maxMinorViolations: 1 }));
+  assert.equal(over.verdict, VERDICT.FAIL);
+  assert.deepEqual(over.reasons.map(r => r.rule), ['maxMinorViolations']);
+});
+
+test('does not repeat a zero limit already reported as blocking', () => {
+  const result = evaluatePolicy(
+    scanResults({ violations: [rule('a', 'critical')] }),
+    policy({}, { zeroCriticalViolations: true })
+  );
+
+  assert.deepEqual(result.reasons.map(r => r.rule), ['blockOnImpacts']);
+});
+
+test('accepted blocking violations fail unless risk acceptance is allowed', () => {
+  const results = scanResults({ accepted: [rule('a', 'critical')] });
+
+  const strict = evaluatePolicy(results, policy());
+  assert.equal(strict.verdict, VERDICT.FAIL);
+  assert.deepEqual(strict.reasons.map(r => r.rule), ['allowWithRiskAcceptance']);
+
+  assert.equal(evaluatePolicy(results, policy({ allowWithRiskAcceptance: true })).verdict, VERDICT.PASS);
+});
+
+test('counts violations per rule', () => {
+  const result = evaluatePolicy(
+    scanResults({ violations: [rule('a', 'critical'), rule('b', 'Minor')] }),
+    policy({ blockOnImpacts: [], warnOnImpacts: [] })
+  );
+
+  assert.deepEqual(result.counts, { critical: 1, serious: 0, moderate: 0, minor: 1 });
+  assert.equal(result.verdict, VERDICT.PASS);
+});
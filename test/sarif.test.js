@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildSarif } from '../shared/sarif.js';
+import { issueFingerprint } from '../shared/baseline.js';
+import { rule, scanResults } from './fixtures.js';
+
+const node = { target: ['#logo'], html: '<img id="logo">', failureSummary: 'Add alt text' };
+
+const imageAlt = (nodes = [node]) =>
+  rule('image-alt', 'critical', nodes, { help: 'Images need alt text', tags: ['wcag2a', 'wcag111'] });
+
+test('builds a SARIF 2.1.0 log with one result per node', () => {
+  const log = buildSarif(scanResults({ violations: [imageAlt([node, { ...node, target: ['#icon'] }])] }), {
+    toolVersion: '1.2.0'
+  });
+  const [run] = log.runs;
+
+  assert.equal(log.version, '2.1.0');
+  assert.equal(run.tool.driver.version, '1.2.0');
+  assert.deepEqual(run.results.map(r => r.locations[0].logicalLocations[0].fullyQualifiedName), ['#logo', '#icon']);
+  assert.equal(run.results[0].locations[0].physicalLocation.artifactLocation.uri, 'https://example.com/');
+  assert.equal(run.results[0].locations[0].physicalLocation.region.snippet.text, node.html);
+});
+
+test('maps impacts to levels and results to their rule', () => {
+  const results = scanResults({
+    violations: [imageAlt(), rule('region', 'moderate', ['main']), rule('tabindex', 'minor', ['#skip'])]
+  });
+  const [run] = buildSarif(results).runs;
+
+  assert.deepEqual(run.tool.driver.rules.map(r => r.id), ['image-alt', 'region', 'tabindex']);
+  assert.deepEqual(run.results.map(r => r.ruleIndex), [0, 1, 2]);
+  assert.deepEqual(run.results.map(r => r.level), ['error', 'warning', 'note']);
+});
+
+test('fingerprints follow the baseline and count repeated issues', () => {
+  const [first, second] = buildSarif(scanResults({ violations: [imageAlt([node, { ...node }])] })).runs[0].results;
+
+  assert.equal(first.partialFingerprints['a11yIssue/v1'], issueFingerprint('image-alt', node));
+  assert.match(first.partialFingerprints.primaryLocationLineHash, /:1$/);
+  assert.match(second.partialFingerprints.primaryLocationLineHash, /:2$/);
+});
+
+test('rules reference their WCAG criteria in the taxonomy', () => {
+  const [run] = buildSarif(scanResults({ violations: [imageAlt()] })).runs;
+  const [relationship] = run.tool.driver.rules[0].relationships;
+
+  assert.equal(run.taxonomies[0].name, 'WCAG');
+  assert.equal(run.taxonomies[0].taxa[relationship.target.index].id, '1.1.1');
+});
+
+test('the invocation records the policy verdict', () => {
+  const verdict = {
+    verdict: 'FAIL',
+    policyVersion: '3.0',
+    reasons: [{ rule: 'blockOnImpacts', verdict: 'FAIL', message: '1 critical violation' }]
+  };
+  const [invocation] = buildSarif(scanResults({ violations: [imageAlt()] }), { verdict }).runs[0].invocations;
+
+  assert.equal(invocation.properties.policyVerdict, 'FAIL');
+  assert.equal(invocation.properties.policyVersion, '3.0');
+  assert.deepEqual(invocation.toolExecutionNotifications, [
+    { level: 'error', message: { text: '1 critical violation' }, descriptor: { id: 'blockOnImpacts' } }
+  ]);
+});
+
+test('incomplete items are review results without a level', () => {
+  const results = scanResults({ incomplete: [rule('color-contrast', 'serious', [node], { help: 'Check contrast' })] });
+  const [review] = buildSarif(results).runs[0].results;
+
+  assert.equal(review.kind, 'review');
+  assert.equal(review.level, 'none');
+  assert.equal(review.message.text, 'Needs review: Check contrast');
+});
+
+test('accepted issues are failing results with a suppression', () => {
+  const acceptance = {
+    justification: 'Decorative',
+    author: 'qa',
+    acceptedAt: '2026-03-01T00:00:00.000Z',
+    expiresAt: '2026-03-31T00:00:00.000Z'
+  };
+  const [result] = buildSarif(scanResults({ accepted: [imageAlt([{ ...node, acceptance }])] })).runs[0].results;
+
+  assert.equal(result.kind, 'fail');
+  assert.equal(result.level, 'error');
+  assert.deepEqual(result.suppressions, [{
+    kind: 'external',
+    status: 'accepted',
+    justification: 'Decorative',
+    properties: { author: 'qa', acceptedAt: acceptance.acceptedAt, expiresAt: acceptance.expiresAt }
+  }]);
+});
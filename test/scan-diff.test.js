@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { diffScans, hashHtml, matchNodes } from '../shared/scan-diff.js';
+import { renderDeltaReport } from '../shared/html-report.js';
+import { rule, scanResults } from './fixtures.js';
+
+const EARLIER = '2026-02-01T00:00:00.000Z';
+
+test('hashHtml ignores whitespace differences', () => {
+  assert.equal(hashHtml('<p>  a </p>\n<p>b</p>'), hashHtml('<p> a </p><p>b</p>'));
+  assert.notEqual(hashHtml('<p>a</p>'), hashHtml('<p>b</p>'));
+  assert.match(hashHtml(''), /^[0-9a-f]{8}$/);
+});
+
+test('matchNodes prefers exact matches over same target or same markup', () => {
+  const previous = [
+    { target: ['#a'], html: '<a id="a">old</a>' },
+    { target: ['#b'], html: '<b id="b"></b>' }
+  ];
+  const current = [
+    { target: ['#b'], html: '<b id="b"></b>' },
+    { target: ['#a'], html: '<a id="a">new</a>' }
+  ];
+
+  const { pairs, removed, added } = matchNodes(previous, current);
+  assert.equal(pairs.length, 2);
+  assert.deepEqual(removed, []);
+  assert.deepEqual(added, []);
+
+  const pairOf = node => pairs.find(pair => pair.current === node).previous;
+  assert.equal(pairOf(current[0]), previous[1]);
+  // Same target, changed markup
+  assert.equal(pairOf(current[1]), previous[0]);
+});
+
+test('matchNodes follows markup that moved to another target', () => {
+  const previous = [{ target: ['li:nth-child(2)'], html: '<li>Item</li>' }];
+  const current = [{ target: ['li:nth-child(3)'], html: '<li>Item</li>' }];
+
+  assert.equal(matchNodes(previous, current).pairs.length, 1);
+});
+
+test('matchNodes pairs each node once', () => {
+  const node = { target: ['#a'], html: '<a id="a"></a>' };
+
+  const { pairs, removed, added } = matchNodes([node], [{ ...node }, { ...node }]);
+  assert.equal(pairs.length, 1);
+  assert.equal(removed.length, 0);
+  assert.equal(added.length, 1);
+});
+
+test('diffScans reports new, fixed and unchanged nodes per rule', () => {
+  const kept = { target: ['#kept'], html: '<img id="kept">' };
+  const previous = scanResults({
+    timestamp: EARLIER,
+    violations: [
+      rule('image-alt', 'critical', [kept, { target: ['#gone'], html: '<img id="gone">' }]),
+      rule('label', 'serious', [{ target: ['#name'], html: '<input id="name">' }])
+    ]
+  });
+  const current = scanResults({
+    violations: [rule('image-alt', 'critical', [kept, { target: ['#new'], html: '<img id="new">' }])]
+  });
+
+  const diff = diffScans(previous, current);
+  assert.deepEqual(diff.summary, { new: 1, fixed: 2, unchanged: 1 });
+  assert.deepEqual(diff.new.map(g => [g.id, g.nodes.map(n => n.target[0])]), [['image-alt', ['#new']]]);
+  assert.deepEqual(diff.fixed.map(g => g.id).sort(), ['image-alt', 'label']);
+  assert.equal(diff.previous.timestamp, EARLIER);
+  assert.equal(diff.current.timestamp, current.timestamp);
+});
+
+test('diffScans matches history nodes that only have an html hash', () => {
+  const html = '<img id="a">';
+  const previous = scanResults({ violations: [rule('image-alt', 'critical', [{ target: ['#a'], htmlHash: hashHtml(html) }])] });
+  const current = scanResults({ violations: [rule('image-alt', 'critical', [{ target: ['#a'], html }])] });
+
+  assert.deepEqual(diffScans(previous, current).summary, { new: 0, fixed: 0, unchanged: 1 });
+});
+
+test('renderDeltaReport lists new and fixed issues with escaped page content', () => {
+  const payload = '<script>alert("x")</script>';
+  const previous = scanResults({ timestamp: EARLIER });
+  const current = scanResults({
+    violations: [rule('image-alt', 'critical', [{ target: ['#a'], html: payload }], { help: payload })]
+  });
+
+  const html = renderDeltaReport(diffScans(previous, current));
+  assert.ok(html.includes('New Violations (1)'));
+  assert.ok(html.includes('Fixed (0)'));
+  assert.ok(!html.includes(payload));
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  BUILT_IN_PROFILES,
+  createProfileId,
+  listProfiles,
+  normalizeProfile,
+  profileInfo,
+  resolveScanConfig
+} from '../shared/scan-profiles.js';
+import { IMPACTS } from '../shared/scan-settings.js';
+
+test('normalizeProfile fills in defaults for a stored profile', () => {
+  assert.deepEqual(normalizeProfile({ id: ' team ', name: ' Team ', tags: ['wcag2a', 'wcag2a', ''], impacts: ['bad'] }), {
+    id: 'team',
+    name: 'Team',
+    tags: ['wcag2a'],
+    disabledRules: [],
+    impacts: IMPACTS,
+    iframes: true,
+    include: [],
+    exclude: [],
+    builtIn: false
+  });
+});
+
+test('normalizeProfile rejects profiles without an id or name', () => {
+  assert.equal(normalizeProfile({ id: 'x', name: '  ' }), null);
+  assert.equal(normalizeProfile({ name: 'X' }), null);
+  assert.equal(normalizeProfile(null), null);
+});
+
+test('listProfiles keeps built-in profiles over user ones with the same id', () => {
+  const profiles = listProfiles([
+    { id: 'quick-smoke', name: 'Mine' },
+    { id: 'team', name: 'Team' },
+    { id: '', name: 'Broken' }
+  ]);
+
+  assert.deepEqual(profiles.map(p => p.id), [...BUILT_IN_PROFILES.map(p => p.id), 'team']);
+  assert.equal(profiles.find(p => p.id === 'quick-smoke').name, 'Quick smoke');
+  assert.deepEqual(listProfiles('not a list'), BUILT_IN_PROFILES);
+});
+
+test('createProfileId derives an unused id from the name', () => {
+  const profiles = [{ id: 'my-team' }, { id: 'my-team-2' }];
+
+  assert.equal(createProfileId('My Team!', profiles), 'my-team-3');
+  assert.equal(createProfileId('***'), 'profile');
+});
+
+test('resolveScanConfig uses the selected profile with the DOM timings from settings', () => {
+  const { profile, config } = resolveScanConfig({ profileId: 'quick-smoke', domQuietMs: 100, tags: ['ACT'] });
+
+  assert.equal(profile.id, 'quick-smoke');
+  assert.deepEqual(config.tags, ['wcag2a']);
+  assert.equal(config.iframes, false);
+  assert.equal(config.domQuietMs, 100);
+  assert.deepEqual(profileInfo(profile), { id: 'quick-smoke', name: 'Quick smoke', builtIn: true });
+});
+
+test('a scope in settings replaces the profile scope', () => {
+  const userProfiles = [{ id: 'checkout', name: 'Checkout', include: ['#checkout'] }];
+
+  assert.deepEqual(
+    resolveScanConfig({ profileId: 'checkout' }, userProfiles).config.scope,
+    { include: ['#checkout'], exclude: [] }
+  );
+  assert.deepEqual(
+    resolveScanConfig({ profileId: 'checkout', exclude: ['.chat'] }, userProfiles).config.scope,
+    { include: [], exclude: ['.chat'] }
+  );
+});
+
+test('resolveScanConfig falls back to the settings when the profile is gone', () => {
+  const { profile, config } = resolveScanConfig({ profileId: 'deleted', tags: ['ACT'] });
+
+  assert.equal(profile, null);
+  assert.deepEqual(config.tags, ['ACT']);
+  assert.equal(profileInfo(profile), null);
+});
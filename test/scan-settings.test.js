@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  DEFAULT_SCAN_SETTINGS,
+  describeScope,
+  normalizeScanSettings,
+  selectorList,
+  stringList,
+  toScanConfig,
+  toScope
+} from '../shared/scan-settings.js';
+
+test('stringList keeps unique non-empty strings', () => {
+  assert.deepEqual(stringList(['a', '', 'a', 3, null, 'b']), ['a', 'b']);
+  assert.deepEqual(stringList('a'), []);
+});
+
+test('selectorList trims selectors and accepts a single one', () => {
+  assert.deepEqual(selectorList([' #a ', '#a', '  ']), ['#a']);
+  assert.deepEqual(selectorList('main, nav'), ['main, nav']);
+});
+
+test('normalizeScanSettings fills in defaults', () => {
+  assert.deepEqual(normalizeScanSettings(), DEFAULT_SCAN_SETTINGS);
+  assert.deepEqual(normalizeScanSettings(null), DEFAULT_SCAN_SETTINGS);
+});
+
+test('normalizeScanSettings drops malformed values', () => {
+  const settings = normalizeScanSettings({
+    tags: 'wcag2a',
+    impacts: ['severe'],
+    iframes: 0,
+    incremental: 'yes',
+    domQuietMs: -5,
+    domSettleMs: 'soon',
+    profileId: ''
+  });
+
+  assert.deepEqual(settings.tags, []);
+  assert.deepEqual(settings.impacts, DEFAULT_SCAN_SETTINGS.impacts);
+  assert.equal(settings.iframes, true);
+  assert.equal(settings.incremental, false);
+  assert.equal(settings.domQuietMs, DEFAULT_SCAN_SETTINGS.domQuietMs);
+  assert.equal(settings.domSettleMs, DEFAULT_SCAN_SETTINGS.domSettleMs);
+  assert.equal(settings.profileId, null);
+});
+
+test('normalizeScanSettings bounds the DOM timings', () => {
+  assert.equal(normalizeScanSettings({ domQuietMs: 10 ** 9 }).domQuietMs, 60000);
+  // The settle limit leaves room for one quiet window
+  assert.equal(normalizeScanSettings({ domQuietMs: 2000, domSettleMs: 1000 }).domSettleMs, 2000);
+});
+
+test('toScanConfig turns settings into a runA11yScan() config', () => {
+  assert.deepEqual(
+    toScanConfig({ tags: ['wcag2aa'], disabledRules: ['region'], include: ['main'], impacts: ['critical'] }),
+    {
+      impacts: ['critical'],
+      iframes: true,
+      incremental: false,
+      domQuietMs: 500,
+      domSettleMs: 3000,
+      tags: ['wcag2aa'],
+      rules: { region: { enabled: false } },
+      scope: { include: ['main'], exclude: [] }
+    }
+  );
+  assert.equal('tags' in toScanConfig({}), false);
+});
+
+test('toScope is null for the whole page', () => {
+  assert.equal(toScope([], ['  ']), null);
+  assert.deepEqual(toScope([], ['.chat']), { include: [], exclude: ['.chat'] });
+});
+
+test('describeScope reads the scope back', () => {
+  assert.equal(describeScope(null), 'Whole page');
+  assert.equal(describeScope({ include: ['#checkout'], exclude: ['.chat'] }), 'Only #checkout; except .chat');
+  assert.equal(describeScope({ include: [], exclude: ['.chat'] }), 'Everything except .chat');
+});
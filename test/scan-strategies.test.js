@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  canFallBack,
+  checkScanConfig,
+  findStrategy,
+  strategiesFrom
+} from '../shared/scan-strategies.js';
+
+const RULES = [
+  { ruleId: 'image-alt', tags: ['wcag2a', 'section508'] },
+  { ruleId: 'color-contrast', tags: ['wcag2aa'] }
+];
+
+test('strategiesFrom returns the strategy and the lighter ones after it', () => {
+  assert.deepEqual(strategiesFrom().map(s => s.id), ['full', 'no-iframes', 'basic', 'simplified']);
+  assert.deepEqual(strategiesFrom('basic').map(s => s.id), ['basic', 'simplified']);
+  assert.throws(() => strategiesFrom('fast'), /Unknown scan strategy: fast/);
+});
+
+test('lighter strategies narrow the config', () => {
+  const config = { tags: ['wcag2aa'], iframes: true, incremental: true, domQuietMs: 500 };
+
+  assert.equal(findStrategy('full').apply(config), config);
+  assert.deepEqual(findStrategy('basic').apply(config), { ...config, iframes: false, tags: ['wcag2a'] });
+  assert.deepEqual(findStrategy('simplified').apply(config), {
+    tags: ['wcag2a'], iframes: false, incremental: false, domQuietMs: 0, domSettleMs: 0
+  });
+  assert.equal(findStrategy('fast'), null);
+});
+
+test('canFallBack stops at cancellation and configs that do not fit the page', () => {
+  const abort = new Error('Scan cancelled');
+  abort.name = 'AbortError';
+
+  assert.equal(canFallBack(new Error('Scan timed out')), true);
+  assert.equal(canFallBack(undefined), true);
+  assert.equal(canFallBack(abort), false);
+  assert.equal(canFallBack(new Error('Invalid scope selector: #a[')), false);
+  assert.equal(canFallBack(new Error('None of the selected standards are known to axe-core: x')), false);
+});
+
+test('checkScanConfig drops unknown tags and rules', () => {
+  const config = {
+    tags: ['wcag2a', 'wcag99'],
+    rules: { 'image-alt': { enabled: false }, 'gone-rule': { enabled: false } },
+    iframes: true
+  };
+
+  assert.deepEqual(checkScanConfig(config, RULES), {
+    config: { tags: ['wcag2a'], rules: { 'image-alt': { enabled: false } }, iframes: true },
+    ignored: { tags: ['wcag99'], rules: ['gone-rule'] }
+  });
+});
+
+test('checkScanConfig leaves configs without tags or rules alone', () => {
+  const config = { iframes: false };
+
+  assert.deepEqual(checkScanConfig(config, RULES), { config, ignored: { tags: [], rules: [] } });
+});
+
+test('checkScanConfig fails when no requested tag exists', () => {
+  assert.throws(
+    () => checkScanConfig({ tags: ['wcag99', 'EN-301-549'] }, RULES),
+    /None of the selected standards are known to axe-core: wcag99, EN-301-549/
+  );
+});
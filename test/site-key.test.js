@@ -0,0 +1,14 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { siteKey } from '../shared/site-key.js';
+
+test('siteKey keeps origin and path only', () => {
+  assert.equal(siteKey('https://example.com:8443/shop/?page=2#top'), 'https://example.com:8443/shop/');
+  assert.equal(siteKey('https://example.com'), 'https://example.com/');
+});
+
+test('siteKey keeps what is not a URL as is', () => {
+  assert.equal(siteKey('not a url'), 'not a url');
+  assert.equal(siteKey(undefined), '');
+});